@@ -0,0 +1,186 @@
+const TestAccessCode = require('../models/TestAccessCode');
+const { resolveRole } = require('../middleware/authorization');
+const { hasPermission } = require('../utils/permissions');
+
+// Tutors only manage the codes they created; roles with access_codes:manage_any manage all of them
+async function getOwnerFilter(user) {
+  const role = await resolveRole(user);
+  return hasPermission(role, 'access_codes:manage_any') ? {} : { createdBy: user.id };
+}
+
+class AccessCodeController {
+  // GET /api/v1/testing/access-codes - Get all access codes with their use counts (?testId=)
+  static async getAllAccessCodes(req, res) {
+    try {
+      const { testId } = req.query;
+
+      const accessCodes = await TestAccessCode.findAll({ testId, ...(await getOwnerFilter(req.user)) });
+
+      res.json({
+        success: true,
+        data: accessCodes,
+        count: accessCodes.length
+      });
+    } catch (error) {
+      console.error('Error in getAllAccessCodes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/testing/access-codes/:id - Get an access code
+  static async getAccessCodeById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const accessCode = await TestAccessCode.findById(id, await getOwnerFilter(req.user));
+
+      if (!accessCode) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access code not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: accessCode
+      });
+    } catch (error) {
+      console.error('Error in getAccessCodeById:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/testing/access-codes - Generate an access code for a test
+  static async createAccessCode(req, res) {
+    try {
+      const { testId, label, startsAt, endsAt, maxUses, oneAttemptPerStudent, userIds } = req.body;
+
+      const accessCode = await TestAccessCode.create({
+        testId,
+        label,
+        startsAt,
+        endsAt,
+        maxUses,
+        oneAttemptPerStudent,
+        userIds,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: accessCode,
+        message: 'Access code created successfully'
+      });
+    } catch (error) {
+      console.error('Error in createAccessCode:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/access-codes/:id - Change an access code's window, limits or users, or deactivate it
+  static async updateAccessCode(req, res) {
+    try {
+      const { id } = req.params;
+
+      const accessCode = await TestAccessCode.findById(id, await getOwnerFilter(req.user));
+
+      if (!accessCode) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access code not found'
+        });
+      }
+
+      const updatedAccessCode = await accessCode.update(req.body);
+
+      res.json({
+        success: true,
+        data: updatedAccessCode,
+        message: 'Access code updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in updateAccessCode:', error);
+
+      if (error.message.includes('No valid fields') || error.message.includes('must be after')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/testing/access-codes/:id - Delete an unused access code
+  static async deleteAccessCode(req, res) {
+    try {
+      const { id } = req.params;
+
+      const accessCode = await TestAccessCode.findById(id, await getOwnerFilter(req.user));
+
+      if (!accessCode) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access code not found'
+        });
+      }
+
+      await accessCode.delete();
+
+      res.json({
+        success: true,
+        message: 'Access code deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteAccessCode:', error);
+
+      if (error.message.includes('cannot be deleted')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = AccessCodeController;
@@ -0,0 +1,118 @@
+const UserAccommodation = require('../models/UserAccommodation');
+
+class AccommodationController {
+  // GET /api/v1/testing/accommodations - Get all students with accommodations
+  static async getAllAccommodations(req, res) {
+    try {
+      const accommodations = await UserAccommodation.findAll();
+
+      res.json({
+        success: true,
+        data: accommodations,
+        count: accommodations.length
+      });
+    } catch (error) {
+      console.error('Error in getAllAccommodations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/testing/accommodations/:userId - Get a student's accommodations
+  static async getAccommodation(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const accommodation = await UserAccommodation.findByUserId(userId);
+
+      if (!accommodation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Accommodations not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: accommodation
+      });
+    } catch (error) {
+      console.error('Error in getAccommodation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/accommodations/:userId - Create or replace a student's accommodations
+  static async setAccommodation(req, res) {
+    try {
+      const { userId } = req.params;
+      const { time_multiplier, extra_break_minutes, breaks_between_modules, notes } = req.body;
+
+      const accommodation = await UserAccommodation.upsert(
+        userId,
+        { time_multiplier, extra_break_minutes, breaks_between_modules, notes },
+        { approvedBy: req.user?.id }
+      );
+
+      res.json({
+        success: true,
+        data: accommodation,
+        message: 'Accommodations saved successfully'
+      });
+    } catch (error) {
+      console.error('Error in setAccommodation:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/testing/accommodations/:userId - Remove a student's accommodations
+  static async deleteAccommodation(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const accommodation = await UserAccommodation.findByUserId(userId);
+
+      if (!accommodation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Accommodations not found'
+        });
+      }
+
+      await accommodation.delete();
+
+      res.json({
+        success: true,
+        message: 'Accommodations deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteAccommodation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = AccommodationController;
@@ -0,0 +1,578 @@
+const Classroom = require('../models/Classroom');
+const ClassroomInvitation = require('../models/ClassroomInvitation');
+const UserRole = require('../models/UserRole');
+const { resolveRole } = require('../middleware/authorization');
+const { DEFAULT_ROLE, hasPermission } = require('../utils/permissions');
+const { extractAttemptScores, buildProgressReport, PROJECTION } = require('../utils/progressTrends');
+
+const SUBMISSION_STATUSES = ['in_progress', 'submitted'];
+
+/**
+ * Classroom as shown to a member; only those who manage it see the join code
+ * @param {Classroom} classroom
+ * @param {boolean} canManage
+ * @returns {Object}
+ */
+function toClassroomJSON(classroom, canManage) {
+  const data = classroom.toJSON();
+  if (!canManage) {
+    delete data.join_code;
+  }
+  return data;
+}
+
+class ClassroomController {
+  // GET /api/v1/classrooms - Get the classrooms you teach or are enrolled in (?all=true for every classroom)
+  static async getMyClassrooms(req, res) {
+    try {
+      const role = await resolveRole(req.user);
+      const all = req.query.all === 'true';
+
+      if (all && !hasPermission(role, 'classrooms:manage_any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view every classroom'
+        });
+      }
+
+      const classrooms = await Classroom.findAll({ userId: all ? null : req.user.id });
+      const canTeach = hasPermission(role, 'classrooms:teach');
+
+      res.json({
+        success: true,
+        data: classrooms.map(classroom =>
+          toClassroomJSON(classroom, all || (canTeach && classroom.member_role === 'tutor'))),
+        count: classrooms.length
+      });
+    } catch (error) {
+      console.error('Error in getMyClassrooms:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/classrooms/:classroomId - Get a classroom with its members (students only see its tutors)
+  static async getClassroom(req, res) {
+    try {
+      const { classroom, canManageClassroom } = req;
+
+      const members = await classroom.getMembers(canManageClassroom ? {} : { role: 'tutor' });
+
+      res.json({
+        success: true,
+        data: { ...toClassroomJSON(classroom, canManageClassroom), members }
+      });
+    } catch (error) {
+      console.error('Error in getClassroom:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/classrooms - Create a classroom (you become its tutor)
+  static async createClassroom(req, res) {
+    try {
+      const { name, description } = req.body;
+
+      const classroom = await Classroom.create({
+        name: name.trim(),
+        description,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: classroom,
+        message: 'Classroom created successfully'
+      });
+    } catch (error) {
+      console.error('Error in createClassroom:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/classrooms/:classroomId - Rename a classroom or change its description
+  static async updateClassroom(req, res) {
+    try {
+      const { name, description } = req.body;
+
+      const classroom = await req.classroom.update({
+        name: name === undefined ? undefined : name.trim(),
+        description
+      });
+
+      res.json({
+        success: true,
+        data: classroom,
+        message: 'Classroom updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in updateClassroom:', error);
+
+      if (error.message.includes('No valid fields')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/classrooms/:classroomId - Delete a classroom (students' submissions are kept)
+  static async deleteClassroom(req, res) {
+    try {
+      await req.classroom.delete();
+
+      res.json({
+        success: true,
+        message: 'Classroom deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteClassroom:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/classrooms/:classroomId/join-code - Replace the join code, or turn joining by code off
+  static async resetJoinCode(req, res) {
+    try {
+      const { enabled = true } = req.body;
+
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'enabled must be a boolean'
+        });
+      }
+
+      const classroom = await req.classroom.resetJoinCode(enabled);
+
+      res.json({
+        success: true,
+        data: classroom,
+        message: enabled ? 'Join code replaced successfully' : 'Joining by code turned off'
+      });
+    } catch (error) {
+      console.error('Error in resetJoinCode:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/classrooms/join - Join a classroom as a student with its join code
+  static async joinClassroom(req, res) {
+    try {
+      const { code } = req.body;
+
+      const classroom = await Classroom.findByJoinCode(code);
+      if (!classroom) {
+        return res.status(404).json({
+          success: false,
+          message: 'No classroom has this join code'
+        });
+      }
+
+      // Members keep their role (a tutor using the code doesn't become a student)
+      const existingRole = await classroom.getMemberRole(req.user.id);
+      if (!existingRole) {
+        await classroom.addMember(req.user.id, 'student');
+      }
+
+      res.status(existingRole ? 200 : 201).json({
+        success: true,
+        data: {
+          classroom_id: classroom.id,
+          name: classroom.name,
+          role: existingRole || 'student'
+        },
+        message: existingRole ? 'You are already a member of this classroom' : 'Joined classroom successfully'
+      });
+    } catch (error) {
+      console.error('Error in joinClassroom:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/classrooms/:classroomId/members - Add a user, or change a member's role
+  static async addMember(req, res) {
+    try {
+      const { classroom } = req;
+      const { userId, role = 'student' } = req.body;
+
+      // Students share their results with tutors by joining with the code or accepting an
+      // invitation; only admins may enrol someone directly
+      if (role === 'student' && !hasPermission(await resolveRole(req.user), 'classrooms:manage_any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Students join with the join code or an invitation; only admins can add them directly'
+        });
+      }
+
+      // Tutors read their students' results, so the user's own role has to allow it
+      if (role === 'tutor') {
+        const assigned = await UserRole.findByUserId(userId);
+        if (!hasPermission(assigned ? assigned.role : DEFAULT_ROLE, 'classrooms:teach')) {
+          return res.status(400).json({
+            success: false,
+            message: 'Only users with the tutor or admin role can tutor a classroom'
+          });
+        }
+      }
+
+      const currentRole = await classroom.getMemberRole(userId);
+      if (currentRole === 'tutor' && role === 'student' && classroom.tutor_count === 1) {
+        return res.status(409).json({
+          success: false,
+          message: 'The last tutor cannot become a student'
+        });
+      }
+
+      const membership = await classroom.addMember(userId, role, { addedBy: req.user.id });
+
+      res.status(currentRole ? 200 : 201).json({
+        success: true,
+        data: membership,
+        message: currentRole ? 'Member updated successfully' : 'Member added successfully'
+      });
+    } catch (error) {
+      console.error('Error in addMember:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/classrooms/:classroomId/members/:userId - Remove a member (students may remove themselves)
+  static async removeMember(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (userId !== req.user.id && !req.canManageClassroom) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only tutors of this classroom can remove other members'
+        });
+      }
+
+      await req.classroom.removeMember(userId);
+
+      res.json({
+        success: true,
+        message: 'Member removed successfully'
+      });
+    } catch (error) {
+      console.error('Error in removeMember:', error);
+
+      if (error.message.includes('last tutor')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/classrooms/:classroomId/invitations - Get the classroom's invitations (?pending=true)
+  static async getInvitations(req, res) {
+    try {
+      const invitations = await ClassroomInvitation.findByClassroomId(req.classroom.id, {
+        pendingOnly: req.query.pending === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: invitations,
+        count: invitations.length
+      });
+    } catch (error) {
+      console.error('Error in getInvitations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/classrooms/:classroomId/invitations - Invite someone by email
+  static async createInvitation(req, res) {
+    try {
+      const { email, role = 'student' } = req.body;
+
+      const invitation = await ClassroomInvitation.create({
+        classroomId: req.classroom.id,
+        email: email.trim(),
+        role,
+        invitedBy: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: invitation,
+        message: 'Invitation created successfully'
+      });
+    } catch (error) {
+      console.error('Error in createInvitation:', error);
+
+      if (error.message.includes('already pending')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/classrooms/:classroomId/invitations/:invitationId - Withdraw an invitation
+  static async deleteInvitation(req, res) {
+    try {
+      const { invitationId } = req.params;
+
+      const invitation = await ClassroomInvitation.findById(invitationId);
+      if (!invitation || invitation.classroom_id !== req.classroom.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      await invitation.delete();
+
+      res.json({
+        success: true,
+        message: 'Invitation withdrawn successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteInvitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/classrooms/invitations - Get your pending invitations (matched by your email)
+  static async getMyInvitations(req, res) {
+    try {
+      const invitations = req.user.email
+        ? await ClassroomInvitation.findPendingByEmail(req.user.email)
+        : [];
+
+      res.json({
+        success: true,
+        data: invitations,
+        count: invitations.length
+      });
+    } catch (error) {
+      console.error('Error in getMyInvitations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/classrooms/invitations/:invitationId/accept - Accept an invitation sent to your email
+  static async acceptInvitation(req, res) {
+    try {
+      const { invitationId } = req.params;
+
+      const invitation = await ClassroomInvitation.findById(invitationId);
+      if (!invitation || !req.user.email || invitation.email !== req.user.email.toLowerCase()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (invitation.role === 'tutor' && !hasPermission(await resolveRole(req.user), 'classrooms:teach')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only users with the tutor or admin role can accept a tutor invitation'
+        });
+      }
+
+      const membership = await invitation.accept(req.user);
+
+      res.json({
+        success: true,
+        data: { ...membership, classroom_name: invitation.classroom_name },
+        message: 'Invitation accepted successfully'
+      });
+    } catch (error) {
+      console.error('Error in acceptInvitation:', error);
+
+      if (error.message.includes('already been accepted') || error.message.includes('expired')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/classrooms/:classroomId/submissions
+   * The students' submissions with their scores, newest first (?status=, ?testId=, ?userId=)
+   */
+  static async getStudentSubmissions(req, res) {
+    try {
+      const { status, testId, userId } = req.query;
+
+      if (status !== undefined && !SUBMISSION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${SUBMISSION_STATUSES.join(', ')}`
+        });
+      }
+
+      const rows = await req.classroom.getStudentSubmissions({ status, testId, userId });
+
+      const submissions = rows.map(({ score, ...submission }) => {
+        const { skill_breakdown, ...scores } = extractAttemptScores(score);
+        return { ...submission, ...scores };
+      });
+
+      res.json({
+        success: true,
+        data: submissions,
+        count: submissions.length
+      });
+    } catch (error) {
+      console.error('Error in getStudentSubmissions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/classrooms/:classroomId/progress
+   * Each student's latest scores, score trends and projected score range
+   * (?attempts=N sets how many recent attempts the projection uses; the full report per
+   * student is GET /api/v1/submissions/user/:userId/progress)
+   */
+  static async getStudentProgress(req, res) {
+    try {
+      const attempts = req.query.attempts === undefined
+        ? PROJECTION.defaultAttempts
+        : parseInt(req.query.attempts, 10);
+
+      if (!Number.isInteger(attempts) || attempts < 1 || attempts > 20) {
+        return res.status(400).json({
+          success: false,
+          message: 'attempts must be an integer between 1 and 20'
+        });
+      }
+
+      const students = await req.classroom.getMembers({ role: 'student' });
+      const attemptsByStudent = new Map(students.map(student => [student.user_id, []]));
+      (await req.classroom.getStudentAttempts()).forEach(attempt => {
+        attemptsByStudent.get(attempt.user_id)?.push(attempt);
+      });
+
+      const progress = students.map(student => {
+        const submitted = attemptsByStudent.get(student.user_id);
+        const report = buildProgressReport(submitted, { projectionAttempts: attempts });
+
+        return {
+          user_id: student.user_id,
+          email: student.email,
+          joined_at: student.joined_at,
+          attempt_count: submitted.length,
+          latest_attempt: report.attempts[report.attempts.length - 1] || null,
+          trends: report.trends,
+          projection: report.projection
+        };
+      });
+
+      res.json({
+        success: true,
+        data: progress,
+        count: progress.length
+      });
+    } catch (error) {
+      console.error('Error in getStudentProgress:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = ClassroomController;
@@ -0,0 +1,359 @@
+const Module = require('../models/Module');
+
+class ModuleController {
+  // GET /api/v1/testing/modules - Get all modules (?subject=, ?difficulty=)
+  static async getAllModules(req, res) {
+    try {
+      const { subject, difficulty } = req.query;
+
+      const modules = await Module.findAll({ subject, difficulty });
+
+      res.json({
+        success: true,
+        data: modules,
+        count: modules.length
+      });
+    } catch (error) {
+      console.error('Error in getAllModules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/testing/modules/:id - Get a module with its ordered question list
+  static async getModuleById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const module = await Module.findById(id);
+
+      if (!module) {
+        return res.status(404).json({
+          success: false,
+          message: 'Module not found'
+        });
+      }
+
+      const questions = await module.getQuestions();
+
+      res.json({
+        success: true,
+        data: { ...module.toJSON(), questions }
+      });
+    } catch (error) {
+      console.error('Error in getModuleById:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/testing/modules - Create a module, optionally with its questions
+  static async createModule(req, res) {
+    try {
+      const { name, time_limit, subject_name, difficulty, questionIds } = req.body;
+
+      const module = await Module.create({ name, time_limit, subject_name, difficulty, questionIds });
+      const questions = await module.getQuestions();
+
+      res.status(201).json({
+        success: true,
+        data: { ...module.toJSON(), questions },
+        message: 'Module created successfully'
+      });
+    } catch (error) {
+      console.error('Error in createModule:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/modules/:id - Update a module's name, time limit, subject or difficulty
+  static async updateModule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const module = await Module.findById(id);
+
+      if (!module) {
+        return res.status(404).json({
+          success: false,
+          message: 'Module not found'
+        });
+      }
+
+      const updatedModule = await module.update(req.body);
+
+      res.json({
+        success: true,
+        data: updatedModule,
+        message: 'Module updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in updateModule:', error);
+
+      if (error.message.includes('cannot be changed')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('No valid fields')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/testing/modules/:id - Delete a module that is not locked (taken or in a live test)
+  static async deleteModule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const module = await Module.findById(id);
+
+      if (!module) {
+        return res.status(404).json({
+          success: false,
+          message: 'Module not found'
+        });
+      }
+
+      await module.delete();
+
+      res.json({
+        success: true,
+        message: 'Module deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteModule:', error);
+
+      if (error.message.includes('cannot be deleted')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/testing/modules/:id/copy - Copy a module and its questions (to revise a locked module)
+  static async copyModule(req, res) {
+    try {
+      const { id } = req.params;
+      const { name } = req.body;
+
+      if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+        return res.status(400).json({
+          success: false,
+          message: 'name must be a non-empty string'
+        });
+      }
+
+      const module = await Module.findById(id);
+
+      if (!module) {
+        return res.status(404).json({
+          success: false,
+          message: 'Module not found'
+        });
+      }
+
+      const copy = await module.copy(name);
+      const questions = await copy.getQuestions();
+
+      res.status(201).json({
+        success: true,
+        data: { ...copy.toJSON(), questions },
+        message: 'Module copied successfully'
+      });
+    } catch (error) {
+      console.error('Error in copyModule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/modules/:id/questions - Replace the question list (add, remove and reorder)
+  static async setModuleQuestions(req, res) {
+    try {
+      const { id } = req.params;
+      const { questionIds } = req.body;
+
+      const module = await Module.findById(id);
+
+      if (!module) {
+        return res.status(404).json({
+          success: false,
+          message: 'Module not found'
+        });
+      }
+
+      const questions = await module.setQuestions(questionIds);
+
+      res.json({
+        success: true,
+        data: { ...module.toJSON(), questions },
+        message: 'Module questions updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in setModuleQuestions:', error);
+
+      if (error.message.includes('cannot be changed')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/testing/modules/:id/questions - Insert questions (at position, default the end)
+  static async addModuleQuestions(req, res) {
+    try {
+      const { id } = req.params;
+      const { questionIds, position } = req.body;
+
+      const module = await Module.findById(id);
+
+      if (!module) {
+        return res.status(404).json({
+          success: false,
+          message: 'Module not found'
+        });
+      }
+
+      const questions = await module.addQuestions(questionIds, position ?? null);
+
+      res.json({
+        success: true,
+        data: { ...module.toJSON(), questions },
+        message: 'Questions added to module successfully'
+      });
+    } catch (error) {
+      console.error('Error in addModuleQuestions:', error);
+
+      if (error.message.includes('cannot be changed')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('already in this module')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/testing/modules/:id/questions/:questionId - Remove a question from the module
+  static async removeModuleQuestion(req, res) {
+    try {
+      const { id, questionId } = req.params;
+
+      const module = await Module.findById(id);
+
+      if (!module) {
+        return res.status(404).json({
+          success: false,
+          message: 'Module not found'
+        });
+      }
+
+      const questions = await module.removeQuestion(questionId);
+
+      res.json({
+        success: true,
+        data: { ...module.toJSON(), questions },
+        message: 'Question removed from module successfully'
+      });
+    } catch (error) {
+      console.error('Error in removeModuleQuestion:', error);
+
+      if (error.message.includes('cannot be changed')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = ModuleController;
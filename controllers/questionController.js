@@ -1,4 +1,8 @@
 const Question = require('../models/Question');
+const Submission = require('../models/Submission');
+const QuestionStatistics = require('../models/QuestionStatistics');
+const { ITEM_FLAGS } = require('../utils/itemAnalytics');
+const { canViewAnswerKeys } = require('../middleware/authorization');
 
 class QuestionController {
   // GET /api/v1/testing/question - Get all questions with optional filtering
@@ -37,10 +41,11 @@ class QuestionController {
       };
 
       const questions = await Question.findAll(filters);
+      const includeAnswers = await canViewAnswerKeys(req.user);
 
       res.json({
         success: true,
-        data: questions,
+        data: questions.map(question => question.toJSON({ includeAnswers })),
         meta: {
           count: questions.length,
           limit: parsedLimit,
@@ -78,9 +83,11 @@ class QuestionController {
         });
       }
 
+      const includeAnswers = await canViewAnswerKeys(req.user);
+
       res.json({
         success: true,
-        data: question
+        data: question.toJSON({ includeAnswers })
       });
     } catch (error) {
       console.error('Error in getQuestionById:', error);
@@ -113,9 +120,11 @@ class QuestionController {
         });
       }
 
+      const includeAnswers = await canViewAnswerKeys(req.user);
+
       res.json({
         success: true,
-        data: question
+        data: question.toJSON({ includeAnswers })
       });
     } catch (error) {
       console.error('Error in getQuestionByAltId:', error);
@@ -141,7 +150,11 @@ class QuestionController {
         question_choices,
         question_rationale,
         correct_answer,
-        is_multiple_choice
+        accepted_answers,
+        is_multiple_choice,
+        irt_discrimination,
+        irt_difficulty,
+        irt_guessing
       } = req.body;
 
       // Validate required fields
@@ -168,21 +181,36 @@ class QuestionController {
         question_skill,
         difficulty,
         question_prompt,
-        question_choices: question_choices || '',
+        question_choices: question_choices || [],
         question_rationale,
         correct_answer,
-        is_multiple_choice: is_multiple_choice || false
+        accepted_answers: accepted_answers || [],
+        is_multiple_choice: is_multiple_choice || false,
+        irt_discrimination,
+        irt_difficulty,
+        irt_guessing
       };
 
-      const question = await Question.create(questionData);
+      const question = await Question.create(questionData, {
+        changedBy: req.user?.id || null
+      });
 
+      // Only editors reach this route, so the key is returned
       res.status(201).json({
         success: true,
-        data: question,
+        data: question.toJSON({ includeAnswers: true }),
         message: 'Question created successfully'
       });
     } catch (error) {
       console.error('Error in createQuestion:', error);
+
+      if (error.message.includes('Invalid answer key')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid answer key',
+          message: error.message
+        });
+      }
       
       if (error.message.includes('already exists')) {
         return res.status(409).json({
@@ -221,15 +249,28 @@ class QuestionController {
         });
       }
 
-      const updatedQuestion = await question.update(req.body);
+      // Answer-key changes are versioned with who made them and why
+      const updatedQuestion = await question.update(req.body, {
+        changedBy: req.user?.id || null,
+        reason: req.body.change_reason || null
+      });
 
       res.json({
         success: true,
-        data: updatedQuestion,
+        data: updatedQuestion.toJSON({ includeAnswers: true }),
         message: 'Question updated successfully'
       });
     } catch (error) {
       console.error('Error in updateQuestion:', error);
+
+      if (error.message.includes('Invalid answer key')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid answer key',
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: 'Failed to update question',
@@ -275,6 +316,72 @@ class QuestionController {
     }
   }
 
+  // GET /api/v1/testing/question/:id/answer-keys - Get answer-key history
+  static async getAnswerKeyHistory(req, res) {
+    try {
+      const { id } = req.params;
+
+      const question = await Question.findById(id);
+
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found'
+        });
+      }
+
+      const history = await Question.getAnswerKeyHistory(id);
+
+      res.json({
+        success: true,
+        data: {
+          question_id: question.id,
+          current_version: question.answer_key_version,
+          versions: history
+        }
+      });
+    } catch (error) {
+      console.error('Error in getAnswerKeyHistory:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch answer key history',
+        message: error.message
+      });
+    }
+  }
+
+  // POST /api/v1/testing/question/:id/regrade - Regrade submissions that answered a question
+  static async regradeQuestion(req, res) {
+    try {
+      const { id } = req.params;
+      const dryRun = req.query.dry_run === 'true' || req.query.dry_run === '1';
+
+      const question = await Question.findById(id);
+
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found'
+        });
+      }
+
+      const report = await Submission.regradeByQuestion(id, { dryRun });
+
+      res.json({
+        success: true,
+        data: report,
+        message: dryRun ? 'Regrade preview generated' : 'Submissions regraded successfully'
+      });
+    } catch (error) {
+      console.error('Error in regradeQuestion:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to regrade submissions',
+        message: error.message
+      });
+    }
+  }
+
   // GET /api/v1/testing/question/stats - Get question statistics
   static async getQuestionStats(req, res) {
     try {
@@ -294,6 +401,120 @@ class QuestionController {
     }
   }
 
+  // GET /api/v1/testing/question/analytics - Get item analytics (weakest discriminators first)
+  static async getItemAnalytics(req, res) {
+    try {
+      const {
+        flag,
+        flagged,
+        subject,
+        difficulty,
+        min_responses,
+        limit = 50,
+        offset = 0
+      } = req.query;
+
+      if (flag !== undefined && !Object.values(ITEM_FLAGS).includes(flag)) {
+        return res.status(400).json({
+          success: false,
+          error: `flag must be one of: ${Object.values(ITEM_FLAGS).join(', ')}`
+        });
+      }
+
+      const parsedLimit = Math.min(parseInt(limit) || 50, 500);
+      const parsedOffset = Math.max(parseInt(offset) || 0, 0);
+
+      const statistics = await QuestionStatistics.findAll({
+        flag,
+        flaggedOnly: flagged === 'true',
+        subject,
+        difficulty,
+        minResponses: parseInt(min_responses) || null,
+        limit: parsedLimit,
+        offset: parsedOffset
+      });
+
+      res.json({
+        success: true,
+        data: statistics,
+        meta: {
+          count: statistics.length,
+          limit: parsedLimit,
+          offset: parsedOffset
+        }
+      });
+    } catch (error) {
+      console.error('Error in getItemAnalytics:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch item analytics',
+        message: error.message
+      });
+    }
+  }
+
+  // POST /api/v1/testing/question/analytics/compute - Recompute item analytics now
+  static async computeItemAnalytics(req, res) {
+    try {
+      const summary = await QuestionStatistics.compute();
+
+      res.json({
+        success: true,
+        data: summary,
+        message: 'Item analytics computed successfully'
+      });
+    } catch (error) {
+      console.error('Error in computeItemAnalytics:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to compute item analytics',
+        message: error.message
+      });
+    }
+  }
+
+  // GET /api/v1/testing/question/:id/analytics - Get item analytics for one question
+  // (?refresh=true recomputes this question first)
+  static async getQuestionAnalytics(req, res) {
+    try {
+      const { id } = req.params;
+
+      const question = await Question.findById(id);
+
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found'
+        });
+      }
+
+      if (req.query.refresh === 'true') {
+        await QuestionStatistics.compute({ questionIds: [id] });
+      }
+
+      const statistics = await QuestionStatistics.findByQuestionId(id);
+
+      if (!statistics) {
+        return res.status(404).json({
+          success: false,
+          error: 'Item analytics have not been computed for this question yet'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: statistics
+      });
+    } catch (error) {
+      console.error('Error in getQuestionAnalytics:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch item analytics',
+        message: error.message
+      });
+    }
+  }
+
   // GET /api/v1/testing/question/filter-options - Get available filter options
   static async getFilterOptions(req, res) {
     try {
@@ -0,0 +1,148 @@
+const UserRole = require('../models/UserRole');
+const { resolveRole } = require('../middleware/authorization');
+const { ROLES, getRolePermissions } = require('../utils/permissions');
+
+class RoleController {
+  // GET /api/v1/testing/roles/me - Get the authenticated user's role and permissions
+  static async getMyRole(req, res) {
+    try {
+      const role = await resolveRole(req.user);
+
+      res.json({
+        success: true,
+        data: {
+          user_id: req.user.id,
+          role,
+          permissions: getRolePermissions(role)
+        }
+      });
+    } catch (error) {
+      console.error('Error in getMyRole:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/testing/roles - Get all assigned roles (?role= to filter)
+  static async getAllRoles(req, res) {
+    try {
+      const { role } = req.query;
+
+      if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `role must be one of: ${ROLES.join(', ')}`
+        });
+      }
+
+      const roles = await UserRole.findAll(role);
+
+      res.json({
+        success: true,
+        data: roles,
+        count: roles.length
+      });
+    } catch (error) {
+      console.error('Error in getAllRoles:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/testing/roles/:userId - Get a user's assigned role
+  static async getRole(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const userRole = await UserRole.findByUserId(userId);
+
+      if (!userRole) {
+        return res.status(404).json({
+          success: false,
+          message: 'User role not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: userRole
+      });
+    } catch (error) {
+      console.error('Error in getRole:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/roles/:userId - Assign a user's role
+  static async setRole(req, res) {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      const userRole = await UserRole.upsert(userId, role, { grantedBy: req.user.id });
+
+      res.json({
+        success: true,
+        data: userRole,
+        message: 'Role assigned successfully'
+      });
+    } catch (error) {
+      console.error('Error in setRole:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/testing/roles/:userId - Remove a user's role (they become a student)
+  static async deleteRole(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const userRole = await UserRole.findByUserId(userId);
+
+      if (!userRole) {
+        return res.status(404).json({
+          success: false,
+          message: 'User role not found'
+        });
+      }
+
+      await userRole.delete();
+
+      res.json({
+        success: true,
+        message: 'Role removed successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteRole:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = RoleController;
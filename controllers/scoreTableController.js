@@ -0,0 +1,164 @@
+const ScoreConversionTable = require('../models/ScoreConversionTable');
+
+class ScoreTableController {
+  // GET /api/v1/testing/score-tables - Get all score conversion tables
+  static async getAllScoreTables(req, res) {
+    try {
+      const tables = await ScoreConversionTable.findAll();
+
+      res.json({
+        success: true,
+        data: tables,
+        count: tables.length
+      });
+    } catch (error) {
+      console.error('Error in getAllScoreTables:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/testing/score-tables/:id - Get a score conversion table with its conversions
+  static async getScoreTableById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const table = await ScoreConversionTable.findById(id);
+
+      if (!table) {
+        return res.status(404).json({
+          success: false,
+          message: 'Score conversion table not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: table
+      });
+    } catch (error) {
+      console.error('Error in getScoreTableById:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/testing/score-tables - Create a score conversion table
+  static async createScoreTable(req, res) {
+    try {
+      const { name, description, conversions, is_default } = req.body;
+
+      const table = await ScoreConversionTable.create({
+        name,
+        description,
+        conversions,
+        is_default: is_default || false
+      });
+
+      res.status(201).json({
+        success: true,
+        data: table,
+        message: 'Score conversion table created successfully'
+      });
+    } catch (error) {
+      console.error('Error in createScoreTable:', error);
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/score-tables/:id - Update a score conversion table
+  static async updateScoreTable(req, res) {
+    try {
+      const { id } = req.params;
+
+      const table = await ScoreConversionTable.findById(id);
+
+      if (!table) {
+        return res.status(404).json({
+          success: false,
+          message: 'Score conversion table not found'
+        });
+      }
+
+      const updatedTable = await table.update(req.body);
+
+      res.json({
+        success: true,
+        data: updatedTable,
+        message: 'Score conversion table updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in updateScoreTable:', error);
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('No valid fields')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/testing/score-tables/:id - Delete a score conversion table
+  static async deleteScoreTable(req, res) {
+    try {
+      const { id } = req.params;
+
+      const table = await ScoreConversionTable.findById(id);
+
+      if (!table) {
+        return res.status(404).json({
+          success: false,
+          message: 'Score conversion table not found'
+        });
+      }
+
+      await table.delete();
+
+      res.json({
+        success: true,
+        message: 'Score conversion table deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteScoreTable:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = ScoreTableController;
@@ -1,23 +1,47 @@
 const Submission = require('../models/Submission');
 const Test = require('../models/Test');
+const TestAccessCode = require('../models/TestAccessCode');
+const { canViewAnswerKeys } = require('../middleware/authorization');
+const { ANSWER_VISIBILITY } = require('../utils/answerVisibility');
+const { buildProgressReport, PROJECTION } = require('../utils/progressTrends');
 
 class SubmissionController {
   /**
    * POST /api/v1/submissions - Create a new submission (start a test)
+   * Body: { testId } or { accessCode } (both may be given if they match)
    */
   static async createSubmission(req, res) {
     try {
       // Get userId from authenticated user (set by auth middleware)
       const userId = req.user.id;
-      const { testId, initialModuleId } = req.body;
+      const { accessCode } = req.body;
+      let { testId } = req.body;
 
-      if (!testId || !initialModuleId) {
+      if (!testId && !accessCode) {
         return res.status(400).json({
           success: false,
-          message: 'testId and initialModuleId are required'
+          message: 'testId or accessCode is required'
         });
       }
 
+      // An access code decides the test; its limits are checked when it is redeemed
+      if (accessCode) {
+        const code = await TestAccessCode.findByCode(accessCode);
+        if (!code) {
+          return res.status(404).json({
+            success: false,
+            message: 'Access code not found'
+          });
+        }
+        if (testId && testId !== code.test_id) {
+          return res.status(400).json({
+            success: false,
+            message: 'Access code is for a different test'
+          });
+        }
+        testId = code.test_id;
+      }
+
       // Verify test exists
       const test = await Test.findById(testId);
       if (!test) {
@@ -27,10 +51,26 @@ class SubmissionController {
         });
       }
 
+      // Drafts aren't ready and archived tests are retired
+      if (test.status !== 'published') {
+        return res.status(409).json({
+          success: false,
+          message: `Test is ${test.status} and cannot be started`
+        });
+      }
+
+      if (test.require_access_code && !accessCode) {
+        return res.status(403).json({
+          success: false,
+          message: 'This test can only be started with an access code'
+        });
+      }
+
+      // The first module comes from the test's own sequence
       const result = await Submission.create({
         userId,
         testId,
-        initialModuleId
+        accessCode
       });
 
       res.status(201).json({
@@ -43,6 +83,21 @@ class SubmissionController {
       });
     } catch (error) {
       console.error('Error in createSubmission:', error);
+
+      if (error.message.includes('Access code rejected')) {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('has no modules')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -58,7 +113,12 @@ class SubmissionController {
     try {
       const { submissionId } = req.params;
 
-      const submission = await Submission.findById(submissionId);
+      // Answer keys appear once the test is submitted (editors always see them)
+      const answerVisibility = await canViewAnswerKeys(req.user)
+        ? ANSWER_VISIBILITY.ALL
+        : ANSWER_VISIBILITY.REVIEW;
+
+      const submission = await Submission.findById(submissionId, { answerVisibility });
 
       if (!submission) {
         return res.status(404).json({
@@ -81,14 +141,67 @@ class SubmissionController {
     }
   }
 
+  /**
+   * GET /api/v1/submissions/:submissionId/review
+   * Question-by-question review of a submitted test
+   * (?incorrect_only=true, ?skill=, ?domain=, ?difficulty= narrow the questions shown)
+   */
+  static async getSubmissionReview(req, res) {
+    try {
+      const { submissionId } = req.params;
+      const { incorrect_only, skill, domain, difficulty } = req.query;
+
+      const filters = {
+        incorrectOnly: incorrect_only === 'true',
+        skill,
+        domain,
+        difficulty
+      };
+
+      const answerVisibility = await canViewAnswerKeys(req.user)
+        ? ANSWER_VISIBILITY.ALL
+        : ANSWER_VISIBILITY.REVIEW;
+
+      const review = await Submission.getReview(submissionId, { answerVisibility, filters });
+
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: review
+      });
+    } catch (error) {
+      console.error('Error in getSubmissionReview:', error);
+
+      if (error.message.includes('once the test has been submitted')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * GET /api/v1/submissions/user/:userId - Get all submissions for a user
+   * (tutors only get those from after the student joined their classroom)
    */
   static async getUserSubmissions(req, res) {
     try {
       const { userId } = req.params;
 
-      const submissions = await Submission.findByUserId(userId);
+      const submissions = await Submission.findByUserId(userId, { since: req.submissionsSince });
 
       res.json({
         success: true,
@@ -105,6 +218,46 @@ class SubmissionController {
     }
   }
 
+  /**
+   * GET /api/v1/submissions/user/:userId/progress
+   * Score trends across a student's submitted tests and a projected score range
+   * (?attempts=N sets how many recent attempts the projection uses)
+   */
+  static async getUserProgress(req, res) {
+    try {
+      const { userId } = req.params;
+      const attempts = req.query.attempts === undefined
+        ? PROJECTION.defaultAttempts
+        : parseInt(req.query.attempts, 10);
+
+      if (!Number.isInteger(attempts) || attempts < 1 || attempts > 20) {
+        return res.status(400).json({
+          success: false,
+          message: 'attempts must be an integer between 1 and 20'
+        });
+      }
+
+      const submitted = await Submission.findSubmittedByUserId(userId, { since: req.submissionsSince });
+      const report = buildProgressReport(submitted, { projectionAttempts: attempts });
+
+      res.json({
+        success: true,
+        data: {
+          user_id: userId,
+          attempt_count: submitted.length,
+          ...report
+        }
+      });
+    } catch (error) {
+      console.error('Error in getUserProgress:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * POST /api/v1/submissions/:submissionId/answers - Submit answers for a module
    */
@@ -151,6 +304,19 @@ class SubmissionController {
         });
       }
 
+      if (
+        error.message.includes('expired') ||
+        error.message.includes('already been completed') ||
+        error.message.includes('break is in progress') ||
+        error.message.includes('is paused') ||
+        error.message.includes('not in progress')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -173,7 +339,12 @@ class SubmissionController {
         success: true,
         data: {
           currentModuleScore: result.moduleScore,
-          nextModule: result.nextModule
+          nextModule: result.nextModule,
+          sectionComplete: result.sectionComplete,
+          nextSection: result.nextSection,
+          sectionBreak: result.sectionBreak,
+          moduleBreak: result.moduleBreak,
+          testComplete: !result.nextModule
         },
         message: 'Module completed successfully'
       });
@@ -187,6 +358,17 @@ class SubmissionController {
         });
       }
 
+      if (
+        error.message.includes('already been completed') ||
+        error.message.includes('is paused') ||
+        error.message.includes('not in progress')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -212,6 +394,191 @@ class SubmissionController {
       });
     } catch (error) {
       console.error('Error in finalizeSubmission:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (
+        error.message.includes('not in progress') ||
+        error.message.includes('still in progress') ||
+        error.message.includes('No completed modules')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/submissions/:submissionId/break/skip
+   * End the current break early and move on to the next module
+   */
+  static async skipBreak(req, res) {
+    try {
+      const { submissionId } = req.params;
+
+      const submission = await Submission.skipBreak(submissionId);
+
+      res.json({
+        success: true,
+        data: submission.toJSON(),
+        message: 'Section break skipped'
+      });
+    } catch (error) {
+      console.error('Error in skipBreak:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('No break in progress')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/submissions/:submissionId/pause
+   * Pause the submission and stop the current module's clock
+   */
+  static async pauseSubmission(req, res) {
+    try {
+      const { submissionId } = req.params;
+      const { reason } = req.body;
+
+      if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+        return res.status(400).json({
+          success: false,
+          message: 'reason must be a string of at most 500 characters'
+        });
+      }
+
+      const result = await Submission.pause(submissionId, { reason });
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'Submission paused'
+      });
+    } catch (error) {
+      console.error('Error in pauseSubmission:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (
+        error.message.includes('not in progress') ||
+        error.message.includes('disabled') ||
+        error.message.includes('already paused') ||
+        error.message.includes('limit reached') ||
+        error.message.includes('No module in progress') ||
+        error.message.includes('expired')
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/submissions/:submissionId/resume
+   * Resume a paused submission; the paused time is added to the module deadline
+   */
+  static async resumeSubmission(req, res) {
+    try {
+      const { submissionId } = req.params;
+
+      const result = await Submission.resume(submissionId);
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'Submission resumed'
+      });
+    } catch (error) {
+      console.error('Error in resumeSubmission:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not paused')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/submissions/:submissionId/modules/:moduleId/questions
+   * Get a module's questions in the order this submission sees them
+   */
+  static async getModuleQuestions(req, res) {
+    try {
+      const { submissionId, moduleId } = req.params;
+
+      const moduleQuestions = await Submission.getModuleQuestions(submissionId, moduleId);
+
+      if (!moduleQuestions) {
+        return res.status(404).json({
+          success: false,
+          message: 'Module not found for this submission'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: moduleQuestions
+      });
+    } catch (error) {
+      console.error('Error in getModuleQuestions:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -222,7 +589,7 @@ class SubmissionController {
 
   /**
    * GET /api/v1/submissions/:submissionId/current-module
-   * Get the current module for a submission
+   * Get the current module for a submission, including its server-side deadline
    */
   static async getCurrentModule(req, res) {
     try {
@@ -243,6 +610,21 @@ class SubmissionController {
       });
     } catch (error) {
       console.error('Error in getCurrentModule:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not in progress')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Internal server error',
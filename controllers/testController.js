@@ -1,7 +1,12 @@
 const Test = require('../models/Test');
+const TestAccessCode = require('../models/TestAccessCode');
+const { CODE_LENGTH: ACCESS_CODE_LENGTH } = require('../utils/accessCodes');
+const { SCORING_STRATEGIES } = require('../utils/satScoring');
+const { TEST_STATUSES } = require('../utils/testLifecycle');
+const { canViewAnswerKeys, canEditTests } = require('../middleware/authorization');
 
 class TestController {
-  // GET /api/v1/testing/tests/:code - Get test by access code
+  // GET /api/v1/testing/tests/:code - Get test by its code, or by an access code while it is usable
   static async getTestByCode(req, res) {
     try {
       const { code } = req.params;
@@ -10,18 +15,54 @@ class TestController {
       // Parse includeAnswers query parameter (default to false)
       const includeAnswersBool = includeAnswers === 'true' || includeAnswers === '1';
 
-      const test = await Test.findByCode(code, includeAnswersBool);
-
-      if (!test) {
-        return res.status(404).json({
+      // Answer keys are for editors only; students see them when reviewing a submitted test
+      if (includeAnswersBool && !(await canViewAnswerKeys(req.user))) {
+        return res.status(403).json({
           success: false,
-          message: `Test with access code '${code}' not found`
+          message: 'You do not have permission to view answers'
         });
       }
 
+      const notFound = () => res.status(404).json({
+        success: false,
+        message: `Test with access code '${code}' not found`
+      });
+
+      // Access codes are longer than test codes and resolve to their test
+      let accessCode = null;
+      if (code.length === ACCESS_CODE_LENGTH) {
+        accessCode = await TestAccessCode.findByCode(code);
+        if (!accessCode) {
+          return notFound();
+        }
+
+        const unavailable = accessCode.getAvailabilityError(req.user ? req.user.id : null);
+        if (unavailable) {
+          return res.status(403).json({
+            success: false,
+            message: unavailable
+          });
+        }
+      }
+
+      const test = await Test.findByCode(accessCode ? accessCode.test_code : code, includeAnswersBool);
+
+      if (!test) {
+        return notFound();
+      }
+
+      // Drafts and archived tests are only visible to editors, and so are tests
+      // that require an access code when they are looked up by their own code
+      const hidden = test.status !== 'published' || (!accessCode && test.require_access_code);
+      if (hidden && !(await canEditTests(req.user))) {
+        return notFound();
+      }
+
       res.json({
         success: true,
-        data: test
+        data: accessCode
+          ? { ...test, access_code: { code: accessCode.code, label: accessCode.label, ends_at: accessCode.ends_at } }
+          : test
       });
     } catch (error) {
       console.error('Error in getTestByCode:', error);
@@ -33,10 +74,26 @@ class TestController {
     }
   }
 
-  // GET /api/v1/testing/tests - Get all tests (basic info)
+  // GET /api/v1/testing/tests - Get all tests (basic info; published only unless an editor asks for ?status=)
   static async getAllTests(req, res) {
     try {
-      const tests = await Test.findAll();
+      const { status = 'published' } = req.query;
+
+      if (status !== 'all' && !TEST_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${[...TEST_STATUSES, 'all'].join(', ')}`
+        });
+      }
+
+      if (status !== 'published' && !(await canEditTests(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view unpublished tests'
+        });
+      }
+
+      const tests = await Test.findAll({ status });
 
       res.json({
         success: true,
@@ -53,6 +110,641 @@ class TestController {
     }
   }
 
+  // PUT /api/v1/testing/tests/:testId/score-table - Attach a score conversion table to a test
+  static async setScoreTable(req, res) {
+    try {
+      const { testId } = req.params;
+      const { scoreTableId } = req.body;
+
+      if (scoreTableId === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'scoreTableId is required (use null to fall back to the default table)'
+        });
+      }
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.setScoreConversionTable(scoreTableId);
+
+      res.json({
+        success: true,
+        data: test,
+        message: 'Score conversion table updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in setScoreTable:', error);
+
+      if (error.message.includes('cannot be scored')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/tests/:testId/scoring-method - Choose raw-table or IRT scoring
+  static async setScoringMethod(req, res) {
+    try {
+      const { testId } = req.params;
+      const { scoringMethod } = req.body;
+
+      if (!Object.keys(SCORING_STRATEGIES).includes(scoringMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: `scoringMethod must be one of: ${Object.keys(SCORING_STRATEGIES).join(', ')}`
+        });
+      }
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.setScoringMethod(scoringMethod);
+
+      res.json({
+        success: true,
+        data: test,
+        message: 'Scoring method updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in setScoringMethod:', error);
+
+      if (error.message.includes('cannot be scored')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/tests/:testId/routing-rules - Set the adaptive routing rules
+  static async setRoutingRules(req, res) {
+    try {
+      const { testId } = req.params;
+      const { routingRules } = req.body;
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.setRoutingRules(routingRules);
+
+      res.json({
+        success: true,
+        data: test,
+        message: 'Routing rules updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in setRoutingRules:', error);
+
+      if (error.message.includes('cannot be scored')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/tests/:testId/section-break - Set the break between sections
+  static async setSectionBreak(req, res) {
+    try {
+      const { testId } = req.params;
+      const { sectionBreakMinutes } = req.body;
+
+      if (!Number.isInteger(sectionBreakMinutes) || sectionBreakMinutes < 0 || sectionBreakMinutes > 60) {
+        return res.status(400).json({
+          success: false,
+          message: 'sectionBreakMinutes must be an integer between 0 and 60 (0 = no break)'
+        });
+      }
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.setSectionBreak(sectionBreakMinutes);
+
+      res.json({
+        success: true,
+        data: test,
+        message: 'Section break updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in setSectionBreak:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/tests/:testId/pause-policy - Set how many pauses are allowed
+  static async setPausePolicy(req, res) {
+    try {
+      const { testId } = req.params;
+      const { maxPauses, proctored } = req.body;
+
+      if (maxPauses === undefined && proctored === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'maxPauses or proctored is required'
+        });
+      }
+
+      if (maxPauses !== undefined && (!Number.isInteger(maxPauses) || maxPauses < 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'maxPauses must be a non-negative integer (0 = no pausing)'
+        });
+      }
+
+      if (proctored !== undefined && typeof proctored !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'proctored must be a boolean'
+        });
+      }
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.setPausePolicy({ maxPauses, proctored });
+
+      res.json({
+        success: true,
+        data: test,
+        message: 'Pause policy updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in setPausePolicy:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/tests/:testId/shuffle - Shuffle question and/or choice order per submission
+  static async setShuffleSettings(req, res) {
+    try {
+      const { testId } = req.params;
+      const { shuffleQuestions, shuffleChoices } = req.body;
+
+      if (shuffleQuestions === undefined && shuffleChoices === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'shuffleQuestions or shuffleChoices is required'
+        });
+      }
+
+      if ((shuffleQuestions !== undefined && typeof shuffleQuestions !== 'boolean') ||
+          (shuffleChoices !== undefined && typeof shuffleChoices !== 'boolean')) {
+        return res.status(400).json({
+          success: false,
+          message: 'shuffleQuestions and shuffleChoices must be booleans'
+        });
+      }
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.setShuffleSettings({ shuffleQuestions, shuffleChoices });
+
+      res.json({
+        success: true,
+        data: test,
+        message: 'Shuffle settings updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in setShuffleSettings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/tests/:testId/access-policy - Require an access code to open and start the test
+  static async setAccessPolicy(req, res) {
+    try {
+      const { testId } = req.params;
+      const { requireAccessCode } = req.body;
+
+      if (typeof requireAccessCode !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'requireAccessCode must be a boolean'
+        });
+      }
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.setAccessPolicy({ requireAccessCode });
+
+      res.json({
+        success: true,
+        data: test,
+        message: 'Access policy updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in setAccessPolicy:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/tests/:testId - Update a test's name or access code
+  static async updateTest(req, res) {
+    try {
+      const { testId } = req.params;
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.update(req.body);
+
+      res.json({
+        success: true,
+        data: test,
+        message: 'Test updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in updateTest:', error);
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('No valid fields')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // GET /api/v1/testing/tests/:testId/structure - Modules in order and whether they form a valid adaptive SAT
+  static async getTestStructure(req, res) {
+    try {
+      const { testId } = req.params;
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      const structure = await test.getStructure();
+
+      res.json({
+        success: true,
+        data: structure
+      });
+    } catch (error) {
+      console.error('Error in getTestStructure:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/testing/tests/:testId/modules - Attach a module (at orderNumber, default after the last)
+  static async addTestModule(req, res) {
+    try {
+      const { testId } = req.params;
+      const { moduleId, orderNumber } = req.body;
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.addModule(moduleId, orderNumber ?? null);
+      const structure = await test.getStructure();
+
+      res.status(201).json({
+        success: true,
+        data: structure,
+        message: 'Module added to test successfully'
+      });
+    } catch (error) {
+      console.error('Error in addTestModule:', error);
+
+      if (error.message.includes('move it back to draft')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('already part of this test')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/tests/:testId/modules - Set the test's modules in order
+  static async setTestModules(req, res) {
+    try {
+      const { testId } = req.params;
+      const { moduleIds } = req.body;
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.setModules(moduleIds);
+      const structure = await test.getStructure();
+
+      res.json({
+        success: true,
+        data: structure,
+        message: 'Test modules updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in setTestModules:', error);
+
+      if (error.message.includes('move it back to draft')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // DELETE /api/v1/testing/tests/:testId/modules/:moduleId - Detach a module from the test
+  static async removeTestModule(req, res) {
+    try {
+      const { testId, moduleId } = req.params;
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      await test.removeModule(moduleId);
+      const structure = await test.getStructure();
+
+      res.json({
+        success: true,
+        data: structure,
+        message: 'Module removed from test successfully'
+      });
+    } catch (error) {
+      console.error('Error in removeTestModule:', error);
+
+      if (error.message.includes('move it back to draft')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // PUT /api/v1/testing/tests/:testId/status - Publish, archive, or move back to draft
+  static async setStatus(req, res) {
+    try {
+      const { testId } = req.params;
+      const { status } = req.body;
+
+      if (!TEST_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${TEST_STATUSES.join(', ')}`
+        });
+      }
+
+      const test = await Test.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+
+      const validation = await test.setStatus(status);
+
+      res.json({
+        success: true,
+        data: { test, validation },
+        message: `Test ${status === 'draft' ? 'moved back to draft' : status} successfully`
+      });
+    } catch (error) {
+      console.error('Error in setStatus:', error);
+
+      if (error.message.includes('Status change not allowed') || error.message.includes('status changed meanwhile')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // POST /api/v1/testing/tests/assemble - Build a test from a content blueprint
+  static async assembleTest(req, res) {
+    try {
+      const { name, code, blueprint, studentId, seed, allowReuse, allowPartial, dryRun } = req.body;
+
+      const { test, assembly } = await Test.assemble({
+        name,
+        code,
+        blueprint,
+        studentId,
+        seed,
+        allowReuse,
+        allowPartial,
+        dryRun
+      });
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          data: { assembly }
+        });
+      }
+
+      if (!test) {
+        return res.status(422).json({
+          success: false,
+          message: 'The question bank cannot satisfy the blueprint',
+          data: { assembly }
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: { test, assembly },
+        message: assembly.satisfied
+          ? 'Test assembled as a draft; publish it when ready'
+          : 'Test assembled as a draft with shortfalls'
+      });
+    } catch (error) {
+      console.error('Error in assembleTest:', error);
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   // POST /api/v1/testing/tests - Create a new test
   static async createTest(req, res) {
     try {
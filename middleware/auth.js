@@ -53,6 +53,24 @@ const extractToken = (req) => {
   return authHeader;
 };
 
+/**
+ * Build the request user from a decoded Supabase JWT
+ * The role comes from app_metadata, which only the service role can set
+ * (user_metadata is editable by the user, so it is never trusted for roles)
+ */
+const buildUser = (decoded) => ({
+  id: decoded.sub, // Supabase uses 'sub' for user ID
+  email: decoded.email,
+  phone: decoded.phone,
+  display_name: decoded.user_metadata?.display_name || 
+               decoded.user_metadata?.full_name || 
+               decoded.email?.split('@')[0] || 
+               'User',
+  role: decoded.app_metadata?.role || null, // Resolved against user_roles by the authorization middleware
+  created_at: new Date(decoded.iat * 1000).toISOString(), // Convert issued at to ISO string
+  last_sign_in_at: new Date(decoded.iat * 1000).toISOString() // Use issued at as last sign in
+});
+
 /**
  * Verify JWT token and extract user data
  * @param {Object} req - Express request object
@@ -83,17 +101,7 @@ const verifyToken = async (req, res, next) => {
     });
 
     // Extract user data from the decoded token
-    req.user = {
-      id: decoded.sub, // Supabase uses 'sub' for user ID
-      email: decoded.email,
-      phone: decoded.phone,
-      display_name: decoded.user_metadata?.display_name || 
-                   decoded.user_metadata?.full_name || 
-                   decoded.email?.split('@')[0] || 
-                   'User',
-      created_at: new Date(decoded.iat * 1000).toISOString(), // Convert issued at to ISO string
-      last_sign_in_at: new Date(decoded.iat * 1000).toISOString() // Use issued at as last sign in
-    };
+    req.user = buildUser(decoded);
 
     // Also attach the raw token for potential use
     req.token = token;
@@ -161,17 +169,7 @@ const optionalAuth = async (req, res, next) => {
           });
         });
 
-        req.user = {
-          id: decoded.sub,
-          email: decoded.email,
-          phone: decoded.phone,
-          display_name: decoded.user_metadata?.display_name || 
-                       decoded.user_metadata?.full_name || 
-                       decoded.email?.split('@')[0] || 
-                       'User',
-          created_at: new Date(decoded.iat * 1000).toISOString(),
-          last_sign_in_at: new Date(decoded.iat * 1000).toISOString()
-        };
+        req.user = buildUser(decoded);
         req.token = token;
       } catch (error) {
         // Token is invalid, but we don't fail the request
@@ -208,17 +206,7 @@ const getUserFromToken = async (token) => {
       });
     });
 
-    return {
-      id: decoded.sub,
-      email: decoded.email,
-      phone: decoded.phone,
-      display_name: decoded.user_metadata?.display_name || 
-                   decoded.user_metadata?.full_name || 
-                   decoded.email?.split('@')[0] || 
-                   'User',
-      created_at: new Date(decoded.iat * 1000).toISOString(),
-      last_sign_in_at: new Date(decoded.iat * 1000).toISOString()
-    };
+    return buildUser(decoded);
   } catch (error) {
     console.error('Error getting user from token:', error);
     return null;
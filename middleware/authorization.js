@@ -0,0 +1,271 @@
+// Authorization Middleware
+// Restricts access to resources by ownership and role (runs after verifyToken)
+
+const Submission = require('../models/Submission');
+const UserRole = require('../models/UserRole');
+const Classroom = require('../models/Classroom');
+const { DEFAULT_ROLE, isValidRole, hasPermission } = require('../utils/permissions');
+
+/**
+ * Resolve the authenticated user's role and cache it on req.user
+ * The JWT claim (app_metadata.role) wins; otherwise the user_roles table; otherwise student
+ * @param {Object} user - req.user
+ * @returns {string} - Role name
+ */
+const resolveRole = async (user) => {
+  if (user.role && isValidRole(user.role)) {
+    return user.role;
+  }
+
+  const assigned = await UserRole.findByUserId(user.id);
+  user.role = assigned ? assigned.role : DEFAULT_ROLE;
+  return user.role;
+};
+
+/**
+ * Check whether a user may read other students' submissions
+ * Call resolveRole first; before that req.user.role only holds the JWT claim
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+const isStaff = (user) => Boolean(user) && hasPermission(user.role, 'submissions:read_any');
+
+/**
+ * Work out which of a student's submissions a user may read: staff may read all of
+ * them, tutors only those started after the student joined one of their classrooms
+ * @param {Object} user - req.user
+ * @param {string} studentId
+ * @returns {Object|null} - { since } (null since: everything), or null if none
+ */
+const getStudentReadScope = async (user, studentId) => {
+  const role = await resolveRole(user);
+
+  if (isStaff(user)) {
+    return { since: null };
+  }
+
+  if (!hasPermission(role, 'classrooms:teach')) {
+    return null;
+  }
+
+  const since = await Classroom.findTutoredSince(user.id, studentId);
+  return since ? { since } : null;
+};
+
+/**
+ * Check whether a user may always see answer keys and rationales
+ * @param {Object|undefined} user - req.user (anonymous users never can)
+ * @returns {boolean}
+ */
+const canViewAnswerKeys = async (user) => {
+  if (!user) {
+    return false;
+  }
+  return hasPermission(await resolveRole(user), 'answers:read');
+};
+
+/**
+ * Check whether a user may see draft and archived tests
+ * @param {Object|undefined} user - req.user (anonymous users never can)
+ * @returns {boolean}
+ */
+const canEditTests = async (user) => {
+  if (!user) {
+    return false;
+  }
+  return hasPermission(await resolveRole(user), 'tests:write');
+};
+
+/**
+ * Require the authenticated user's role to grant a permission
+ * @param {string} permission - Key of PERMISSIONS in utils/permissions.js
+ */
+const requirePermission = (permission) => {
+  // Fail at startup on a typo rather than on the first request
+  hasPermission(DEFAULT_ROLE, permission);
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const role = await resolveRole(req.user);
+
+      if (!hasPermission(role, permission)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error in requirePermission middleware:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+/**
+ * Require the authenticated user to own the submission in req.params.submissionId
+ * @param {Object} options - { allowStaff } also lets staff and the student's tutors through (use on read-only routes)
+ */
+const requireSubmissionOwner = (options = {}) => {
+  const { allowStaff = false } = options;
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const owner = await Submission.findOwner(req.params.submissionId);
+
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      if (owner.user_id !== req.user.id) {
+        const scope = allowStaff ? await getStudentReadScope(req.user, owner.user_id) : null;
+
+        if (!scope || (scope.since && owner.created_at < scope.since)) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have access to this submission'
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error in requireSubmissionOwner middleware:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+/**
+ * Require req.params.userId to be the authenticated user, unless they are staff or the student's tutor
+ * Sets req.submissionsSince for tutors, who only see submissions from after the student joined
+ */
+const requireSelfOrStaff = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    if (req.params.userId !== req.user.id) {
+      const scope = await getStudentReadScope(req.user, req.params.userId);
+
+      if (!scope) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only access your own submissions'
+        });
+      }
+
+      req.submissionsSince = scope.since;
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error in requireSelfOrStaff middleware:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Require the authenticated user to belong to the classroom in req.params.classroomId
+ * Sets req.classroom, and req.canManageClassroom for its tutors (with a role that
+ * grants classrooms:teach) and for roles that grant classrooms:manage_any
+ * @param {Object} options - { tutorOnly } only let those who can manage the classroom through
+ */
+const requireClassroomMember = (options = {}) => {
+  const { tutorOnly = false } = options;
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const classroom = await Classroom.findById(req.params.classroomId, req.user.id);
+
+      if (!classroom) {
+        return res.status(404).json({
+          success: false,
+          message: 'Classroom not found'
+        });
+      }
+
+      const role = await resolveRole(req.user);
+      const canManage = hasPermission(role, 'classrooms:manage_any') ||
+        (classroom.member_role === 'tutor' && hasPermission(role, 'classrooms:teach'));
+
+      if (!classroom.member_role && !canManage) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this classroom'
+        });
+      }
+
+      if (tutorOnly && !canManage) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only tutors of this classroom can do this'
+        });
+      }
+
+      req.classroom = classroom;
+      req.canManageClassroom = canManage;
+      next();
+    } catch (error) {
+      console.error('Error in requireClassroomMember middleware:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+module.exports = {
+  resolveRole,
+  isStaff,
+  getStudentReadScope,
+  canViewAnswerKeys,
+  canEditTests,
+  requirePermission,
+  requireSubmissionOwner,
+  requireSelfOrStaff,
+  requireClassroomMember
+};
@@ -2,6 +2,7 @@
 
 const auth = require('./auth');
 const validation = require('./validation');
+const authorization = require('./authorization');
 
 module.exports = {
   // Authentication middleware
@@ -10,6 +11,9 @@ module.exports = {
   optionalAuth: auth.optionalAuth,
   getUserFromToken: auth.getUserFromToken,
   extractToken: auth.extractToken,
+
+  // Authorization middleware
+  ...authorization,
   
   // Validation middleware
   ...validation
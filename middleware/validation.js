@@ -1,6 +1,13 @@
 // Validation Middleware
 // Handles request validation and sanitization
 
+const { validateScoreTables } = require('../utils/satScoring');
+const { validateRoutingRules } = require('../utils/adaptiveRouting');
+const { ROLES, CLASSROOM_ROLES } = require('../utils/permissions');
+const { normalizeChoices, validateChoices, validateAnswerKey } = require('../utils/questionChoices');
+const { SECTION_ORDER } = require('../utils/testSequence');
+const { validateBlueprint } = require('../utils/testBlueprint');
+
 // Question validation middleware
 const validateQuestion = (req, res, next) => {
   const {
@@ -14,7 +21,12 @@ const validateQuestion = (req, res, next) => {
     question_choices,
     question_rationale,
     correct_answer,
-    is_multiple_choice
+    accepted_answers,
+    change_reason,
+    is_multiple_choice,
+    irt_discrimination,
+    irt_difficulty,
+    irt_guessing
   } = req.body;
 
   const errors = [];
@@ -59,14 +71,56 @@ const validateQuestion = (req, res, next) => {
   }
 
   // Validate optional fields if provided
-  if (question_choices !== undefined && typeof question_choices !== 'string') {
-    errors.push('question_choices must be a string');
+  // Choices are records ({ label, content, image_url?, math? }) or an HTML blob to parse
+  if (question_choices !== undefined) {
+    if (typeof question_choices !== 'string' && !Array.isArray(question_choices)) {
+      errors.push('question_choices must be an array of choices');
+    } else {
+      errors.push(...validateChoices(normalizeChoices(question_choices)));
+    }
+  }
+
+  // A new multiple-choice question's key must name one of its choices
+  // (updates are checked against the stored question by the model)
+  if (req.method === 'POST' && is_multiple_choice === true && errors.length === 0) {
+    const keyError = validateAnswerKey({
+      is_multiple_choice,
+      question_choices: normalizeChoices(question_choices),
+      correct_answer
+    });
+    if (keyError) {
+      errors.push(keyError);
+    }
+  }
+
+  if (accepted_answers !== undefined &&
+      (!Array.isArray(accepted_answers) || accepted_answers.some(answer => typeof answer !== 'string'))) {
+    errors.push('accepted_answers must be an array of strings');
+  }
+
+  if (change_reason !== undefined && typeof change_reason !== 'string') {
+    errors.push('change_reason must be a string');
   }
 
   if (is_multiple_choice !== undefined && typeof is_multiple_choice !== 'boolean') {
     errors.push('is_multiple_choice must be a boolean');
   }
 
+  // Validate IRT parameters (null clears a calibrated value)
+  if (irt_discrimination !== undefined && irt_discrimination !== null &&
+      (typeof irt_discrimination !== 'number' || irt_discrimination <= 0)) {
+    errors.push('irt_discrimination must be a positive number');
+  }
+
+  if (irt_difficulty !== undefined && irt_difficulty !== null && typeof irt_difficulty !== 'number') {
+    errors.push('irt_difficulty must be a number');
+  }
+
+  if (irt_guessing !== undefined && irt_guessing !== null &&
+      (typeof irt_guessing !== 'number' || irt_guessing < 0 || irt_guessing >= 1)) {
+    errors.push('irt_guessing must be a number between 0 and 1');
+  }
+
   // Validate difficulty values
   if (difficulty && !['easy', 'medium', 'hard'].includes(difficulty)) {
     errors.push('difficulty must be one of: easy, medium, hard');
@@ -108,7 +162,11 @@ const sanitizeInput = (req, res, next) => {
   if (req.body.question_prompt) {
     req.body.question_prompt = sanitizeString(req.body.question_prompt);
   }
-  if (req.body.question_choices) {
+  if (Array.isArray(req.body.question_choices)) {
+    req.body.question_choices = req.body.question_choices.map(choice =>
+      (choice && typeof choice === 'object' ? { ...choice, content: sanitizeString(choice.content) } : choice)
+    );
+  } else if (req.body.question_choices) {
     req.body.question_choices = sanitizeString(req.body.question_choices);
   }
   if (req.body.question_rationale) {
@@ -151,12 +209,13 @@ const validateAltId = (req, res, next) => {
 // Validate test access code format
 const validateTestCode = (req, res, next) => {
   const { code } = req.params;
-  const testCodeRegex = /^[A-Z0-9]{6}$/;
+  // 6 characters for a test's own code, 8 for an access code
+  const testCodeRegex = /^([A-Z0-9]{6}|[A-Z0-9]{8})$/;
   
   if (code && !testCodeRegex.test(code)) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid test code format. Must be exactly 6 uppercase alphanumeric characters.'
+      error: 'Invalid test code format. Must be 6 (test code) or 8 (access code) uppercase alphanumeric characters.'
     });
   }
 
@@ -165,17 +224,18 @@ const validateTestCode = (req, res, next) => {
 
 // Validate submission creation data
 const validateSubmissionCreate = (req, res, next) => {
-  const { testId, initialModuleId } = req.body;
+  const { testId, accessCode } = req.body;
   const errors = [];
 
   // Note: userId is now obtained from req.user.id (auth middleware), not from body
+  // and the first module is chosen by the server from the test's module order
 
-  if (!testId) {
-    errors.push('testId is required');
+  if (!testId && !accessCode) {
+    errors.push('testId or accessCode is required');
   }
 
-  if (!initialModuleId) {
-    errors.push('initialModuleId is required');
+  if (accessCode !== undefined && (typeof accessCode !== 'string' || !/^[A-Z0-9]{8}$/.test(accessCode))) {
+    errors.push('accessCode must be exactly 8 uppercase alphanumeric characters');
   }
 
   // Validate UUIDs
@@ -185,10 +245,6 @@ const validateSubmissionCreate = (req, res, next) => {
     errors.push('testId must be a valid UUID');
   }
 
-  if (initialModuleId && !uuidRegex.test(initialModuleId)) {
-    errors.push('initialModuleId must be a valid UUID');
-  }
-
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -262,6 +318,596 @@ const validateSubmissionId = (req, res, next) => {
   next();
 };
 
+// Validate testId parameter
+const validateTestId = (req, res, next) => {
+  const { testId } = req.params;
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (testId && !uuidRegex.test(testId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid testId format. Must be a valid UUID.'
+    });
+  }
+
+  next();
+};
+
+// Validate moduleId parameter
+const validateModuleId = (req, res, next) => {
+  const { moduleId } = req.params;
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (moduleId && !uuidRegex.test(moduleId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid moduleId format. Must be a valid UUID.'
+    });
+  }
+
+  next();
+};
+
+// Validate score conversion table data
+const validateScoreTable = (req, res, next) => {
+  const { name, description, conversions, is_default } = req.body;
+  const errors = [];
+
+  if (req.method === 'POST') {
+    if (!name || typeof name !== 'string') {
+      errors.push('name is required and must be a string');
+    }
+
+    if (conversions === undefined) {
+      errors.push('conversions is required');
+    }
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (is_default !== undefined && typeof is_default !== 'boolean') {
+    errors.push('is_default must be a boolean');
+  }
+
+  if (conversions !== undefined) {
+    errors.push(...validateScoreTables(conversions));
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate assigning a score conversion table to a test
+const validateScoreTableAssignment = (req, res, next) => {
+  const { testId } = req.params;
+  const { scoreTableId } = req.body;
+  const errors = [];
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (testId && !uuidRegex.test(testId)) {
+    errors.push('testId must be a valid UUID');
+  }
+
+  if (scoreTableId !== undefined && scoreTableId !== null && !uuidRegex.test(scoreTableId)) {
+    errors.push('scoreTableId must be a valid UUID or null');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate adaptive routing rules for a test
+const validateRoutingRulesUpdate = (req, res, next) => {
+  const { testId } = req.params;
+  const { routingRules } = req.body;
+  const errors = [];
+
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (testId && !uuidRegex.test(testId)) {
+    errors.push('testId must be a valid UUID');
+  }
+
+  if (routingRules === undefined) {
+    errors.push('routingRules is required (use null for standard routing)');
+  } else if (routingRules !== null) {
+    errors.push(...validateRoutingRules(routingRules));
+
+    Object.values(routingRules).flat().forEach(rule => {
+      (Array.isArray(rule?.tiers) ? rule.tiers : []).forEach(tier => {
+        if (tier?.module_id !== undefined && !uuidRegex.test(tier.module_id)) {
+          errors.push(`module_id ${tier.module_id} must be a valid UUID`);
+        }
+      });
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate userId parameter
+const validateUserId = (req, res, next) => {
+  const { userId } = req.params;
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (userId && !uuidRegex.test(userId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid userId format. Must be a valid UUID.'
+    });
+  }
+
+  next();
+};
+
+// Validate testing accommodations
+const validateAccommodation = (req, res, next) => {
+  const { time_multiplier, extra_break_minutes, breaks_between_modules, notes } = req.body;
+  const errors = [];
+
+  if (time_multiplier !== undefined &&
+      (typeof time_multiplier !== 'number' || time_multiplier < 1 || time_multiplier > 4)) {
+    errors.push('time_multiplier must be a number between 1 and 4 (e.g. 1.5 for time-and-a-half)');
+  }
+
+  if (extra_break_minutes !== undefined &&
+      (!Number.isInteger(extra_break_minutes) || extra_break_minutes < 0 || extra_break_minutes > 120)) {
+    errors.push('extra_break_minutes must be an integer between 0 and 120');
+  }
+
+  if (breaks_between_modules !== undefined && typeof breaks_between_modules !== 'boolean') {
+    errors.push('breaks_between_modules must be a boolean');
+  }
+
+  if (breaks_between_modules === true && !(extra_break_minutes > 0)) {
+    errors.push('breaks_between_modules requires extra_break_minutes greater than 0');
+  }
+
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    errors.push('notes must be a string');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate review filters (query string)
+const validateReviewFilters = (req, res, next) => {
+  const { incorrect_only, skill, domain, difficulty } = req.query;
+  const errors = [];
+
+  if (incorrect_only !== undefined && !['true', 'false'].includes(incorrect_only)) {
+    errors.push('incorrect_only must be true or false');
+  }
+
+  [['skill', skill], ['domain', domain], ['difficulty', difficulty]].forEach(([name, value]) => {
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '')) {
+      errors.push(`${name} must be a non-empty string`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate a role assignment
+const validateRole = (req, res, next) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: [`role must be one of: ${ROLES.join(', ')}`]
+    });
+  }
+
+  next();
+};
+
+// Validate a list of UUIDs in the request body (no duplicates)
+const validateIdList = (name, value, errors) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || !uuidRegex.test(id))) {
+    errors.push(`${name} must be an array of UUIDs`);
+  } else if (new Set(value).size !== value.length) {
+    errors.push(`${name} must not contain duplicates`);
+  }
+};
+
+// Validate test name/code edits
+const validateTestUpdate = (req, res, next) => {
+  const { name, code } = req.body;
+  const errors = [];
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (code !== undefined && (typeof code !== 'string' || !/^[A-Z0-9]{6}$/.test(code))) {
+    errors.push('code must be exactly 6 uppercase alphanumeric characters');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate the modules attached to a test (moduleId to add one, moduleIds to set them all)
+const validateTestModules = (req, res, next) => {
+  const { moduleId, moduleIds, orderNumber } = req.body;
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  const errors = [];
+
+  if (req.method === 'POST') {
+    if (typeof moduleId !== 'string' || !uuidRegex.test(moduleId)) {
+      errors.push('moduleId is required and must be a valid UUID');
+    }
+    if (orderNumber !== undefined && orderNumber !== null && (!Number.isInteger(orderNumber) || orderNumber < 0)) {
+      errors.push('orderNumber must be a non-negative integer');
+    }
+  } else {
+    validateIdList('moduleIds', moduleIds, errors);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate a blueprint assembly request (blueprint defaults to the full-length SAT)
+const validateTestAssembly = (req, res, next) => {
+  const { name, code, blueprint, studentId, seed, allowReuse, allowPartial, dryRun } = req.body;
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  const errors = [];
+
+  if (!dryRun) {
+    if (!name || typeof name !== 'string') {
+      errors.push('name is required and must be a string');
+    }
+    if (typeof code !== 'string' || !/^[A-Z0-9]{6}$/.test(code)) {
+      errors.push('code is required and must be exactly 6 uppercase alphanumeric characters');
+    }
+  }
+
+  if (blueprint !== undefined) {
+    errors.push(...validateBlueprint(blueprint));
+  }
+
+  if (studentId !== undefined && studentId !== null && (typeof studentId !== 'string' || !uuidRegex.test(studentId))) {
+    errors.push('studentId must be a valid UUID');
+  }
+
+  if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > 2147483646)) {
+    errors.push('seed must be an integer between 0 and 2147483646');
+  }
+
+  for (const [field, value] of Object.entries({ allowReuse, allowPartial, dryRun })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate module data
+const validateModule = (req, res, next) => {
+  const { name, time_limit, subject_name, difficulty, questionIds } = req.body;
+  const errors = [];
+
+  if (req.method === 'POST') {
+    if (!name || typeof name !== 'string') {
+      errors.push('name is required and must be a string');
+    }
+    if (time_limit === undefined) {
+      errors.push('time_limit is required');
+    }
+    if (subject_name === undefined) {
+      errors.push('subject_name is required');
+    }
+    if (difficulty === undefined) {
+      errors.push('difficulty is required');
+    }
+  } else if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (time_limit !== undefined && (!Number.isInteger(time_limit) || time_limit <= 0 || time_limit > 180)) {
+    errors.push('time_limit must be an integer number of minutes between 1 and 180');
+  }
+
+  if (subject_name !== undefined && !SECTION_ORDER.includes(subject_name)) {
+    errors.push(`subject_name must be one of: ${SECTION_ORDER.join(', ')}`);
+  }
+
+  if (difficulty !== undefined && !['easy', 'medium', 'hard'].includes(difficulty)) {
+    errors.push('difficulty must be one of: easy, medium, hard (medium for Module 1)');
+  }
+
+  if (questionIds !== undefined) {
+    validateIdList('questionIds', questionIds, errors);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate access code creation and edits (POST requires testId)
+const validateAccessCode = (req, res, next) => {
+  const { testId, label, startsAt, endsAt, maxUses, oneAttemptPerStudent, isActive, userIds } = req.body;
+  const errors = [];
+
+  if (req.method === 'POST') {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!testId || !uuidRegex.test(testId)) {
+      errors.push('testId is required and must be a valid UUID');
+    }
+  } else if (testId !== undefined) {
+    errors.push('testId cannot be changed; create a new access code instead');
+  }
+
+  if (label !== undefined && label !== null && typeof label !== 'string') {
+    errors.push('label must be a string or null');
+  }
+
+  const isTimestamp = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+  if (startsAt !== undefined && startsAt !== null && !isTimestamp(startsAt)) {
+    errors.push('startsAt must be an ISO 8601 timestamp or null');
+  }
+  if (endsAt !== undefined && endsAt !== null && !isTimestamp(endsAt)) {
+    errors.push('endsAt must be an ISO 8601 timestamp or null');
+  }
+  if (isTimestamp(startsAt) && isTimestamp(endsAt) && Date.parse(endsAt) <= Date.parse(startsAt)) {
+    errors.push('endsAt must be after startsAt');
+  }
+
+  if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses <= 0)) {
+    errors.push('maxUses must be a positive integer or null (unlimited)');
+  }
+
+  if (oneAttemptPerStudent !== undefined && typeof oneAttemptPerStudent !== 'boolean') {
+    errors.push('oneAttemptPerStudent must be a boolean');
+  }
+
+  if (isActive !== undefined && (req.method === 'POST' || typeof isActive !== 'boolean')) {
+    errors.push('isActive must be a boolean (and can only be changed on an existing code)');
+  }
+
+  if (userIds !== undefined) {
+    validateIdList('userIds', userIds, errors);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate classroomId parameter
+const validateClassroomId = (req, res, next) => {
+  const { classroomId } = req.params;
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (classroomId && !uuidRegex.test(classroomId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid classroomId format. Must be a valid UUID.'
+    });
+  }
+
+  next();
+};
+
+// Validate invitationId parameter
+const validateInvitationId = (req, res, next) => {
+  const { invitationId } = req.params;
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (invitationId && !uuidRegex.test(invitationId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid invitationId format. Must be a valid UUID.'
+    });
+  }
+
+  next();
+};
+
+// Validate classroom creation and edits (POST requires name)
+const validateClassroom = (req, res, next) => {
+  const { name, description } = req.body;
+  const errors = [];
+
+  if (req.method === 'POST' && name === undefined) {
+    errors.push('name is required');
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.push('description must be a string or null');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate adding a classroom member
+const validateClassroomMember = (req, res, next) => {
+  const { userId, role } = req.body;
+  const errors = [];
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  if (!userId || !uuidRegex.test(userId)) {
+    errors.push('userId is required and must be a valid UUID');
+  }
+
+  if (role !== undefined && !CLASSROOM_ROLES.includes(role)) {
+    errors.push(`role must be one of: ${CLASSROOM_ROLES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate a classroom invitation
+const validateClassroomInvitation = (req, res, next) => {
+  const { email, role } = req.body;
+  const errors = [];
+
+  if (!email || typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.push('email is required and must be a valid email address');
+  }
+
+  if (role !== undefined && !CLASSROOM_ROLES.includes(role)) {
+    errors.push(`role must be one of: ${CLASSROOM_ROLES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validate a classroom join code
+const validateJoinCode = (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code || typeof code !== 'string' || !/^[A-Z0-9]{8}$/.test(code)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: ['code must be exactly 8 uppercase alphanumeric characters']
+    });
+  }
+
+  next();
+};
+
+// Validate changes to a module's question list
+const validateModuleQuestions = (req, res, next) => {
+  const { questionIds, position } = req.body;
+  const errors = [];
+
+  validateIdList('questionIds', questionIds, errors);
+
+  if (req.method === 'POST' && Array.isArray(questionIds) && questionIds.length === 0) {
+    errors.push('questionIds must not be empty');
+  }
+
+  if (position !== undefined && position !== null && (!Number.isInteger(position) || position < 0)) {
+    errors.push('position must be a non-negative integer');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateQuestion,
   sanitizeInput,
@@ -270,5 +916,26 @@ module.exports = {
   validateTestCode,
   validateSubmissionCreate,
   validateAnswers,
-  validateSubmissionId
+  validateSubmissionId,
+  validateTestId,
+  validateScoreTable,
+  validateScoreTableAssignment,
+  validateRoutingRulesUpdate,
+  validateUserId,
+  validateAccommodation,
+  validateReviewFilters,
+  validateRole,
+  validateTestUpdate,
+  validateTestModules,
+  validateTestAssembly,
+  validateModuleId,
+  validateModule,
+  validateModuleQuestions,
+  validateAccessCode,
+  validateClassroomId,
+  validateInvitationId,
+  validateClassroom,
+  validateClassroomMember,
+  validateClassroomInvitation,
+  validateJoinCode
 };
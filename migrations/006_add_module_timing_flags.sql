@@ -0,0 +1,18 @@
+-- Migration: Add server-side module timing flags
+-- Created: 2025-10-XX
+-- Description: Supports server-enforced module timers. Answers received inside the
+--              grace window after a module's deadline are flagged as late, and modules
+--              closed by the server when their time runs out are flagged as auto-completed.
+
+-- Flag answers that arrived after the module deadline (within the grace window)
+ALTER TABLE submitted_answers
+ADD COLUMN IF NOT EXISTS is_late BOOLEAN NOT NULL DEFAULT false;
+
+-- Flag modules that were completed by the server because time ran out
+ALTER TABLE submission_modules
+ADD COLUMN IF NOT EXISTS auto_completed BOOLEAN NOT NULL DEFAULT false;
+
+-- Add comments to document the purpose of the columns
+COMMENT ON COLUMN submitted_answers.is_late IS 'True if the answer was saved after the module deadline (within the late grace window)';
+COMMENT ON COLUMN submission_modules.auto_completed IS 'True if the module was completed by the server after its time limit expired';
+COMMENT ON COLUMN submission_modules.started_at IS 'When the module clock started; deadline is started_at + modules.time_limit';
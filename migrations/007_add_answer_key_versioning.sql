@@ -0,0 +1,45 @@
+-- Migration: Add multiple accepted answers and answer-key versioning
+-- Created: 2025-10-XX
+-- Description: Lets questions carry several accepted answer forms and keeps a history of
+--              answer-key changes. Submitted answers record the key version they were graded against.
+
+-- Additional accepted answer forms (correct_answer remains the canonical key)
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS accepted_answers TEXT[] NOT NULL DEFAULT '{}';
+
+-- Current answer-key version of each question
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS answer_key_version INTEGER NOT NULL DEFAULT 1;
+
+-- Create question_answer_keys table (history of answer-key versions)
+CREATE TABLE IF NOT EXISTS question_answer_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    question_id UUID NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    correct_answer TEXT NOT NULL,
+    accepted_answers TEXT[] NOT NULL DEFAULT '{}',
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL, -- null for imports and unauthenticated edits
+    change_reason TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE(question_id, version)
+);
+
+-- Seed version 1 for existing questions
+INSERT INTO question_answer_keys (question_id, version, correct_answer, accepted_answers, change_reason)
+SELECT id, answer_key_version, correct_answer, accepted_answers, 'Initial answer key'
+FROM questions
+ON CONFLICT (question_id, version) DO NOTHING;
+
+-- Record which answer-key version each answer was graded against
+ALTER TABLE submitted_answers
+ADD COLUMN IF NOT EXISTS answer_key_version INTEGER;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_question_answer_keys_question_id ON question_answer_keys(question_id);
+
+-- Add comments to document the purpose of the tables and columns
+COMMENT ON TABLE question_answer_keys IS 'History of answer-key versions for each question';
+COMMENT ON COLUMN questions.accepted_answers IS 'Additional accepted answer forms besides correct_answer (e.g. {".75", "0.75"})';
+COMMENT ON COLUMN questions.answer_key_version IS 'Current answer-key version; incremented whenever the key changes';
+COMMENT ON COLUMN question_answer_keys.changed_by IS 'User who changed the key (null for imports)';
+COMMENT ON COLUMN submitted_answers.answer_key_version IS 'Answer-key version the answer was graded against (null until graded)';
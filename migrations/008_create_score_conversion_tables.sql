@@ -0,0 +1,32 @@
+-- Migration: Create score_conversion_tables and attach them to tests
+-- Created: 2025-10-XX
+-- Description: Stores raw-to-scaled score conversion tables in the database so each test
+--              can use a mapping that matches its difficulty. Tests without a table use the
+--              default table (or the built-in tables in utils/satScoring.js if none is marked default).
+
+-- Create score_conversion_tables table
+CREATE TABLE IF NOT EXISTS score_conversion_tables (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    conversions JSONB NOT NULL, -- {"Reading and Writing": {"easy": {"0": 200, ...}, "hard": {...}}, "Math": {...}}
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Only one table can be the default
+CREATE UNIQUE INDEX IF NOT EXISTS idx_score_conversion_tables_default
+ON score_conversion_tables(is_default) WHERE is_default = true;
+
+-- Attach a conversion table to a test (null = use the default)
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS score_conversion_table_id UUID REFERENCES score_conversion_tables(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tests_score_conversion_table_id ON tests(score_conversion_table_id);
+
+-- Add comments to document the purpose of the tables and columns
+COMMENT ON TABLE score_conversion_tables IS 'Raw-to-scaled score conversion tables per subject and Module 2 difficulty';
+COMMENT ON COLUMN score_conversion_tables.conversions IS 'JSON keyed by subject, then Module 2 difficulty (easy/hard), then raw score';
+COMMENT ON COLUMN score_conversion_tables.is_default IS 'Table used for tests without their own conversion table';
+COMMENT ON COLUMN tests.score_conversion_table_id IS 'Conversion table used to scale this test (null = default table)';
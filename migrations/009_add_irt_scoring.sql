@@ -0,0 +1,50 @@
+-- Migration: Add item response theory (IRT) scoring support
+-- Created: 2025-10-XX
+-- Description: Stores per-question IRT parameters and lets each test choose between
+--              raw-score conversion tables and IRT ability estimation for scoring.
+
+-- Per-question item parameters (null = use defaults derived from the difficulty label)
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS irt_discrimination NUMERIC, -- a parameter
+ADD COLUMN IF NOT EXISTS irt_difficulty NUMERIC,     -- b parameter
+ADD COLUMN IF NOT EXISTS irt_guessing NUMERIC;       -- c parameter (null or 0 = 2PL)
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'questions_irt_discrimination_check'
+    ) THEN
+        ALTER TABLE questions
+        ADD CONSTRAINT questions_irt_discrimination_check CHECK (irt_discrimination IS NULL OR irt_discrimination > 0);
+    END IF;
+END $$;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'questions_irt_guessing_check'
+    ) THEN
+        ALTER TABLE questions
+        ADD CONSTRAINT questions_irt_guessing_check CHECK (irt_guessing IS NULL OR (irt_guessing >= 0 AND irt_guessing < 1));
+    END IF;
+END $$;
+
+-- Scoring strategy used by each test
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS scoring_method TEXT NOT NULL DEFAULT 'raw';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'tests_scoring_method_check'
+    ) THEN
+        ALTER TABLE tests
+        ADD CONSTRAINT tests_scoring_method_check CHECK (scoring_method IN ('raw', 'irt'));
+    END IF;
+END $$;
+
+-- Add comments to document the purpose of the columns
+COMMENT ON COLUMN questions.irt_discrimination IS 'IRT discrimination (a). Null uses the default for the difficulty label';
+COMMENT ON COLUMN questions.irt_difficulty IS 'IRT difficulty (b) on the ability scale. Null uses the default for the difficulty label';
+COMMENT ON COLUMN questions.irt_guessing IS 'IRT pseudo-guessing (c). Null uses 0.25 for multiple choice and 0 for SPR';
+COMMENT ON COLUMN tests.scoring_method IS 'Scoring strategy: raw (conversion tables) or irt (ability estimation)';
@@ -0,0 +1,12 @@
+-- Migration: Add per-test adaptive routing rules
+-- Created: 2025-10-XX
+-- Description: Stores the routing rules that decide which module a student takes
+--              next within a section (thresholds, tiers, metric), so tests can use
+--              rules other than the standard 70% Module 1 cutoff.
+
+-- Routing rules keyed by subject (null = standard Digital SAT routing)
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS routing_rules JSONB;
+
+-- Add comment to document the purpose of the column
+COMMENT ON COLUMN tests.routing_rules IS 'Adaptive routing rules keyed by subject (see utils/adaptiveRouting.js). Null uses the standard 70% Module 1 cutoff';
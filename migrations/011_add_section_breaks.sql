@@ -0,0 +1,28 @@
+-- Migration: Add section breaks between test sections
+-- Created: 2025-10-XX
+-- Description: Adds a configurable break between sections (10 minutes on the Digital SAT)
+--              and tracks the break a submission is currently on.
+
+-- Break length per test (0 = no break, e.g. short diagnostic tests)
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS section_break_minutes INTEGER NOT NULL DEFAULT 10;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'tests_section_break_minutes_check'
+    ) THEN
+        ALTER TABLE tests
+        ADD CONSTRAINT tests_section_break_minutes_check CHECK (section_break_minutes >= 0);
+    END IF;
+END $$;
+
+-- Current (or most recent) section break for a submission
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS break_started_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS break_ends_at TIMESTAMPTZ;
+
+-- Add comments to document the purpose of the columns
+COMMENT ON COLUMN tests.section_break_minutes IS 'Length of the break between sections in minutes (0 = no break)';
+COMMENT ON COLUMN submissions.break_started_at IS 'When the current or most recent section break started';
+COMMENT ON COLUMN submissions.break_ends_at IS 'When the section break ends (moved to the skip time if the student skips it)';
@@ -0,0 +1,46 @@
+-- Migration: Create submission_pauses and per-test pause policy
+-- Created: 2025-10-XX
+-- Description: Records pause/resume intervals for in-progress submissions so paused time
+--              doesn't count against module time limits, and lets each test cap the number
+--              of pauses or disable pausing entirely (proctored mode).
+
+-- Pause policy per test
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS max_pauses INTEGER NOT NULL DEFAULT 2,
+ADD COLUMN IF NOT EXISTS proctored BOOLEAN NOT NULL DEFAULT false;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'tests_max_pauses_check'
+    ) THEN
+        ALTER TABLE tests
+        ADD CONSTRAINT tests_max_pauses_check CHECK (max_pauses >= 0);
+    END IF;
+END $$;
+
+-- Create submission_pauses table
+CREATE TABLE IF NOT EXISTS submission_pauses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+    submission_module_id UUID NOT NULL REFERENCES submission_modules(id) ON DELETE CASCADE,
+    reason TEXT,
+    paused_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    resumed_at TIMESTAMPTZ -- Null while the pause is open
+);
+
+-- Only one open pause per submission
+CREATE UNIQUE INDEX IF NOT EXISTS idx_submission_pauses_open
+ON submission_pauses(submission_id) WHERE resumed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_submission_pauses_submission_id ON submission_pauses(submission_id);
+
+-- Paused time already taken off each module's clock
+ALTER TABLE submission_modules
+ADD COLUMN IF NOT EXISTS paused_seconds INTEGER NOT NULL DEFAULT 0;
+
+-- Add comments to document the purpose of the tables and columns
+COMMENT ON TABLE submission_pauses IS 'Pause/resume intervals for submissions; paused time extends the module deadline';
+COMMENT ON COLUMN tests.max_pauses IS 'Number of pauses allowed per submission (0 = pausing disabled)';
+COMMENT ON COLUMN tests.proctored IS 'Proctored tests cannot be paused';
+COMMENT ON COLUMN submission_modules.paused_seconds IS 'Total seconds spent in completed pauses during this module';
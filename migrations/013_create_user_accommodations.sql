@@ -0,0 +1,28 @@
+-- Migration: Create user_accommodations and record applied accommodations on submissions
+-- Created: 2025-10-XX
+-- Description: Stores approved testing accommodations per student (extended time, extra
+--              breaks) and snapshots what was applied to each submission for reporting.
+
+-- Create user_accommodations table
+CREATE TABLE IF NOT EXISTS user_accommodations (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    time_multiplier NUMERIC NOT NULL DEFAULT 1 CHECK (time_multiplier >= 1 AND time_multiplier <= 4), -- 1.5 = time-and-a-half, 2 = double time
+    extra_break_minutes INTEGER NOT NULL DEFAULT 0 CHECK (extra_break_minutes >= 0), -- Added to every break
+    breaks_between_modules BOOLEAN NOT NULL DEFAULT false, -- Also break between modules within a section
+    notes TEXT, -- e.g. plan reference (IEP/504)
+    approved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Accommodations applied to a submission (copied when the test is started)
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS time_multiplier NUMERIC NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS extra_break_minutes INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS breaks_between_modules BOOLEAN NOT NULL DEFAULT false;
+
+-- Add comments to document the purpose of the tables and columns
+COMMENT ON TABLE user_accommodations IS 'Approved testing accommodations per student, applied when a submission is created';
+COMMENT ON COLUMN submissions.time_multiplier IS 'Module time limit multiplier applied to this submission (1 = standard time)';
+COMMENT ON COLUMN submissions.extra_break_minutes IS 'Minutes added to every break in this submission';
+COMMENT ON COLUMN submissions.breaks_between_modules IS 'Whether this submission also breaks between modules within a section';
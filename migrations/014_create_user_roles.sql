@@ -0,0 +1,21 @@
+-- Migration: Create user_roles table
+-- Created: 2025-10-XX
+-- Description: Stores each user's role for role-based access control. The Supabase
+--              JWT claim app_metadata.role takes precedence; users with neither are students.
+
+-- Create user_roles table
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('student', 'tutor', 'content_editor', 'admin')),
+    granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Create index for listing users by role
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+
+-- Add comments to document the purpose of the table and columns
+COMMENT ON TABLE user_roles IS 'Role assigned to each user (student, tutor, content_editor, admin)';
+COMMENT ON COLUMN user_roles.role IS 'Used when the JWT does not carry app_metadata.role';
+COMMENT ON COLUMN user_roles.granted_by IS 'Admin who assigned the role';
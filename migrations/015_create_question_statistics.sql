@@ -0,0 +1,27 @@
+-- Migration: Create question_statistics table
+-- Created: 2025-10-XX
+-- Description: Stores item analytics per question (p-value, point-biserial discrimination,
+--              distractor selection rates, average time, review flags). Rows are replaced
+--              each time analytics are computed (nightly script or on demand).
+
+-- Create question_statistics table
+CREATE TABLE IF NOT EXISTS question_statistics (
+    question_id UUID PRIMARY KEY REFERENCES questions(id) ON DELETE CASCADE,
+    response_count INTEGER NOT NULL DEFAULT 0,
+    p_value NUMERIC, -- Proportion correct (NULL with no responses)
+    point_biserial NUMERIC, -- Correlation with the rest-of-section score
+    avg_time_seconds NUMERIC,
+    distractor_rates JSONB, -- [{ choice, count, rate, is_key }] for multiple-choice items
+    observed_difficulty TEXT CHECK (observed_difficulty IN ('easy', 'medium', 'hard')),
+    flags TEXT[] NOT NULL DEFAULT '{}',
+    computed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Create index for finding flagged items
+CREATE INDEX IF NOT EXISTS idx_question_statistics_flags ON question_statistics USING GIN (flags);
+
+-- Add comments to document the purpose of the table and columns
+COMMENT ON TABLE question_statistics IS 'Item analytics per question, computed from submitted tests';
+COMMENT ON COLUMN question_statistics.p_value IS 'Share of responses that were correct (0-1)';
+COMMENT ON COLUMN question_statistics.point_biserial IS 'Item discrimination: correlation between answering correctly and the rest of the section score';
+COMMENT ON COLUMN question_statistics.flags IS 'Review flags: difficulty_mismatch, low_discrimination, negative_discrimination, distractor_over_key';
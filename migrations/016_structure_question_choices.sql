@@ -0,0 +1,38 @@
+-- Migration: Store question choices as structured records
+-- Created: 2025-10-XX
+-- Description: Replaces the raw HTML question_choices TEXT column with a JSONB array of
+--              { label, content, image_url?, math? } records. The imported HTML is kept in
+--              question_choices_html so existing rows can be parsed into records with
+--              scripts/backfill_question_choices.js.
+
+-- Keep the imported HTML under a new name (skipped if this already ran)
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'questions' AND column_name = 'question_choices' AND data_type = 'text'
+    ) THEN
+        ALTER TABLE questions RENAME COLUMN question_choices TO question_choices_html;
+    END IF;
+END $$;
+
+ALTER TABLE questions
+ALTER COLUMN question_choices_html DROP NOT NULL;
+
+-- Structured choices (empty until backfilled or written through the API)
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS question_choices JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'questions_question_choices_check'
+    ) THEN
+        ALTER TABLE questions
+        ADD CONSTRAINT questions_question_choices_check CHECK (jsonb_typeof(question_choices) = 'array');
+    END IF;
+END $$;
+
+-- Add comments to document the purpose of the columns
+COMMENT ON COLUMN questions.question_choices IS 'Answer choices: [{ label (A-D), content, image_url?, math? }]. correct_answer holds a label for multiple choice';
+COMMENT ON COLUMN questions.question_choices_html IS 'Choices HTML as imported from the question bank, kept for re-parsing';
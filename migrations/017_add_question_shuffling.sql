@@ -0,0 +1,27 @@
+-- Migration: Add per-submission question and choice shuffling
+-- Created: 2025-10-XX
+-- Description: Lets a test shuffle question order within each module and choice order
+--              within each question. Each submission gets a seed, and the permutation is
+--              saved on submission_modules when the module is assigned so resume, review
+--              and grading all see the same order.
+
+-- Shuffle settings per test
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS shuffle_questions BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS shuffle_choices BOOLEAN NOT NULL DEFAULT false;
+
+-- Seed per submission (null when the test doesn't shuffle)
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS shuffle_seed INTEGER;
+
+-- Saved permutation per assigned module (null = module order / canonical choice order)
+ALTER TABLE submission_modules
+ADD COLUMN IF NOT EXISTS question_order UUID[],
+ADD COLUMN IF NOT EXISTS choice_order JSONB;
+
+-- Add comments to document the purpose of the columns
+COMMENT ON COLUMN tests.shuffle_questions IS 'Shuffle question order within each module per submission';
+COMMENT ON COLUMN tests.shuffle_choices IS 'Shuffle multiple-choice option order per submission';
+COMMENT ON COLUMN submissions.shuffle_seed IS 'Seed for this submission''s question and choice order';
+COMMENT ON COLUMN submission_modules.question_order IS 'Question IDs in the order this student sees them';
+COMMENT ON COLUMN submission_modules.choice_order IS 'Per question: canonical choice labels in display order, e.g. {"<question-id>": ["C","A","D","B"]}';
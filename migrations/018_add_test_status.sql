@@ -0,0 +1,34 @@
+-- Migration: Add test lifecycle states
+-- Created: 2025-10-XX
+-- Description: Tests move through draft -> published -> archived. Only published tests
+--              are served by access code and can be started; archived tests drop out of
+--              listings but their submissions stay reviewable. Tests that already exist
+--              are live, so they start out published; new tests start as drafts.
+
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published',
+ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+
+UPDATE tests SET published_at = created_at WHERE status = 'published' AND published_at IS NULL;
+
+ALTER TABLE tests ALTER COLUMN status SET DEFAULT 'draft';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'tests_status_check'
+    ) THEN
+        ALTER TABLE tests
+        ADD CONSTRAINT tests_status_check
+        CHECK (status IN ('draft', 'published', 'archived'));
+    END IF;
+END $$;
+
+-- Create index for listings filtered by status
+CREATE INDEX IF NOT EXISTS idx_tests_status ON tests(status);
+
+-- Add comments to document the purpose of the columns
+COMMENT ON COLUMN tests.status IS 'Lifecycle state: draft (editors only), published (live), archived (retired, still reviewable)';
+COMMENT ON COLUMN tests.published_at IS 'When the test was last published';
+COMMENT ON COLUMN tests.archived_at IS 'When the test was archived (null unless archived)';
@@ -0,0 +1,48 @@
+-- Migration: Create test_access_codes and per-test access code requirement
+-- Created: 2025-10-XX
+-- Description: Access codes are handed out separately from a test's permanent code. Each
+--              maps to one test and can limit when it works (start/end window), how many
+--              submissions it starts, who may use it, and one attempt per student.
+--              Tests that require an access code can no longer be opened or started
+--              with their permanent code.
+
+-- Access code requirement per test
+ALTER TABLE tests
+ADD COLUMN IF NOT EXISTS require_access_code BOOLEAN NOT NULL DEFAULT false;
+
+-- Create test_access_codes table
+CREATE TABLE IF NOT EXISTS test_access_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(8) UNIQUE NOT NULL CHECK (code ~ '^[A-Z0-9]{8}$'), -- Generated, so it can't clash with 6-character test codes
+    test_id UUID NOT NULL REFERENCES tests(id) ON DELETE CASCADE,
+    label TEXT, -- e.g. 'Saturday proctored session'
+    starts_at TIMESTAMPTZ, -- Null = usable right away
+    ends_at TIMESTAMPTZ, -- Null = never expires
+    max_uses INTEGER CHECK (max_uses > 0), -- Null = unlimited submissions
+    one_attempt_per_student BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true, -- False = revoked
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+-- Users an access code is restricted to (no rows = anyone with the code)
+CREATE TABLE IF NOT EXISTS test_access_code_users (
+    access_code_id UUID NOT NULL REFERENCES test_access_codes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    PRIMARY KEY (access_code_id, user_id)
+);
+
+-- Access code each submission was started with
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS access_code_id UUID REFERENCES test_access_codes(id) ON DELETE SET NULL;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_test_access_codes_test_id ON test_access_codes(test_id);
+CREATE INDEX IF NOT EXISTS idx_submissions_access_code_id ON submissions(access_code_id);
+
+-- Add comments to document the purpose of the tables and columns
+COMMENT ON TABLE test_access_codes IS 'Codes that open a test, with an optional time window, usage limit and user restriction';
+COMMENT ON TABLE test_access_code_users IS 'Users allowed to use a restricted access code';
+COMMENT ON COLUMN tests.require_access_code IS 'Only access codes (not the permanent test code) can open and start this test';
+COMMENT ON COLUMN submissions.access_code_id IS 'Access code used to start this submission (null if started with the test code)';
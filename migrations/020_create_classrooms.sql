@@ -0,0 +1,61 @@
+-- Migration: Create classrooms, classroom_members and classroom_invitations
+-- Created: 2025-10-XX
+-- Description: Records who teaches whom. A classroom has tutors and enrolled students;
+--              students join with the classroom's join code or by accepting an invitation
+--              sent to their email. Tutors can read their students' submissions and progress.
+
+-- Create classrooms table
+CREATE TABLE IF NOT EXISTS classrooms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    description TEXT,
+    join_code VARCHAR(8) UNIQUE CHECK (join_code ~ '^[A-Z0-9]{8}$'), -- Null = joining by code is off
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Create classroom_members table (tutors and students)
+CREATE TABLE IF NOT EXISTS classroom_members (
+    classroom_id UUID NOT NULL REFERENCES classrooms(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('tutor', 'student')),
+    added_by UUID REFERENCES auth.users(id) ON DELETE SET NULL, -- Null when they joined by code
+    joined_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (classroom_id, user_id)
+);
+
+-- Create classroom_invitations table
+CREATE TABLE IF NOT EXISTS classroom_invitations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    classroom_id UUID NOT NULL REFERENCES classrooms(id) ON DELETE CASCADE,
+    email TEXT NOT NULL CHECK (email = lower(email)),
+    role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('tutor', 'student')),
+    invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT now() + INTERVAL '14 days',
+    accepted_at TIMESTAMPTZ,
+    accepted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_classroom_members_user_id ON classroom_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_classroom_invitations_classroom_id ON classroom_invitations(classroom_id);
+
+-- One pending invitation per email per classroom
+CREATE UNIQUE INDEX IF NOT EXISTS idx_classroom_invitations_pending
+ON classroom_invitations(classroom_id, email)
+WHERE accepted_at IS NULL;
+
+-- Create index for finding a user's pending invitations
+CREATE INDEX IF NOT EXISTS idx_classroom_invitations_email
+ON classroom_invitations(email)
+WHERE accepted_at IS NULL;
+
+-- Add comments to document the purpose of the tables and columns
+COMMENT ON TABLE classrooms IS 'Classes or groups of students taught by one or more tutors';
+COMMENT ON TABLE classroom_members IS 'Tutors and students in each classroom';
+COMMENT ON TABLE classroom_invitations IS 'Invitations to join a classroom, matched to the invitee by email';
+COMMENT ON COLUMN classrooms.join_code IS 'Code students enter to join as a student (null = disabled)';
+COMMENT ON COLUMN classroom_members.role IS 'tutor: manages the classroom and reads its students'' results; student: enrolled';
+COMMENT ON COLUMN classroom_invitations.email IS 'Lowercased; accepted by the signed-in user with this email';
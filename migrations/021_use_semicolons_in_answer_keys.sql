@@ -0,0 +1,31 @@
+-- Migration: Separate alternative answers with semicolons
+-- Created: 2025-10-XX
+-- Description: Answer keys listed alternatives separated by commas or semicolons, which made
+--              "1,000" two answers. Semicolons are now the only separator and a comma inside
+--              a number is a thousands separator. Every comma in an existing key was read as
+--              a separator, so they are rewritten as semicolons and keys grade as before.
+
+UPDATE questions
+SET correct_answer = regexp_replace(correct_answer, '\s*,\s*', '; ', 'g')
+WHERE correct_answer LIKE '%,%';
+
+UPDATE questions
+SET accepted_answers = ARRAY(
+    SELECT regexp_replace(answer, '\s*,\s*', '; ', 'g')
+    FROM unnest(accepted_answers) WITH ORDINALITY AS answers(answer, position)
+    ORDER BY position
+)
+WHERE array_to_string(accepted_answers, '') LIKE '%,%';
+
+-- Keep the history readable with the same rule
+UPDATE question_answer_keys
+SET correct_answer = regexp_replace(correct_answer, '\s*,\s*', '; ', 'g')
+WHERE correct_answer LIKE '%,%';
+
+UPDATE question_answer_keys
+SET accepted_answers = ARRAY(
+    SELECT regexp_replace(answer, '\s*,\s*', '; ', 'g')
+    FROM unnest(accepted_answers) WITH ORDINALITY AS answers(answer, position)
+    ORDER BY position
+)
+WHERE array_to_string(accepted_answers, '') LIKE '%,%';
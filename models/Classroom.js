@@ -0,0 +1,437 @@
+const pool = require('../config/db');
+const { generateAccessCode } = require('../utils/accessCodes');
+
+// Tries before giving up on finding an unused join code
+const CODE_ATTEMPTS = 5;
+
+class Classroom {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.join_code = data.join_code;
+    this.created_by = data.created_by;
+    this.member_role = data.member_role;
+    this.tutor_count = data.tutor_count;
+    this.student_count = data.student_count;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Get classrooms with their member counts
+   * @param {Object} filters - { userId } only classrooms this user belongs to (with their member_role)
+   * @returns {Array<Classroom>}
+   */
+  static async findAll(filters = {}) {
+    const params = [filters.userId || null];
+    let query = `
+      SELECT c.*,
+        (SELECT cm.role FROM classroom_members cm WHERE cm.classroom_id = c.id AND cm.user_id = $1) as member_role,
+        (SELECT COUNT(*) FROM classroom_members cm WHERE cm.classroom_id = c.id AND cm.role = 'tutor')::int as tutor_count,
+        (SELECT COUNT(*) FROM classroom_members cm WHERE cm.classroom_id = c.id AND cm.role = 'student')::int as student_count
+      FROM classrooms c
+    `;
+
+    if (filters.userId) {
+      query += ' WHERE EXISTS (SELECT 1 FROM classroom_members cm WHERE cm.classroom_id = c.id AND cm.user_id = $1)';
+    }
+
+    query += ' ORDER BY c.name';
+
+    try {
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new Classroom(row));
+    } catch (error) {
+      throw new Error(`Error fetching classrooms: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a classroom by ID
+   * @param {string} id
+   * @param {string|null} userId - Fills member_role with this user's role in the classroom
+   * @returns {Classroom|null}
+   */
+  static async findById(id, userId = null) {
+    const query = `
+      SELECT c.*,
+        (SELECT cm.role FROM classroom_members cm WHERE cm.classroom_id = c.id AND cm.user_id = $2) as member_role,
+        (SELECT COUNT(*) FROM classroom_members cm WHERE cm.classroom_id = c.id AND cm.role = 'tutor')::int as tutor_count,
+        (SELECT COUNT(*) FROM classroom_members cm WHERE cm.classroom_id = c.id AND cm.role = 'student')::int as student_count
+      FROM classrooms c
+      WHERE c.id = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [id, userId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new Classroom(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching classroom: ${error.message}`);
+    }
+  }
+
+  // Get a classroom by its join code
+  static async findByJoinCode(joinCode) {
+    try {
+      const result = await pool.query('SELECT * FROM classrooms WHERE join_code = $1', [joinCode]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new Classroom(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching classroom: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find when a student first joined one of a tutor's classrooms (as a student)
+   * Tutors only see what the student did from then on.
+   * @param {string} tutorId
+   * @param {string} studentId
+   * @returns {Date|null} - null if the user doesn't tutor the student
+   */
+  static async findTutoredSince(tutorId, studentId) {
+    const query = `
+      SELECT MIN(student.joined_at) as since
+      FROM classroom_members tutor
+      JOIN classroom_members student ON student.classroom_id = tutor.classroom_id
+      WHERE tutor.user_id = $1 AND tutor.role = 'tutor'
+        AND student.user_id = $2 AND student.role = 'student'
+    `;
+
+    try {
+      const result = await pool.query(query, [tutorId, studentId]);
+      return result.rows[0].since;
+    } catch (error) {
+      throw new Error(`Error checking tutor relationship: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a classroom with its creator as the first tutor and a join code
+   * @param {Object} classroomData - { name, description, createdBy }
+   * @returns {Classroom}
+   */
+  static async create(classroomData) {
+    const { name, description = null, createdBy } = classroomData;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      let row = null;
+      for (let attempt = 0; attempt < CODE_ATTEMPTS && !row; attempt++) {
+        // A savepoint lets a code collision be retried without losing the transaction
+        await client.query('SAVEPOINT generate_code');
+        try {
+          const result = await client.query(
+            `INSERT INTO classrooms (name, description, join_code, created_by)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [name, description, generateAccessCode(), createdBy]
+          );
+          row = result.rows[0];
+        } catch (error) {
+          if (error.code !== '23505') { // Unique violation
+            throw error;
+          }
+          await client.query('ROLLBACK TO SAVEPOINT generate_code');
+        }
+      }
+
+      if (!row) {
+        throw new Error('Could not generate a unique join code');
+      }
+
+      await client.query(
+        `INSERT INTO classroom_members (classroom_id, user_id, role, added_by)
+         VALUES ($1, $2, 'tutor', $2)`,
+        [row.id, createdBy]
+      );
+
+      await client.query('COMMIT');
+      return new Classroom({ ...row, member_role: 'tutor', tutor_count: 1, student_count: 0 });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Error creating classroom: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the classroom's members (tutors first, then students by join date)
+   * @param {Object} options - { role } only 'tutor' or 'student' members
+   * @returns {Array<Object>} - [{ user_id, email, role, added_by, joined_at }]
+   */
+  async getMembers(options = {}) {
+    const params = [this.id];
+    let query = `
+      SELECT cm.user_id, u.email, cm.role, cm.added_by, cm.joined_at
+      FROM classroom_members cm
+      LEFT JOIN auth.users u ON cm.user_id = u.id
+      WHERE cm.classroom_id = $1
+    `;
+
+    if (options.role) {
+      params.push(options.role);
+      query += ` AND cm.role = $${params.length}`;
+    }
+
+    query += " ORDER BY cm.role = 'tutor' DESC, cm.joined_at";
+
+    try {
+      const result = await pool.query(query, params);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error fetching classroom members: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a member, or change an existing member's role
+   * @param {string} userId
+   * @param {string} role - tutor or student
+   * @param {Object} options - { addedBy, client } client to run inside a transaction
+   * @returns {Object} - The membership
+   */
+  async addMember(userId, role, options = {}) {
+    const { addedBy = null, client = pool } = options;
+
+    const query = `
+      INSERT INTO classroom_members (classroom_id, user_id, role, added_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (classroom_id, user_id)
+      DO UPDATE SET role = EXCLUDED.role,
+        -- Becoming a student starts the period tutors can see
+        joined_at = CASE
+          WHEN EXCLUDED.role = 'student' AND classroom_members.role <> 'student' THEN NOW()
+          ELSE classroom_members.joined_at
+        END
+      RETURNING *
+    `;
+
+    try {
+      const result = await client.query(query, [this.id, userId, role, addedBy]);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('User not found');
+      }
+      throw new Error(`Error adding classroom member: ${error.message}`);
+    }
+  }
+
+  // Remove a member. The last tutor can't leave, so every classroom keeps someone in charge.
+  async removeMember(userId) {
+    const query = `
+      DELETE FROM classroom_members
+      WHERE classroom_id = $1 AND user_id = $2
+        AND NOT (
+          role = 'tutor' AND
+          (SELECT COUNT(*) FROM classroom_members WHERE classroom_id = $1 AND role = 'tutor') = 1
+        )
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id, userId]);
+      if (result.rows.length === 0) {
+        const role = await this.getMemberRole(userId);
+        throw new Error(role ? 'The last tutor cannot leave the classroom' : 'Member not found');
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Error removing classroom member: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's role in the classroom
+   * @param {string} userId
+   * @returns {string|null} - tutor, student, or null if not a member
+   */
+  async getMemberRole(userId) {
+    try {
+      const result = await pool.query(
+        'SELECT role FROM classroom_members WHERE classroom_id = $1 AND user_id = $2',
+        [this.id, userId]
+      );
+      return result.rows.length === 0 ? null : result.rows[0].role;
+    } catch (error) {
+      throw new Error(`Error fetching classroom member: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the join code (so an old one that leaked stops working) or turn joining by code off
+   * @param {boolean} enabled
+   * @returns {Classroom}
+   */
+  async resetJoinCode(enabled = true) {
+    for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt++) {
+      try {
+        const result = await pool.query(
+          `UPDATE classrooms
+           SET join_code = $1, updated_at = now()
+           WHERE id = $2
+           RETURNING *`,
+          [enabled ? generateAccessCode() : null, this.id]
+        );
+        if (result.rows.length === 0) {
+          throw new Error('Classroom not found');
+        }
+        Object.assign(this, result.rows[0]);
+        return this;
+      } catch (error) {
+        if (error.code !== '23505') { // Unique violation
+          throw new Error(`Error resetting join code: ${error.message}`);
+        }
+      }
+    }
+    throw new Error('Error resetting join code: Could not generate a unique join code');
+  }
+
+  /**
+   * Get the students' submissions started since they joined, newest first
+   * @param {Object} filters - { status, testId, userId }
+   * @returns {Array<Object>}
+   */
+  async getStudentSubmissions(filters = {}) {
+    const params = [this.id];
+    let query = `
+      SELECT s.id, s.user_id, u.email, s.test_id, t.name as test_name, t.code as test_code,
+        s.status, s.score, s.created_at, s.submitted_at
+      FROM submissions s
+      JOIN classroom_members cm ON cm.user_id = s.user_id AND cm.classroom_id = $1 AND cm.role = 'student'
+        AND s.created_at >= cm.joined_at
+      LEFT JOIN auth.users u ON s.user_id = u.id
+      LEFT JOIN tests t ON s.test_id = t.id
+      WHERE 1=1
+    `;
+
+    if (filters.status) {
+      params.push(filters.status);
+      query += ` AND s.status = $${params.length}`;
+    }
+
+    if (filters.testId) {
+      params.push(filters.testId);
+      query += ` AND s.test_id = $${params.length}`;
+    }
+
+    if (filters.userId) {
+      params.push(filters.userId);
+      query += ` AND s.user_id = $${params.length}`;
+    }
+
+    query += ' ORDER BY s.created_at DESC';
+
+    try {
+      const result = await pool.query(query, params);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error fetching classroom submissions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every student's submitted tests started since they joined, with their final
+   * scores, oldest first (the shape Submission.findSubmittedByUserId returns, plus user_id)
+   * @returns {Array<Object>} - [{ user_id, submission_id, test_id, test_name, submitted_at, score }]
+   */
+  async getStudentAttempts() {
+    const query = `
+      SELECT s.user_id, s.id as submission_id, s.test_id, t.name as test_name, s.submitted_at, s.score
+      FROM submissions s
+      JOIN classroom_members cm ON cm.user_id = s.user_id AND cm.classroom_id = $1 AND cm.role = 'student'
+        AND s.created_at >= cm.joined_at
+      LEFT JOIN tests t ON s.test_id = t.id
+      WHERE s.status = 'submitted' AND s.score IS NOT NULL
+      ORDER BY s.submitted_at ASC
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error fetching classroom attempts: ${error.message}`);
+    }
+  }
+
+  // Update a classroom's name or description
+  async update(updateData) {
+    const allowedFields = ['name', 'description'];
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        paramCount++;
+        updates.push(`${key} = $${paramCount}`);
+        values.push(value);
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    paramCount++;
+    values.push(this.id);
+
+    const query = `
+      UPDATE classrooms
+      SET ${updates.join(', ')}, updated_at = now()
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, values);
+      if (result.rows.length === 0) {
+        throw new Error('Classroom not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      throw new Error(`Error updating classroom: ${error.message}`);
+    }
+  }
+
+  // Delete a classroom (memberships and invitations go with it; submissions are kept)
+  async delete() {
+    try {
+      const result = await pool.query('DELETE FROM classrooms WHERE id = $1 RETURNING *', [this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Classroom not found');
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Error deleting classroom: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (the join code is only for tutors, see the controller)
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      join_code: this.join_code,
+      created_by: this.created_by,
+      member_role: this.member_role,
+      tutor_count: this.tutor_count,
+      student_count: this.student_count,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Classroom;
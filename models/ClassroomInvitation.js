@@ -0,0 +1,202 @@
+const pool = require('../config/db');
+
+class ClassroomInvitation {
+  constructor(data) {
+    this.id = data.id;
+    this.classroom_id = data.classroom_id;
+    this.classroom_name = data.classroom_name;
+    this.email = data.email;
+    this.role = data.role;
+    this.invited_by = data.invited_by;
+    this.created_at = data.created_at;
+    this.expires_at = data.expires_at;
+    this.accepted_at = data.accepted_at;
+    this.accepted_by = data.accepted_by;
+  }
+
+  /**
+   * Get a classroom's invitations, newest first
+   * @param {string} classroomId
+   * @param {Object} options - { pendingOnly } leave out accepted invitations
+   * @returns {Array<ClassroomInvitation>}
+   */
+  static async findByClassroomId(classroomId, options = {}) {
+    let query = `
+      SELECT i.*, c.name as classroom_name
+      FROM classroom_invitations i
+      JOIN classrooms c ON i.classroom_id = c.id
+      WHERE i.classroom_id = $1
+    `;
+
+    if (options.pendingOnly) {
+      query += ' AND i.accepted_at IS NULL';
+    }
+
+    query += ' ORDER BY i.created_at DESC';
+
+    try {
+      const result = await pool.query(query, [classroomId]);
+      return result.rows.map(row => new ClassroomInvitation(row));
+    } catch (error) {
+      throw new Error(`Error fetching classroom invitations: ${error.message}`);
+    }
+  }
+
+  // Get the pending, unexpired invitations sent to an email
+  static async findPendingByEmail(email) {
+    const query = `
+      SELECT i.*, c.name as classroom_name
+      FROM classroom_invitations i
+      JOIN classrooms c ON i.classroom_id = c.id
+      WHERE i.email = $1 AND i.accepted_at IS NULL AND i.expires_at > now()
+      ORDER BY i.created_at DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [email.toLowerCase()]);
+      return result.rows.map(row => new ClassroomInvitation(row));
+    } catch (error) {
+      throw new Error(`Error fetching invitations: ${error.message}`);
+    }
+  }
+
+  // Get an invitation by ID
+  static async findById(id) {
+    const query = `
+      SELECT i.*, c.name as classroom_name
+      FROM classroom_invitations i
+      JOIN classrooms c ON i.classroom_id = c.id
+      WHERE i.id = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new ClassroomInvitation(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invite an email to a classroom (the API doesn't send email; the invitee sees it
+   * when they sign in with that address)
+   * @param {Object} invitationData - { classroomId, email, role, invitedBy }
+   * @returns {ClassroomInvitation}
+   */
+  static async create(invitationData) {
+    const { classroomId, email, role = 'student', invitedBy = null } = invitationData;
+
+    const query = `
+      INSERT INTO classroom_invitations (classroom_id, email, role, invited_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [classroomId, email.toLowerCase(), role, invitedBy]);
+      return new ClassroomInvitation(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // Unique violation
+        throw new Error('An invitation for this email is already pending');
+      }
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Classroom not found');
+      }
+      throw new Error(`Error creating invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept the invitation: the user joins the classroom with the invited role
+   * @param {Object} user - req.user (their email must match the invitation)
+   * @returns {Object} - The membership
+   */
+  async accept(user) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Locked so the invitation can't be accepted twice
+      const result = await client.query(
+        'SELECT * FROM classroom_invitations WHERE id = $1 FOR UPDATE',
+        [this.id]
+      );
+      if (result.rows.length === 0) {
+        throw new Error('Invitation not found');
+      }
+      const invitation = result.rows[0];
+
+      if (!user.email || invitation.email !== user.email.toLowerCase()) {
+        throw new Error('Invitation not found');
+      }
+      if (invitation.accepted_at) {
+        throw new Error('Invitation has already been accepted');
+      }
+      if (new Date(invitation.expires_at) <= new Date()) {
+        throw new Error('Invitation has expired');
+      }
+
+      // An existing tutor keeps their role if invited as a student
+      const membership = await client.query(
+        `INSERT INTO classroom_members (classroom_id, user_id, role, added_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (classroom_id, user_id)
+         DO UPDATE SET role = CASE WHEN EXCLUDED.role = 'tutor' THEN 'tutor' ELSE classroom_members.role END
+         RETURNING *`,
+        [invitation.classroom_id, user.id, invitation.role, invitation.invited_by]
+      );
+
+      const accepted = await client.query(
+        `UPDATE classroom_invitations
+         SET accepted_at = now(), accepted_by = $2
+         WHERE id = $1
+         RETURNING *`,
+        [this.id, user.id]
+      );
+      Object.assign(this, accepted.rows[0]);
+
+      await client.query('COMMIT');
+      return membership.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Error accepting invitation: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Withdraw the invitation
+  async delete() {
+    try {
+      const result = await pool.query('DELETE FROM classroom_invitations WHERE id = $1 RETURNING *', [this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Invitation not found');
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Error deleting invitation: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      classroom_id: this.classroom_id,
+      classroom_name: this.classroom_name,
+      email: this.email,
+      role: this.role,
+      invited_by: this.invited_by,
+      created_at: this.created_at,
+      expires_at: this.expires_at,
+      accepted_at: this.accepted_at,
+      accepted_by: this.accepted_by
+    };
+  }
+}
+
+module.exports = ClassroomInvitation;
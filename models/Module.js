@@ -0,0 +1,365 @@
+const pool = require('../config/db');
+
+class Module {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.time_limit = data.time_limit;
+    this.subject_name = data.subject_name;
+    this.difficulty = data.difficulty;
+    this.question_count = data.question_count;
+    this.test_count = data.test_count;
+    this.created_at = data.created_at;
+  }
+
+  // Get all modules with their question and test counts
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT m.*,
+        (SELECT COUNT(*) FROM module_questions mq WHERE mq.module_id = m.id)::int as question_count,
+        (SELECT COUNT(*) FROM test_modules tm WHERE tm.module_id = m.id)::int as test_count
+      FROM modules m
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 0;
+
+    if (filters.subject) {
+      paramCount++;
+      query += ` AND m.subject_name = $${paramCount}`;
+      params.push(filters.subject);
+    }
+
+    if (filters.difficulty) {
+      paramCount++;
+      query += ` AND m.difficulty = $${paramCount}`;
+      params.push(filters.difficulty);
+    }
+
+    query += ' ORDER BY m.created_at DESC';
+
+    try {
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new Module(row));
+    } catch (error) {
+      throw new Error(`Error fetching modules: ${error.message}`);
+    }
+  }
+
+  // Get a module by ID
+  static async findById(id) {
+    const query = `
+      SELECT m.*,
+        (SELECT COUNT(*) FROM module_questions mq WHERE mq.module_id = m.id)::int as question_count
+      FROM modules m
+      WHERE m.id = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new Module(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching module: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a module, optionally with its ordered question list
+   * @param {Object} moduleData - { name, time_limit, subject_name, difficulty, questionIds }
+   * @returns {Module}
+   */
+  static async create(moduleData) {
+    const { name, time_limit, subject_name, difficulty, questionIds = [] } = moduleData;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO modules (name, time_limit, subject_name, difficulty)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [name, time_limit, subject_name, difficulty]
+      );
+      const module = new Module(result.rows[0]);
+
+      await Module.writeQuestionOrder(client, module.id, questionIds);
+      module.question_count = questionIds.length;
+
+      await client.query('COMMIT');
+      return module;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('One or more questions not found');
+      }
+      throw new Error(`Error creating module: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace a module's question list with these questions, in this order (0-based order_number)
+   * @param {Object} client - Database client (inside a transaction)
+   * @param {string} moduleId
+   * @param {Array<string>} questionIds
+   */
+  static async writeQuestionOrder(client, moduleId, questionIds) {
+    await client.query('DELETE FROM module_questions WHERE module_id = $1', [moduleId]);
+
+    if (questionIds.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO module_questions (module_id, question_id, order_number)
+       SELECT $1, question_id, ordinality - 1
+       FROM unnest($2::uuid[]) WITH ORDINALITY AS ids(question_id, ordinality)`,
+      [moduleId, questionIds]
+    );
+  }
+
+  // Get the module's questions in order (answer keys are never included)
+  async getQuestions(client = pool) {
+    const query = `
+      SELECT q.id, q.alt_id, q.question_subject, q.question_domain, q.question_skill,
+        q.difficulty, q.is_multiple_choice, mq.order_number as "order"
+      FROM module_questions mq
+      JOIN questions q ON mq.question_id = q.id
+      WHERE mq.module_id = $1
+      ORDER BY mq.order_number
+    `;
+
+    try {
+      const result = await client.query(query, [this.id]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error fetching module questions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether the module is locked: students have taken it, or it is part of a
+   * published or archived test. Locked modules keep their questions and settings so
+   * results and reviews stay accurate; copy them to make a new version instead.
+   * @param {string} action - Verb for the message ('changed' or 'deleted')
+   * @returns {string|null} - Why the module can't be edited, or null
+   */
+  async getEditLock(action = 'changed') {
+    const query = `
+      SELECT
+        EXISTS (SELECT 1 FROM submission_modules WHERE module_id = $1) as taken,
+        (SELECT t.code || ' (' || t.status || ')'
+         FROM test_modules tm
+         JOIN tests t ON tm.test_id = t.id
+         WHERE tm.module_id = $1 AND t.status <> 'draft'
+         LIMIT 1) as live_test
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id]);
+      const { taken, live_test } = result.rows[0];
+
+      if (taken) {
+        return `Module has been taken in submissions and cannot be ${action}`;
+      }
+      if (live_test) {
+        return `Module is part of test ${live_test} and cannot be ${action}`;
+      }
+      return null;
+    } catch (error) {
+      throw new Error(`Error checking module lock: ${error.message}`);
+    }
+  }
+
+  // Update a module's settings (only the name once the module is locked)
+  async update(updateData) {
+    const allowedFields = ['name', 'time_limit', 'subject_name', 'difficulty'];
+
+    const changesContent = Object.entries(updateData)
+      .some(([key, value]) => key !== 'name' && allowedFields.includes(key) && value !== undefined);
+    if (changesContent) {
+      const lock = await this.getEditLock();
+      if (lock) {
+        throw new Error(lock);
+      }
+    }
+
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        paramCount++;
+        updates.push(`${key} = $${paramCount}`);
+        values.push(value);
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    paramCount++;
+    values.push(this.id);
+
+    const query = `
+      UPDATE modules
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, values);
+      if (result.rows.length === 0) {
+        throw new Error('Module not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      throw new Error(`Error updating module: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the module's question list: reorders, adds and removes in one go
+   * @param {Array<string>} questionIds - Every question the module should have, in order
+   * @returns {Array<Object>} - The module's questions
+   */
+  async setQuestions(questionIds) {
+    const lock = await this.getEditLock();
+    if (lock) {
+      throw new Error(lock);
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await Module.writeQuestionOrder(client, this.id, questionIds);
+      const questions = await this.getQuestions(client);
+      await client.query('COMMIT');
+
+      this.question_count = questions.length;
+      return questions;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('One or more questions not found');
+      }
+      throw new Error(`Error setting module questions: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Insert questions into the module's list
+   * @param {Array<string>} questionIds
+   * @param {number|null} position - 0-based index to insert at (default: the end)
+   * @returns {Array<Object>} - The module's questions
+   */
+  async addQuestions(questionIds, position = null) {
+    const current = (await this.getQuestions()).map(question => question.id);
+    const duplicates = questionIds.filter(id => current.includes(id));
+    if (duplicates.length > 0) {
+      throw new Error(`Question already in this module: ${duplicates.join(', ')}`);
+    }
+
+    const index = position === null ? current.length : Math.min(position, current.length);
+    return this.setQuestions([...current.slice(0, index), ...questionIds, ...current.slice(index)]);
+  }
+
+  /**
+   * Remove a question from the module (later questions move up)
+   * @param {string} questionId
+   * @returns {Array<Object>} - The module's questions
+   */
+  async removeQuestion(questionId) {
+    const current = (await this.getQuestions()).map(question => question.id);
+    if (!current.includes(questionId)) {
+      throw new Error('Question not found in this module');
+    }
+    return this.setQuestions(current.filter(id => id !== questionId));
+  }
+
+  /**
+   * Copy the module and its question list as a new, unlocked module
+   * (the way to revise a module students have taken)
+   * @param {string|null} name - Name for the copy (default: "<name> (copy)")
+   * @returns {Module}
+   */
+  async copy(name = null) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO modules (name, time_limit, subject_name, difficulty)
+         SELECT $2, time_limit, subject_name, difficulty FROM modules WHERE id = $1
+         RETURNING *`,
+        [this.id, name || `${this.name} (copy)`]
+      );
+      if (result.rows.length === 0) {
+        throw new Error('Module not found');
+      }
+      const copy = new Module(result.rows[0]);
+
+      await client.query(
+        `INSERT INTO module_questions (module_id, question_id, order_number)
+         SELECT $2, question_id, order_number FROM module_questions WHERE module_id = $1`,
+        [this.id, copy.id]
+      );
+      copy.question_count = this.question_count;
+
+      await client.query('COMMIT');
+      return copy;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Error copying module: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Delete a module. Locked modules are kept so results and published tests stay intact.
+  async delete() {
+    try {
+      const lock = await this.getEditLock('deleted');
+      if (lock) {
+        throw new Error(lock);
+      }
+
+      const result = await pool.query('DELETE FROM modules WHERE id = $1 RETURNING *', [this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Module not found');
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Error deleting module: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      time_limit: this.time_limit,
+      subject_name: this.subject_name,
+      difficulty: this.difficulty,
+      question_count: this.question_count,
+      test_count: this.test_count,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = Module;
@@ -1,4 +1,6 @@
 const pool = require('../config/db');
+const { stripAnswerFields } = require('../utils/answerVisibility');
+const { normalizeChoices, validateAnswerKey } = require('../utils/questionChoices');
 
 class Question {
   constructor(data) {
@@ -10,10 +12,15 @@ class Question {
     this.question_skill = data.question_skill;
     this.difficulty = data.difficulty;
     this.question_prompt = data.question_prompt;
-    this.question_choices = data.question_choices;
+    this.question_choices = data.question_choices || [];
     this.question_rationale = data.question_rationale;
     this.correct_answer = data.correct_answer;
+    this.accepted_answers = data.accepted_answers || [];
+    this.answer_key_version = data.answer_key_version;
     this.is_multiple_choice = data.is_multiple_choice;
+    this.irt_discrimination = data.irt_discrimination;
+    this.irt_difficulty = data.irt_difficulty;
+    this.irt_guessing = data.irt_guessing;
     this.created_at = data.created_at;
   }
 
@@ -112,8 +119,9 @@ class Question {
     }
   }
 
-  // Create a new question
-  static async create(questionData) {
+  // Create a new question (and record version 1 of its answer key).
+  // Choices may be records or a legacy HTML blob; a multiple-choice key must name one of them.
+  static async create(questionData, options = {}) {
     const {
       alt_id,
       test_type,
@@ -122,46 +130,128 @@ class Question {
       question_skill,
       difficulty,
       question_prompt,
-      question_choices,
       question_rationale,
       correct_answer,
-      is_multiple_choice = false
+      accepted_answers = [],
+      is_multiple_choice = false,
+      irt_discrimination = null,
+      irt_difficulty = null,
+      irt_guessing = null
     } = questionData;
+    const { changedBy = null } = options;
+    const question_choices = normalizeChoices(questionData.question_choices);
+
+    const keyError = validateAnswerKey({ is_multiple_choice, question_choices, correct_answer });
+    if (keyError) {
+      throw new Error(`Invalid answer key: ${keyError}`);
+    }
 
     const query = `
       INSERT INTO questions (
         alt_id, test_type, question_subject, question_domain, question_skill,
         difficulty, question_prompt, question_choices, question_rationale,
-        correct_answer, is_multiple_choice
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        correct_answer, accepted_answers, is_multiple_choice,
+        irt_discrimination, irt_difficulty, irt_guessing
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
       RETURNING *
     `;
 
     const values = [
       alt_id, test_type, question_subject, question_domain, question_skill,
-      difficulty, question_prompt, question_choices, question_rationale,
-      correct_answer, is_multiple_choice
+      difficulty, question_prompt, JSON.stringify(question_choices), question_rationale,
+      correct_answer, accepted_answers, is_multiple_choice,
+      irt_discrimination, irt_difficulty, irt_guessing
     ];
 
+    const client = await pool.connect();
+
     try {
-      const result = await pool.query(query, values);
-      return new Question(result.rows[0]);
+      await client.query('BEGIN');
+
+      const result = await client.query(query, values);
+      const question = new Question(result.rows[0]);
+
+      await Question.recordAnswerKeyVersion(client, question, {
+        changedBy,
+        reason: 'Initial answer key'
+      });
+
+      await client.query('COMMIT');
+      return question;
     } catch (error) {
+      await client.query('ROLLBACK');
       if (error.code === '23505') { // Unique constraint violation
         throw new Error(`Question with alt_id '${alt_id}' already exists`);
       }
       throw new Error(`Error creating question: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Insert a row into question_answer_keys for the question's current key
+  static async recordAnswerKeyVersion(client, question, { changedBy = null, reason = null } = {}) {
+    const query = `
+      INSERT INTO question_answer_keys
+        (question_id, version, correct_answer, accepted_answers, changed_by, change_reason)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      question.id,
+      question.answer_key_version,
+      question.correct_answer,
+      question.accepted_answers,
+      changedBy,
+      reason
+    ]);
+    return result.rows[0];
+  }
+
+  // Get the answer-key history of a question (newest first)
+  static async getAnswerKeyHistory(id) {
+    const query = `
+      SELECT * FROM question_answer_keys
+      WHERE question_id = $1
+      ORDER BY version DESC
+    `;
+
+    try {
+      const result = await pool.query(query, [id]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error fetching answer key history: ${error.message}`);
     }
   }
 
-  // Update a question
-  async update(updateData) {
+  // Update a question. Changing correct_answer or accepted_answers records a new
+  // answer-key version instead of silently overwriting the key. Changes to the
+  // choices or key are checked against the merged question before saving.
+  async update(updateData, options = {}) {
+    const { changedBy = null, reason = null } = options;
     const allowedFields = [
       'test_type', 'question_subject', 'question_domain', 'question_skill',
       'difficulty', 'question_prompt', 'question_choices', 'question_rationale',
-      'correct_answer', 'is_multiple_choice'
+      'correct_answer', 'accepted_answers', 'is_multiple_choice',
+      'irt_discrimination', 'irt_difficulty', 'irt_guessing'
     ];
 
+    if (updateData.question_choices !== undefined) {
+      updateData = { ...updateData, question_choices: normalizeChoices(updateData.question_choices) };
+    }
+
+    if (['question_choices', 'correct_answer', 'is_multiple_choice'].some(field => updateData[field] !== undefined)) {
+      const keyError = validateAnswerKey({
+        is_multiple_choice: updateData.is_multiple_choice ?? this.is_multiple_choice,
+        question_choices: updateData.question_choices ?? this.question_choices,
+        correct_answer: updateData.correct_answer ?? this.correct_answer
+      });
+      if (keyError) {
+        throw new Error(`Invalid answer key: ${keyError}`);
+      }
+    }
+
     const updates = [];
     const values = [];
     let paramCount = 0;
@@ -170,7 +260,7 @@ class Question {
       if (allowedFields.includes(key) && value !== undefined) {
         paramCount++;
         updates.push(`${key} = $${paramCount}`);
-        values.push(value);
+        values.push(key === 'question_choices' ? JSON.stringify(value) : value);
       }
     }
 
@@ -178,6 +268,11 @@ class Question {
       throw new Error('No valid fields to update');
     }
 
+    const keyChanged = this.isAnswerKeyChange(updateData);
+    if (keyChanged) {
+      updates.push('answer_key_version = answer_key_version + 1');
+    }
+
     paramCount++;
     values.push(this.id);
 
@@ -188,18 +283,46 @@ class Question {
       RETURNING *
     `;
 
+    const client = await pool.connect();
+
     try {
-      const result = await pool.query(query, values);
+      await client.query('BEGIN');
+
+      const result = await client.query(query, values);
       if (result.rows.length === 0) {
         throw new Error('Question not found');
       }
-      
+
       // Update the current instance with new data
       Object.assign(this, result.rows[0]);
+
+      if (keyChanged) {
+        await Question.recordAnswerKeyVersion(client, this, { changedBy, reason });
+      }
+
+      await client.query('COMMIT');
       return this;
     } catch (error) {
+      await client.query('ROLLBACK');
       throw new Error(`Error updating question: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Whether an update changes the answer key (correct_answer or accepted_answers)
+  isAnswerKeyChange(updateData) {
+    if (updateData.correct_answer !== undefined && updateData.correct_answer !== this.correct_answer) {
+      return true;
     }
+
+    if (updateData.accepted_answers !== undefined) {
+      const current = [...(this.accepted_answers || [])].sort();
+      const next = [...updateData.accepted_answers].sort();
+      return current.length !== next.length || current.some((answer, i) => answer !== next[i]);
+    }
+
+    return false;
   }
 
   // Delete a question
@@ -216,6 +339,50 @@ class Question {
     }
   }
 
+  /**
+   * Get the questions a blueprint may draw from (see utils/testBlueprint.js)
+   * @param {Object} options
+   * @param {Array<string>} options.subjects - Subjects the blueprint needs
+   * @param {boolean} options.excludeUsedInTests - Leave out questions in published or archived tests
+   * @param {string|null} options.excludeSeenBy - Leave out questions this student has been given
+   * @returns {Array<Object>} - [{ id, question_subject, question_domain, question_skill, difficulty }]
+   */
+  static async findAssemblyCandidates({ subjects, excludeUsedInTests = true, excludeSeenBy = null }) {
+    const query = `
+      SELECT q.id, q.question_subject, q.question_domain, q.question_skill, q.difficulty
+      FROM questions q
+      WHERE q.question_subject = ANY($1)
+        AND (NOT $2 OR NOT EXISTS (
+          SELECT 1
+          FROM module_questions mq
+          JOIN test_modules tm ON tm.module_id = mq.module_id
+          JOIN tests t ON tm.test_id = t.id
+          WHERE mq.question_id = q.id AND t.status <> 'draft'
+        ))
+        AND ($3::uuid IS NULL OR NOT EXISTS (
+          SELECT 1
+          FROM submissions s
+          JOIN submission_modules sm ON sm.submission_id = s.id
+          JOIN module_questions mq ON mq.module_id = sm.module_id
+          WHERE s.user_id = $3 AND mq.question_id = q.id
+        ))
+        AND ($3::uuid IS NULL OR NOT EXISTS (
+          SELECT 1
+          FROM submissions s
+          JOIN submitted_answers sa ON sa.submission_id = s.id
+          WHERE s.user_id = $3 AND sa.question_id = q.id
+        ))
+      ORDER BY q.id
+    `;
+
+    try {
+      const result = await pool.query(query, [subjects, excludeUsedInTests, excludeSeenBy]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error fetching questions for assembly: ${error.message}`);
+    }
+  }
+
   // Get question statistics
   static async getStats() {
     const query = `
@@ -257,9 +424,16 @@ class Question {
     }
   }
 
-  // Convert to JSON (excluding sensitive data if needed)
-  toJSON() {
-    return {
+  /**
+   * Convert to JSON
+   * Answer fields are left out unless asked for, so a question passed straight to
+   * res.json never leaks its key (see utils/answerVisibility.js)
+   * @param {Object} options - { includeAnswers }
+   */
+  toJSON(options = {}) {
+    const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+    const json = {
       id: this.id,
       alt_id: this.alt_id,
       test_type: this.test_type,
@@ -271,9 +445,17 @@ class Question {
       question_choices: this.question_choices,
       question_rationale: this.question_rationale,
       correct_answer: this.correct_answer,
+      accepted_answers: this.accepted_answers,
+      answer_key_version: this.answer_key_version,
       is_multiple_choice: this.is_multiple_choice,
+      irt_discrimination: toNumber(this.irt_discrimination),
+      irt_difficulty: toNumber(this.irt_difficulty),
+      irt_guessing: toNumber(this.irt_guessing),
       created_at: this.created_at
     };
+
+    // JSON.stringify calls toJSON(key), so only an explicit true reveals answers
+    return options.includeAnswers === true ? json : stripAnswerFields(json);
   }
 }
 
@@ -0,0 +1,228 @@
+const pool = require('../config/db');
+const { calculateItemAnalytics } = require('../utils/itemAnalytics');
+
+class QuestionStatistics {
+  constructor(data) {
+    this.question_id = data.question_id;
+    this.alt_id = data.alt_id;
+    this.question_subject = data.question_subject;
+    this.question_domain = data.question_domain;
+    this.question_skill = data.question_skill;
+    this.difficulty = data.difficulty;
+    this.response_count = data.response_count;
+    this.p_value = data.p_value;
+    this.point_biserial = data.point_biserial;
+    this.avg_time_seconds = data.avg_time_seconds;
+    this.distractor_rates = data.distractor_rates;
+    this.observed_difficulty = data.observed_difficulty;
+    this.flags = data.flags || [];
+    this.computed_at = data.computed_at;
+  }
+
+  /**
+   * Compute item analytics from submitted tests and save them
+   * Only finalized submissions count, so every rest-of-section score covers a whole section.
+   * @param {Object} options - { questionIds } limit to these questions (default: every question)
+   * @returns {Object} - { questions_computed, questions_flagged, computed_at }
+   */
+  static async compute(options = {}) {
+    const { questionIds = null } = options;
+    const client = await pool.connect();
+
+    try {
+      const questionsResult = await client.query(
+        `SELECT id, difficulty, correct_answer, is_multiple_choice, question_choices
+         FROM questions
+         WHERE $1::uuid[] IS NULL OR id = ANY($1::uuid[])`,
+        [questionIds]
+      );
+
+      // Rest score = the student's correct answers in the section, minus this item
+      const responsesResult = await client.query(
+        `WITH section_scores AS (
+           SELECT sm.submission_id, m.subject_name,
+             COUNT(*) FILTER (WHERE sa.is_correct) as section_correct
+           FROM submitted_answers sa
+           JOIN submission_modules sm ON sa.submission_module_id = sm.id
+           JOIN modules m ON sm.module_id = m.id
+           JOIN submissions s ON sm.submission_id = s.id
+           WHERE s.status = 'submitted' AND sm.status = 'completed'
+           GROUP BY sm.submission_id, m.subject_name
+         )
+         SELECT
+           sa.question_id,
+           sa.submitted_answer,
+           sa.is_correct,
+           sa.time_spent_seconds,
+           (ss.section_correct - CASE WHEN sa.is_correct THEN 1 ELSE 0 END)::int as rest_score
+         FROM submitted_answers sa
+         JOIN submission_modules sm ON sa.submission_module_id = sm.id
+         JOIN modules m ON sm.module_id = m.id
+         JOIN section_scores ss ON ss.submission_id = sm.submission_id AND ss.subject_name = m.subject_name
+         WHERE sm.status = 'completed'
+           AND ($1::uuid[] IS NULL OR sa.question_id = ANY($1::uuid[]))`,
+        [questionIds]
+      );
+
+      const statistics = calculateItemAnalytics(questionsResult.rows, responsesResult.rows);
+
+      await client.query('BEGIN');
+
+      for (const stats of statistics) {
+        await client.query(
+          `INSERT INTO question_statistics
+             (question_id, response_count, p_value, point_biserial, avg_time_seconds,
+              distractor_rates, observed_difficulty, flags, computed_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+           ON CONFLICT (question_id)
+           DO UPDATE SET
+             response_count = EXCLUDED.response_count,
+             p_value = EXCLUDED.p_value,
+             point_biserial = EXCLUDED.point_biserial,
+             avg_time_seconds = EXCLUDED.avg_time_seconds,
+             distractor_rates = EXCLUDED.distractor_rates,
+             observed_difficulty = EXCLUDED.observed_difficulty,
+             flags = EXCLUDED.flags,
+             computed_at = EXCLUDED.computed_at`,
+          [
+            stats.question_id,
+            stats.response_count,
+            stats.p_value,
+            stats.point_biserial,
+            stats.avg_time_seconds,
+            stats.distractor_rates ? JSON.stringify(stats.distractor_rates) : null,
+            stats.observed_difficulty,
+            stats.flags
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        questions_computed: statistics.length,
+        questions_flagged: statistics.filter(stats => stats.flags.length > 0).length,
+        computed_at: new Date().toISOString()
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Error computing item analytics: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get saved statistics with question details
+   * @param {Object} filters - { flag, flaggedOnly, subject, difficulty, minResponses, limit, offset }
+   * @returns {Array<QuestionStatistics>}
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT qs.*, q.alt_id, q.question_subject, q.question_domain, q.question_skill, q.difficulty
+      FROM question_statistics qs
+      JOIN questions q ON qs.question_id = q.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 0;
+
+    if (filters.flaggedOnly) {
+      query += ` AND cardinality(qs.flags) > 0`;
+    }
+
+    if (filters.flag) {
+      paramCount++;
+      query += ` AND $${paramCount} = ANY(qs.flags)`;
+      params.push(filters.flag);
+    }
+
+    if (filters.subject) {
+      paramCount++;
+      query += ` AND q.question_subject = $${paramCount}`;
+      params.push(filters.subject);
+    }
+
+    if (filters.difficulty) {
+      paramCount++;
+      query += ` AND q.difficulty = $${paramCount}`;
+      params.push(filters.difficulty);
+    }
+
+    if (filters.minResponses) {
+      paramCount++;
+      query += ` AND qs.response_count >= $${paramCount}`;
+      params.push(filters.minResponses);
+    }
+
+    // Weakest discriminators first, so the items most worth reviewing lead the list
+    query += ` ORDER BY qs.point_biserial ASC NULLS LAST, qs.response_count DESC`;
+
+    if (filters.limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      params.push(filters.limit);
+    }
+
+    if (filters.offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      params.push(filters.offset);
+    }
+
+    try {
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new QuestionStatistics(row));
+    } catch (error) {
+      throw new Error(`Error fetching item analytics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get saved statistics for one question
+   * @param {string} questionId
+   * @returns {QuestionStatistics|null}
+   */
+  static async findByQuestionId(questionId) {
+    const query = `
+      SELECT qs.*, q.alt_id, q.question_subject, q.question_domain, q.question_skill, q.difficulty
+      FROM question_statistics qs
+      JOIN questions q ON qs.question_id = q.id
+      WHERE qs.question_id = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [questionId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new QuestionStatistics(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching item analytics: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+    return {
+      question_id: this.question_id,
+      alt_id: this.alt_id,
+      question_subject: this.question_subject,
+      question_domain: this.question_domain,
+      question_skill: this.question_skill,
+      difficulty: this.difficulty,
+      response_count: this.response_count,
+      p_value: toNumber(this.p_value),
+      point_biserial: toNumber(this.point_biserial),
+      avg_time_seconds: toNumber(this.avg_time_seconds),
+      distractor_rates: this.distractor_rates,
+      observed_difficulty: this.observed_difficulty,
+      flags: this.flags,
+      computed_at: this.computed_at
+    };
+  }
+}
+
+module.exports = QuestionStatistics;
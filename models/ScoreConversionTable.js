@@ -0,0 +1,227 @@
+const pool = require('../config/db');
+const { DEFAULT_SCORE_TABLES } = require('../utils/satScoring');
+
+class ScoreConversionTable {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.conversions = data.conversions;
+    this.is_default = data.is_default;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Get all conversion tables (without the conversion data)
+  static async findAll() {
+    const query = `
+      SELECT t.id, t.name, t.description, t.is_default, t.created_at, t.updated_at,
+        (SELECT COUNT(*) FROM tests WHERE score_conversion_table_id = t.id)::int as test_count
+      FROM score_conversion_tables t
+      ORDER BY t.is_default DESC, t.name ASC
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error fetching score conversion tables: ${error.message}`);
+    }
+  }
+
+  // Get a conversion table by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM score_conversion_tables WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [id]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new ScoreConversionTable(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching score conversion table: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the conversion tables used to scale a test: the test's own table,
+   * else the default table, else the built-in tables from utils/satScoring.js
+   * @param {string} testId
+   * @param {Object} client - Database client or pool
+   * @returns {Object} - { id, name, conversions }
+   */
+  static async resolveForTest(testId, client = pool) {
+    const query = `
+      SELECT sct.id, sct.name, sct.conversions
+      FROM score_conversion_tables sct
+      WHERE sct.id = (SELECT score_conversion_table_id FROM tests WHERE id = $1)
+         OR sct.is_default = true
+      ORDER BY sct.is_default ASC
+      LIMIT 1
+    `;
+
+    try {
+      const result = await client.query(query, [testId]);
+      if (result.rows.length === 0) {
+        return { id: null, name: 'Built-in', conversions: DEFAULT_SCORE_TABLES };
+      }
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error resolving score conversion table: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a conversion table by id, falling back to the default table and then
+   * the built-in tables (as resolveForTest does for a test)
+   * @param {string|null} scoreConversionTableId
+   * @param {Object} client - Database client or pool
+   * @returns {Object} - { id, name, conversions }
+   */
+  static async resolve(scoreConversionTableId, client = pool) {
+    const query = `
+      SELECT id, name, conversions
+      FROM score_conversion_tables
+      WHERE id = $1::uuid OR is_default = true
+      ORDER BY is_default ASC
+      LIMIT 1
+    `;
+
+    try {
+      const result = await client.query(query, [scoreConversionTableId]);
+      if (result.rows.length === 0) {
+        return { id: null, name: 'Built-in', conversions: DEFAULT_SCORE_TABLES };
+      }
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error resolving score conversion table: ${error.message}`);
+    }
+  }
+
+  // Create a new conversion table
+  static async create(tableData) {
+    const { name, description = null, conversions, is_default = false } = tableData;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Only one table can be the default
+      if (is_default) {
+        await client.query('UPDATE score_conversion_tables SET is_default = false WHERE is_default = true');
+      }
+
+      const result = await client.query(
+        `INSERT INTO score_conversion_tables (name, description, conversions, is_default)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [name, description, JSON.stringify(conversions), is_default]
+      );
+
+      await client.query('COMMIT');
+      return new ScoreConversionTable(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error(`Score conversion table '${name}' already exists`);
+      }
+      throw new Error(`Error creating score conversion table: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Update a conversion table
+  async update(updateData) {
+    const allowedFields = ['name', 'description', 'conversions', 'is_default'];
+
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        paramCount++;
+        updates.push(`${key} = $${paramCount}`);
+        values.push(key === 'conversions' ? JSON.stringify(value) : value);
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    paramCount++;
+    values.push(this.id);
+
+    const query = `
+      UPDATE score_conversion_tables
+      SET ${updates.join(', ')}, updated_at = NOW()
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (updateData.is_default === true) {
+        await client.query(
+          'UPDATE score_conversion_tables SET is_default = false WHERE is_default = true AND id <> $1',
+          [this.id]
+        );
+      }
+
+      const result = await client.query(query, values);
+      if (result.rows.length === 0) {
+        throw new Error('Score conversion table not found');
+      }
+
+      await client.query('COMMIT');
+
+      // Update the current instance with new data
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error(`Score conversion table '${updateData.name}' already exists`);
+      }
+      throw new Error(`Error updating score conversion table: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Delete a conversion table (tests using it fall back to the default)
+  async delete() {
+    const query = 'DELETE FROM score_conversion_tables WHERE id = $1 RETURNING *';
+    try {
+      const result = await pool.query(query, [this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Score conversion table not found');
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Error deleting score conversion table: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      conversions: this.conversions,
+      is_default: this.is_default,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = ScoreConversionTable;
@@ -1,10 +1,47 @@
 const pool = require('../config/db');
 const {
   calculateModuleScore,
-  calculateSectionFinalScore,
   calculateTotalSATScore,
-  determineModule2Difficulty
+  isSectionComplete,
+  getScoringStrategy
 } = require('../utils/satScoring');
+const { routeNextModule } = require('../utils/adaptiveRouting');
+const { orderSections, getNextSection } = require('../utils/testSequence');
+const { calculateModuleTiming, calculateBreakTiming } = require('../utils/moduleTimer');
+const { isAnswerCorrect } = require('../utils/answerGrading');
+const { ANSWER_VISIBILITY, canRevealAnswer } = require('../utils/answerVisibility');
+const { calculateSkillBreakdown } = require('../utils/skillBreakdown');
+const {
+  createShuffleSeed,
+  buildModuleOrder,
+  toCanonicalAnswer,
+  toDisplayAnswer,
+  applyChoiceOrder,
+  orderQuestions
+} = require('../utils/shuffleOrder');
+const ScoreConversionTable = require('./ScoreConversionTable');
+const UserAccommodation = require('./UserAccommodation');
+const TestAccessCode = require('./TestAccessCode');
+
+/**
+ * Reduce a submission score blob to the numbers shown in regrade reports
+ * @param {Object|null} score - submissions.score
+ * @returns {Object|null}
+ */
+function summarizeScore(score) {
+  if (!score) {
+    return null;
+  }
+
+  const sections = score.sections || score;
+  const readingWriting = score.reading_writing || sections.readingWriting;
+
+  return {
+    total_score: score.total_score ?? null,
+    reading_writing: readingWriting ? readingWriting.scaled_score : null,
+    math: sections.math ? sections.math.scaled_score : null
+  };
+}
 
 class Submission {
   constructor(data) {
@@ -14,48 +51,83 @@ class Submission {
     this.status = data.status;
     this.score = data.score;
     this.submitted_at = data.submitted_at;
+    this.break_started_at = data.break_started_at;
+    this.break_ends_at = data.break_ends_at;
+    this.time_multiplier = data.time_multiplier;
+    this.extra_break_minutes = data.extra_break_minutes;
+    this.breaks_between_modules = data.breaks_between_modules;
+    this.access_code_id = data.access_code_id;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
 
   /**
-   * Create a new submission with the initial module
-   * @param {Object} submissionData - { userId, testId, initialModuleId }
+   * Create a new submission starting at the test's first module
+   * (Module 1 of the first section, see utils/testSequence.js), applying the
+   * student's accommodations. Tests that shuffle get a seed for this submission.
+   * An access code is redeemed in the same transaction, so its limits hold under concurrent starts.
+   * @param {Object} submissionData - { userId, testId, accessCode }
    * @returns {Object} - { submission, submissionModule }
    */
   static async create(submissionData) {
-    const { userId, testId, initialModuleId } = submissionData;
+    const { userId, testId, accessCode = null } = submissionData;
 
     const client = await pool.connect();
 
     try {
       await client.query('BEGIN');
 
+      const redeemed = accessCode
+        ? await TestAccessCode.redeem(client, { code: accessCode, userId })
+        : null;
+
+      const sections = await Submission.getTestSections(client, testId);
+      if (sections.length === 0) {
+        throw new Error('Test has no modules');
+      }
+      const firstModule = await Submission.findSectionStartModule(client, testId, sections[0]);
+
+      // Apply the student's accommodations (recorded on the submission for reporting)
+      const accommodation = await UserAccommodation.findByUserId(userId, client);
+
+      const shuffleResult = await client.query(
+        'SELECT shuffle_questions, shuffle_choices FROM tests WHERE id = $1',
+        [testId]
+      );
+      const { shuffle_questions: shuffleQuestions, shuffle_choices: shuffleChoices } = shuffleResult.rows[0];
+
       // Create submission record
       const submissionQuery = `
-        INSERT INTO submissions (user_id, test_id, status)
-        VALUES ($1, $2, 'in_progress')
+        INSERT INTO submissions
+          (user_id, test_id, status, time_multiplier, extra_break_minutes, breaks_between_modules, shuffle_seed,
+           access_code_id)
+        VALUES ($1, $2, 'in_progress', $3, $4, $5, $6, $7)
         RETURNING *
       `;
-      const submissionResult = await client.query(submissionQuery, [userId, testId]);
+      const submissionResult = await client.query(submissionQuery, [
+        userId,
+        testId,
+        accommodation ? accommodation.time_multiplier : 1,
+        accommodation ? accommodation.extra_break_minutes : 0,
+        accommodation ? accommodation.breaks_between_modules : false,
+        shuffleQuestions || shuffleChoices ? createShuffleSeed() : null,
+        redeemed ? redeemed.id : null
+      ]);
       const submission = new Submission(submissionResult.rows[0]);
 
       // Create first submission_module record
-      const submissionModuleQuery = `
-        INSERT INTO submission_modules (submission_id, module_id, order_in_test, status)
-        VALUES ($1, $2, 1, 'not_started')
-        RETURNING *
-      `;
-      const submissionModuleResult = await client.query(submissionModuleQuery, [
-        submission.id,
-        initialModuleId
-      ]);
+      const submissionModule = await Submission.addSubmissionModule(client, submission.id, firstModule.id, 1);
 
       await client.query('COMMIT');
 
       return {
         submission,
-        submissionModule: submissionModuleResult.rows[0]
+        submissionModule: {
+          ...submissionModule,
+          module_name: firstModule.name,
+          subject_name: firstModule.subject_name,
+          time_limit: firstModule.time_limit
+        }
       };
     } catch (error) {
       await client.query('ROLLBACK');
@@ -65,12 +137,285 @@ class Submission {
     }
   }
 
+  /**
+   * Assign a module to a submission. On tests that shuffle, the module's question
+   * and choice order for this submission are fixed here (see utils/shuffleOrder.js).
+   * @param {Object} client - Database client (inside a transaction)
+   * @param {string} submissionId
+   * @param {string} moduleId
+   * @param {number} orderInTest
+   * @returns {Object} - The submission_modules row
+   */
+  static async addSubmissionModule(client, submissionId, moduleId, orderInTest) {
+    const settingsResult = await client.query(
+      `SELECT s.shuffle_seed, t.shuffle_questions, t.shuffle_choices
+       FROM submissions s
+       JOIN tests t ON s.test_id = t.id
+       WHERE s.id = $1`,
+      [submissionId]
+    );
+    const settings = settingsResult.rows[0];
+
+    let order = { question_order: null, choice_order: null };
+    if (settings.shuffle_seed !== null && (settings.shuffle_questions || settings.shuffle_choices)) {
+      const questionsResult = await client.query(
+        `SELECT q.id, q.is_multiple_choice, q.question_choices
+         FROM module_questions mq
+         JOIN questions q ON mq.question_id = q.id
+         WHERE mq.module_id = $1
+         ORDER BY mq.order_number`,
+        [moduleId]
+      );
+
+      order = buildModuleOrder({
+        seed: settings.shuffle_seed,
+        moduleId,
+        questions: questionsResult.rows,
+        shuffleQuestions: settings.shuffle_questions,
+        shuffleChoices: settings.shuffle_choices
+      });
+    }
+
+    const result = await client.query(
+      `INSERT INTO submission_modules
+         (submission_id, module_id, order_in_test, status, question_order, choice_order)
+       VALUES ($1, $2, $3, 'not_started', $4, $5)
+       RETURNING *`,
+      [
+        submissionId,
+        moduleId,
+        orderInTest,
+        order.question_order,
+        order.choice_order ? JSON.stringify(order.choice_order) : null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Get a module's questions as this submission sees them: in the saved question order,
+   * with choices reordered and relabeled, and the student's saved answers in display labels.
+   * Answer keys are never included.
+   * @param {string} submissionId
+   * @param {string} moduleId
+   * @returns {Object|null} - { submission_module_id, module_id, status, questions }, or null if not assigned
+   */
+  static async getModuleQuestions(submissionId, moduleId) {
+    try {
+      const moduleResult = await pool.query(
+        `SELECT sm.id, sm.module_id, sm.status, sm.question_order, sm.choice_order,
+           m.name as module_name, m.subject_name
+         FROM submission_modules sm
+         JOIN modules m ON sm.module_id = m.id
+         WHERE sm.submission_id = $1 AND sm.module_id = $2`,
+        [submissionId, moduleId]
+      );
+
+      if (moduleResult.rows.length === 0) {
+        return null;
+      }
+
+      const submissionModule = moduleResult.rows[0];
+      const choiceOrder = submissionModule.choice_order || {};
+
+      const questionsResult = await pool.query(
+        `SELECT q.id, q.question_subject, q.question_domain, q.question_skill, q.difficulty,
+           q.question_prompt, q.question_choices, q.is_multiple_choice,
+           sa.submitted_answer
+         FROM module_questions mq
+         JOIN questions q ON mq.question_id = q.id
+         LEFT JOIN submitted_answers sa ON sa.submission_module_id = $2 AND sa.question_id = q.id
+         WHERE mq.module_id = $1
+         ORDER BY mq.order_number`,
+        [moduleId, submissionModule.id]
+      );
+
+      const questions = orderQuestions(questionsResult.rows, submissionModule.question_order)
+        .map((row, i) => ({
+          id: row.id,
+          order: i,
+          question_subject: row.question_subject,
+          question_domain: row.question_domain,
+          question_skill: row.question_skill,
+          difficulty: row.difficulty,
+          question_prompt: row.question_prompt,
+          question_choices: applyChoiceOrder(row.question_choices, choiceOrder[row.id]),
+          is_multiple_choice: row.is_multiple_choice,
+          submitted_answer: toDisplayAnswer(row.submitted_answer, choiceOrder[row.id])
+        }));
+
+      return {
+        submission_module_id: submissionModule.id,
+        module_id: submissionModule.module_id,
+        module_name: submissionModule.module_name,
+        subject_name: submissionModule.subject_name,
+        status: submissionModule.status,
+        questions_shuffled: Boolean(submissionModule.question_order),
+        choices_shuffled: Boolean(submissionModule.choice_order),
+        questions
+      };
+    } catch (error) {
+      throw new Error(`Error fetching module questions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sections (subjects) of a test in the order they are taken
+   * @param {Object} client - Database client or pool
+   * @param {string} testId
+   * @returns {Array<string>}
+   */
+  static async getTestSections(client, testId) {
+    const query = `
+      SELECT m.subject_name, MIN(tm.order_number) as first_order
+      FROM test_modules tm
+      JOIN modules m ON tm.module_id = m.id
+      WHERE tm.test_id = $1
+      GROUP BY m.subject_name
+      ORDER BY first_order ASC
+    `;
+    const result = await client.query(query, [testId]);
+    return orderSections(result.rows.map(row => row.subject_name));
+  }
+
+  /**
+   * First module of a section: the subject's lowest test_modules.order_number
+   * @param {Object} client - Database client or pool
+   * @param {string} testId
+   * @param {string} subjectName
+   * @returns {Object|null}
+   */
+  static async findSectionStartModule(client, testId, subjectName) {
+    const query = `
+      SELECT m.id, m.name, m.subject_name, m.time_limit, m.difficulty
+      FROM test_modules tm
+      JOIN modules m ON tm.module_id = m.id
+      WHERE tm.test_id = $1 AND m.subject_name = $2
+      ORDER BY tm.order_number ASC
+      LIMIT 1
+    `;
+    const result = await client.query(query, [testId, subjectName]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * First module of the section after a finished one, if the student hasn't started it yet
+   * @param {Object} client - Database client
+   * @param {string} submissionId
+   * @param {string} testId
+   * @param {string} subjectName - Subject of the finished section
+   * @returns {Object|null} - { section, module } or null if the test is over
+   */
+  static async findNextSectionModule(client, submissionId, testId, subjectName) {
+    const sections = await Submission.getTestSections(client, testId);
+    const nextSection = getNextSection(sections, subjectName);
+    if (!nextSection) {
+      return null;
+    }
+
+    const startedResult = await client.query(
+      `SELECT 1
+       FROM submission_modules sm
+       JOIN modules m ON sm.module_id = m.id
+       WHERE sm.submission_id = $1 AND m.subject_name = $2
+       LIMIT 1`,
+      [submissionId, nextSection]
+    );
+    if (startedResult.rows.length > 0) {
+      return null;
+    }
+
+    const module = await Submission.findSectionStartModule(client, testId, nextSection);
+    return module ? { section: nextSection, module } : null;
+  }
+
+  /**
+   * Start a break before the next module. Every student gets the test's section
+   * break between sections; accommodations add extra minutes to it and can add
+   * breaks between the modules of a section.
+   * @param {Object} client - Database client (inside a transaction)
+   * @param {string} submissionId
+   * @param {Object} options - { betweenSections } false for a break within a section
+   * @returns {Object|null} - Break timing, or null if there is no break
+   */
+  static async startBreak(client, submissionId, options = {}) {
+    const { betweenSections = true } = options;
+
+    const settingsResult = await client.query(
+      `SELECT t.section_break_minutes, s.extra_break_minutes, s.breaks_between_modules
+       FROM submissions s
+       JOIN tests t ON s.test_id = t.id
+       WHERE s.id = $1`,
+      [submissionId]
+    );
+    const settings = settingsResult.rows[0];
+
+    let breakMinutes = 0;
+    if (betweenSections) {
+      breakMinutes = settings.section_break_minutes + settings.extra_break_minutes;
+    } else if (settings.breaks_between_modules) {
+      breakMinutes = settings.extra_break_minutes;
+    }
+
+    if (breakMinutes <= 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE submissions
+       SET break_started_at = NOW(),
+           break_ends_at = NOW() + make_interval(mins => $1),
+           updated_at = NOW()
+       WHERE id = $2
+       RETURNING break_started_at, break_ends_at`,
+      [breakMinutes, submissionId]
+    );
+
+    return {
+      ...calculateBreakTiming({
+        breakStartedAt: result.rows[0].break_started_at,
+        breakEndsAt: result.rows[0].break_ends_at
+      }),
+      break_minutes: breakMinutes
+    };
+  }
+
+  /**
+   * End the current break early
+   * @param {string} submissionId
+   * @returns {Submission} - Updated submission
+   */
+  static async skipBreak(submissionId) {
+    const query = `
+      UPDATE submissions
+      SET break_ends_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'in_progress' AND break_ends_at > NOW()
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [submissionId]);
+      if (result.rows.length === 0) {
+        const exists = await pool.query('SELECT 1 FROM submissions WHERE id = $1', [submissionId]);
+        throw new Error(exists.rows.length === 0 ? 'Submission not found' : 'No break in progress');
+      }
+      return new Submission(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error skipping break: ${error.message}`);
+    }
+  }
+
   /**
    * Get submission by ID with all related data (modules, answers)
    * @param {string} submissionId
+   * @param {Object} options - { answerVisibility } one of ANSWER_VISIBILITY (default none);
+   *   'review' adds correct_answer, accepted_answers and question_rationale to each answer
+   *   once the test is submitted, 'all' always adds them
    * @returns {Object} - Complete submission with modules and answers
    */
-  static async findById(submissionId) {
+  static async findById(submissionId, options = {}) {
+    const { answerVisibility = ANSWER_VISIBILITY.NONE } = options;
+
     const query = `
       SELECT 
         s.*,
@@ -81,6 +426,9 @@ class Submission {
         sm.score as module_score,
         sm.started_at as module_started_at,
         sm.completed_at as module_completed_at,
+        sm.auto_completed as module_auto_completed,
+        sm.paused_seconds as module_paused_seconds,
+        sm.choice_order as module_choice_order,
         m.name as module_name,
         m.subject_name,
         m.time_limit,
@@ -88,11 +436,17 @@ class Submission {
         sa.question_id,
         sa.submitted_answer,
         sa.is_correct,
-        sa.time_spent_seconds
+        sa.time_spent_seconds,
+        sa.is_late,
+        sa.answer_key_version,
+        q.correct_answer,
+        q.accepted_answers,
+        q.question_rationale
       FROM submissions s
       LEFT JOIN submission_modules sm ON s.id = sm.submission_id
       LEFT JOIN modules m ON sm.module_id = m.id
       LEFT JOIN submitted_answers sa ON sm.id = sa.submission_module_id
+      LEFT JOIN questions q ON sa.question_id = q.id
       WHERE s.id = $1
       ORDER BY sm.order_in_test, sa.created_at
     `;
@@ -112,11 +466,21 @@ class Submission {
         status: result.rows[0].status,
         score: result.rows[0].score,
         submitted_at: result.rows[0].submitted_at,
+        break_started_at: result.rows[0].break_started_at,
+        break_ends_at: result.rows[0].break_ends_at,
+        time_multiplier: result.rows[0].time_multiplier,
+        extra_break_minutes: result.rows[0].extra_break_minutes,
+        breaks_between_modules: result.rows[0].breaks_between_modules,
         created_at: result.rows[0].created_at,
         updated_at: result.rows[0].updated_at,
         modules: []
       };
 
+      // Questions the student is still being tested on keep their keys hidden in review
+      const lockedQuestionIds = answerVisibility === ANSWER_VISIBILITY.REVIEW && submissionData.status === 'submitted'
+        ? await Submission.findInProgressQuestionIds(submissionData.user_id)
+        : new Set();
+
       // Group modules and answers
       const moduleMap = new Map();
 
@@ -133,6 +497,8 @@ class Submission {
             score: row.module_score,
             started_at: row.module_started_at,
             completed_at: row.module_completed_at,
+            auto_completed: row.module_auto_completed,
+            paused_seconds: row.module_paused_seconds,
             answers: []
           });
         }
@@ -140,13 +506,31 @@ class Submission {
         if (row.answer_id) {
           const module = moduleMap.get(row.sm_id);
           if (module) {
-            module.answers.push({
+            // Labels are shown as the student saw them on shuffled tests
+            const displayOrder = row.module_choice_order?.[row.question_id];
+            const answer = {
               id: row.answer_id,
               question_id: row.question_id,
-              submitted_answer: row.submitted_answer,
+              submitted_answer: toDisplayAnswer(row.submitted_answer, displayOrder),
               is_correct: row.is_correct,
-              time_spent_seconds: row.time_spent_seconds
+              time_spent_seconds: row.time_spent_seconds,
+              is_late: row.is_late,
+              answer_key_version: row.answer_key_version
+            };
+
+            const revealAnswer = canRevealAnswer(answerVisibility, {
+              submissionStatus: submissionData.status,
+              questionId: row.question_id,
+              lockedQuestionIds
             });
+
+            if (revealAnswer) {
+              answer.correct_answer = toDisplayAnswer(row.correct_answer, displayOrder);
+              answer.accepted_answers = row.accepted_answers;
+              answer.question_rationale = row.question_rationale;
+            }
+
+            module.answers.push(answer);
           }
         }
       });
@@ -155,34 +539,283 @@ class Submission {
         (a, b) => a.order_in_test - b.order_in_test
       );
 
+      submissionData.pauses = await Submission.getPauses(submissionId);
+
       return submissionData;
     } catch (error) {
       throw new Error(`Error fetching submission: ${error.message}`);
     }
   }
 
+  /**
+   * Get the questions in a user's in-progress submissions
+   * Covers every module of the test, including modules not assigned yet
+   * @param {string} userId
+   * @param {Object} client - Database client or pool
+   * @returns {Set<string>} - Question IDs
+   */
+  static async findInProgressQuestionIds(userId, client = pool) {
+    const query = `
+      SELECT DISTINCT mq.question_id
+      FROM submissions s
+      JOIN test_modules tm ON s.test_id = tm.test_id
+      JOIN module_questions mq ON tm.module_id = mq.module_id
+      WHERE s.user_id = $1 AND s.status = 'in_progress'
+    `;
+
+    try {
+      const result = await client.query(query, [userId]);
+      return new Set(result.rows.map(row => row.question_id));
+    } catch (error) {
+      throw new Error(`Error fetching in-progress questions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the post-test review of a submitted test: every question of each module taken,
+   * with the student's answer, the answer key and rationale, time spent, domain and skill
+   * @param {string} submissionId
+   * @param {Object} options - { answerVisibility, filters }
+   *   filters: { incorrectOnly, skill, domain, difficulty } (omitted questions count as incorrect)
+   * @returns {Object|null} - { submission_id, status, score, summary, modules }, or null if not found
+   */
+  static async getReview(submissionId, options = {}) {
+    const { answerVisibility = ANSWER_VISIBILITY.REVIEW, filters = {} } = options;
+
+    const submissionResult = await pool.query(
+      'SELECT id, user_id, status, score, submitted_at FROM submissions WHERE id = $1',
+      [submissionId]
+    );
+
+    if (submissionResult.rows.length === 0) {
+      return null;
+    }
+
+    const submission = submissionResult.rows[0];
+
+    if (submission.status !== 'submitted') {
+      throw new Error('Review is available once the test has been submitted');
+    }
+
+    const query = `
+      SELECT
+        sm.id as sm_id,
+        sm.module_id,
+        sm.order_in_test,
+        sm.status as module_status,
+        sm.score as module_score,
+        sm.question_order as module_question_order,
+        sm.choice_order as module_choice_order,
+        m.name as module_name,
+        m.subject_name,
+        m.difficulty as module_difficulty,
+        mq.order_number as question_order,
+        q.id as question_id,
+        q.question_prompt,
+        q.question_choices,
+        q.is_multiple_choice,
+        q.question_domain,
+        q.question_skill,
+        q.difficulty,
+        q.correct_answer,
+        q.accepted_answers,
+        q.question_rationale,
+        sa.submitted_answer,
+        COALESCE(sa.is_correct, false) as is_correct,
+        sa.id IS NULL as is_omitted,
+        sa.time_spent_seconds,
+        sa.is_late
+      FROM submission_modules sm
+      JOIN modules m ON sm.module_id = m.id
+      JOIN module_questions mq ON sm.module_id = mq.module_id
+      JOIN questions q ON mq.question_id = q.id
+      LEFT JOIN submitted_answers sa ON sa.submission_module_id = sm.id AND sa.question_id = q.id
+      WHERE sm.submission_id = $1 AND sm.status = 'completed'
+      ORDER BY sm.order_in_test, mq.order_number
+    `;
+
+    try {
+      const result = await pool.query(query, [submissionId]);
+      const lockedQuestionIds = answerVisibility === ANSWER_VISIBILITY.REVIEW
+        ? await Submission.findInProgressQuestionIds(submission.user_id)
+        : new Set();
+
+      const matchesFilters = row => {
+        if (filters.incorrectOnly && row.is_correct) {
+          return false;
+        }
+        if (filters.skill && row.question_skill?.toLowerCase() !== filters.skill.toLowerCase()) {
+          return false;
+        }
+        if (filters.domain && row.question_domain?.toLowerCase() !== filters.domain.toLowerCase()) {
+          return false;
+        }
+        if (filters.difficulty && row.difficulty?.toLowerCase() !== filters.difficulty.toLowerCase()) {
+          return false;
+        }
+        return true;
+      };
+
+      // Summary counts cover the whole test, not just the filtered questions
+      const summary = {
+        total_questions: result.rows.length,
+        correct: result.rows.filter(row => row.is_correct).length,
+        incorrect: result.rows.filter(row => !row.is_correct && !row.is_omitted).length,
+        omitted: result.rows.filter(row => row.is_omitted).length,
+        shown: 0,
+        total_time_seconds: result.rows.reduce((sum, row) => sum + (row.time_spent_seconds || 0), 0)
+      };
+
+      // Questions and choices are shown in the order this student saw them
+      const rowsByModule = new Map();
+      result.rows.forEach(row => {
+        if (!rowsByModule.has(row.sm_id)) {
+          rowsByModule.set(row.sm_id, []);
+        }
+        rowsByModule.get(row.sm_id).push(row);
+      });
+
+      const moduleMap = new Map();
+
+      Array.from(rowsByModule.values()).forEach(moduleRows => {
+        const { sm_id: smId, module_question_order: questionOrder } = moduleRows[0];
+        moduleMap.set(smId, {
+          id: smId,
+          module_id: moduleRows[0].module_id,
+          module_name: moduleRows[0].module_name,
+          subject_name: moduleRows[0].subject_name,
+          difficulty: moduleRows[0].module_difficulty,
+          order_in_test: moduleRows[0].order_in_test,
+          score: moduleRows[0].module_score,
+          questions: []
+        });
+
+        orderQuestions(moduleRows, questionOrder, 'question_id').forEach((row, position) => {
+          if (!matchesFilters(row)) {
+            return;
+          }
+
+          const displayOrder = row.module_choice_order?.[row.question_id];
+          const question = {
+            question_id: row.question_id,
+            order: questionOrder ? position : row.question_order,
+            question_prompt: row.question_prompt,
+            question_choices: applyChoiceOrder(row.question_choices, displayOrder),
+            is_multiple_choice: row.is_multiple_choice,
+            question_domain: row.question_domain,
+            question_skill: row.question_skill,
+            difficulty: row.difficulty,
+            submitted_answer: toDisplayAnswer(row.submitted_answer, displayOrder),
+            is_correct: row.is_correct,
+            is_omitted: row.is_omitted,
+            time_spent_seconds: row.time_spent_seconds,
+            is_late: row.is_late
+          };
+
+          const revealAnswer = canRevealAnswer(answerVisibility, {
+            submissionStatus: submission.status,
+            questionId: row.question_id,
+            lockedQuestionIds
+          });
+
+          question.answer_hidden = !revealAnswer;
+          if (revealAnswer) {
+            question.correct_answer = toDisplayAnswer(row.correct_answer, displayOrder);
+            question.accepted_answers = row.accepted_answers;
+            question.question_rationale = row.question_rationale;
+          }
+
+          moduleMap.get(row.sm_id).questions.push(question);
+          summary.shown += 1;
+        });
+      });
+
+      return {
+        submission_id: submission.id,
+        status: submission.status,
+        submitted_at: submission.submitted_at,
+        score: submission.score,
+        filters,
+        summary,
+        modules: Array.from(moduleMap.values())
+      };
+    } catch (error) {
+      throw new Error(`Error fetching submission review: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the user who owns a submission
+   * @param {string} submissionId
+   * @returns {string|null} - Owner's user ID, or null if the submission doesn't exist
+   */
+  static async findOwner(submissionId) {
+    const query = 'SELECT user_id, created_at FROM submissions WHERE id = $1';
+
+    try {
+      const result = await pool.query(query, [submissionId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error fetching submission owner: ${error.message}`);
+    }
+  }
+
   /**
    * Get all submissions for a user
    * @param {string} userId
+   * @param {Object} options - { since } only submissions started at or after this time
    * @returns {Array} - Array of submissions
    */
-  static async findByUserId(userId) {
+  static async findByUserId(userId, options = {}) {
+    const { since = null } = options;
+
     const query = `
       SELECT s.*, t.name as test_name, t.code as test_code
       FROM submissions s
       LEFT JOIN tests t ON s.test_id = t.id
-      WHERE s.user_id = $1
+      WHERE s.user_id = $1 AND ($2::timestamptz IS NULL OR s.created_at >= $2)
       ORDER BY s.created_at DESC
     `;
 
     try {
-      const result = await pool.query(query, [userId]);
+      const result = await pool.query(query, [userId, since]);
       return result.rows;
     } catch (error) {
       throw new Error(`Error fetching user submissions: ${error.message}`);
     }
   }
 
+  /**
+   * Get a user's submitted tests with their final scores, oldest first
+   * @param {string} userId
+   * @param {Object} options - { limit } most recent attempts to include (default 100),
+   *   { since } only submissions started at or after this time
+   * @returns {Array} - [{ submission_id, test_id, test_name, submitted_at, score }]
+   */
+  static async findSubmittedByUserId(userId, options = {}) {
+    const { limit = 100, since = null } = options;
+
+    const query = `
+      SELECT * FROM (
+        SELECT s.id as submission_id, s.test_id, t.name as test_name, s.submitted_at, s.score
+        FROM submissions s
+        LEFT JOIN tests t ON s.test_id = t.id
+        WHERE s.user_id = $1 AND s.status = 'submitted' AND s.score IS NOT NULL
+          AND ($3::timestamptz IS NULL OR s.created_at >= $3)
+        ORDER BY s.submitted_at DESC
+        LIMIT $2
+      ) recent
+      ORDER BY submitted_at ASC
+    `;
+
+    try {
+      const result = await pool.query(query, [userId, limit, since]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error fetching submitted tests: ${error.message}`);
+    }
+  }
+
   /**
    * Submit answers for a module
    * @param {string} submissionId
@@ -196,10 +829,19 @@ class Submission {
     try {
       await client.query('BEGIN');
 
-      // Get or update submission_module
+      await Submission.lockInProgress(client, submissionId);
+
+      // Get submission_module with its time limit (locked so the clock can't race)
       const getModuleQuery = `
-        SELECT id, status FROM submission_modules
-        WHERE submission_id = $1 AND module_id = $2
+        SELECT sm.id, sm.status, sm.started_at, sm.paused_seconds, sm.choice_order, m.time_limit,
+          s.break_started_at, s.break_ends_at, s.time_multiplier,
+          (SELECT p.paused_at FROM submission_pauses p
+           WHERE p.submission_id = sm.submission_id AND p.resumed_at IS NULL) as paused_at
+        FROM submission_modules sm
+        JOIN modules m ON sm.module_id = m.id
+        JOIN submissions s ON sm.submission_id = s.id
+        WHERE sm.submission_id = $1 AND sm.module_id = $2
+        FOR UPDATE OF sm
       `;
       const moduleResult = await client.query(getModuleQuery, [submissionId, moduleId]);
 
@@ -209,28 +851,57 @@ class Submission {
 
       const submissionModuleId = moduleResult.rows[0].id;
       const currentStatus = moduleResult.rows[0].status;
+      let startedAt = moduleResult.rows[0].started_at;
+
+      if (currentStatus === 'completed') {
+        throw new Error('Module has already been completed');
+      }
+
+      if (moduleResult.rows[0].paused_at) {
+        throw new Error('Submission is paused; resume it before submitting answers');
+      }
 
-      // Update module status to in_progress if not_started
+      // Start the module clock if this is the first interaction with the module
       if (currentStatus === 'not_started') {
-        await client.query(
-          `UPDATE submission_modules 
-           SET status = 'in_progress', started_at = NOW() 
-           WHERE id = $1`,
-          [submissionModuleId]
-        );
+        const breakTiming = calculateBreakTiming({
+          breakStartedAt: moduleResult.rows[0].break_started_at,
+          breakEndsAt: moduleResult.rows[0].break_ends_at
+        });
+        if (breakTiming.is_on_break) {
+          throw new Error(`A break is in progress; the next module starts at ${breakTiming.break_ends_at}`);
+        }
+
+        startedAt = await Submission.startModuleClock(client, submissionModuleId);
+      }
+
+      // Enforce the server-side deadline
+      const timing = calculateModuleTiming({
+        startedAt,
+        timeLimitMinutes: moduleResult.rows[0].time_limit,
+        pausedSeconds: moduleResult.rows[0].paused_seconds,
+        timeMultiplier: moduleResult.rows[0].time_multiplier
+      });
+
+      if (timing.is_past_grace) {
+        await client.query('ROLLBACK');
+        await Submission.autoCompleteModule(submissionId, moduleId);
+        throw new Error('Module time has expired; the module was auto-completed with previously saved answers');
       }
 
-      // Insert or update answers
+      // Insert or update answers. Shuffled choices are saved under their canonical
+      // labels, so grading compares them with the answer key as usual.
+      const choiceOrder = moduleResult.rows[0].choice_order || {};
       const insertedAnswers = [];
       for (const answer of answers) {
         const answerQuery = `
           INSERT INTO submitted_answers 
-            (submission_id, submission_module_id, question_id, submitted_answer, time_spent_seconds)
-          VALUES ($1, $2, $3, $4, $5)
+            (submission_id, submission_module_id, question_id, submitted_answer, time_spent_seconds, is_late)
+          VALUES ($1, $2, $3, $4, $5, $6)
           ON CONFLICT (submission_id, question_id) 
           DO UPDATE SET 
             submitted_answer = EXCLUDED.submitted_answer,
             time_spent_seconds = EXCLUDED.time_spent_seconds,
+            is_late = EXCLUDED.is_late,
             updated_at = NOW()
           RETURNING *
         `;
@@ -239,11 +910,16 @@ class Submission {
           submissionId,
           submissionModuleId,
           answer.questionId,
-          answer.submittedAnswer,
-          answer.timeSpentSeconds || null
+          toCanonicalAnswer(answer.submittedAnswer, choiceOrder[answer.questionId]),
+          answer.timeSpentSeconds || null,
+          timing.is_expired
         ]);
 
-        insertedAnswers.push(answerResult.rows[0]);
+        const saved = answerResult.rows[0];
+        insertedAnswers.push({
+          ...saved,
+          submitted_answer: toDisplayAnswer(saved.submitted_answer, choiceOrder[saved.question_id])
+        });
       }
 
       // Update submission updated_at
@@ -263,23 +939,32 @@ class Submission {
   }
 
   /**
-   * Complete a module, grade it, and determine next module (adaptive logic)
+   * Complete a module, grade it, and determine next module (adaptive logic driven
+   * by the test's routing rules, see utils/adaptiveRouting.js)
    * @param {string} submissionId
    * @param {string} moduleId
-   * @returns {Object} - { moduleScore, nextModule }
+   * @param {Object} options - { autoCompleted } set when the server closes an expired module
+   * @returns {Object} - { moduleScore, nextModule, sectionComplete, nextSection, sectionBreak, moduleBreak }
    */
-  static async completeModule(submissionId, moduleId) {
+  static async completeModule(submissionId, moduleId, options = {}) {
+    const { autoCompleted = false } = options;
     const client = await pool.connect();
 
     try {
       await client.query('BEGIN');
 
+      await Submission.lockInProgress(client, submissionId);
+
       // Get submission_module with module details
       const getModuleQuery = `
-        SELECT sm.id, sm.order_in_test, sm.module_id, m.subject_name, m.name as module_name
+        SELECT sm.id, sm.order_in_test, sm.module_id, sm.status, m.subject_name, m.name as module_name, s.test_id,
+          EXISTS (SELECT 1 FROM submission_pauses p
+                  WHERE p.submission_id = sm.submission_id AND p.resumed_at IS NULL) as is_paused
         FROM submission_modules sm
         JOIN modules m ON sm.module_id = m.id
+        JOIN submissions s ON sm.submission_id = s.id
         WHERE sm.submission_id = $1 AND sm.module_id = $2
+        FOR UPDATE OF sm
       `;
       const moduleResult = await client.query(getModuleQuery, [submissionId, moduleId]);
 
@@ -287,65 +972,35 @@ class Submission {
         throw new Error('Module not found for this submission');
       }
 
+      if (moduleResult.rows[0].status === 'completed') {
+        throw new Error('Module has already been completed');
+      }
+
+      if (moduleResult.rows[0].is_paused) {
+        throw new Error('Submission is paused; resume it before completing the module');
+      }
+
       const submissionModuleId = moduleResult.rows[0].id;
       const orderInTest = moduleResult.rows[0].order_in_test;
       const subjectName = moduleResult.rows[0].subject_name;
+      const testId = moduleResult.rows[0].test_id;
 
       // Grade the answers
-      const gradeQuery = `
-        SELECT 
-          sa.id,
-          sa.question_id,
-          sa.submitted_answer,
-          q.correct_answer,
-          (sa.submitted_answer = q.correct_answer) as is_correct
-        FROM submitted_answers sa
-        JOIN questions q ON sa.question_id = q.id
-        WHERE sa.submission_module_id = $1
-      `;
-      const gradeResult = await client.query(gradeQuery, [submissionModuleId]);
-
-      // Update is_correct for each answer
-      for (const row of gradeResult.rows) {
-        await client.query(
-          'UPDATE submitted_answers SET is_correct = $1 WHERE id = $2',
-          [row.is_correct, row.id]
-        );
-      }
-
-      // Calculate score
-      const totalQuestions = gradeResult.rows.length;
-      const correctAnswers = gradeResult.rows.filter(r => r.is_correct).length;
+      const grade = await Submission.gradeModuleAnswers(client, submissionModuleId);
+      const { correctAnswers, totalQuestions } = grade;
 
-      // Determine which module number this is for the subject (1st or 2nd)
-      const moduleNumberQuery = `
-        SELECT COUNT(*) as count
-        FROM submission_modules sm
-        JOIN modules m ON sm.module_id = m.id
-        WHERE sm.submission_id = $1 AND m.subject_name = $2 AND sm.order_in_test < $3
-      `;
-      const moduleNumberResult = await client.query(moduleNumberQuery, [
+      // Determine which module number this is for the subject (1st, 2nd, ...)
+      const moduleNumber = await Submission.getModuleNumber(
+        client,
         submissionId,
         subjectName,
         orderInTest
-      ]);
-      const moduleNumber = parseInt(moduleNumberResult.rows[0].count) + 1; // 1 or 2
+      );
 
       // Get Module 1 percentage if this is Module 2
       let module1Percentage = null;
       if (moduleNumber === 2) {
-        const module1Query = `
-          SELECT score
-          FROM submission_modules sm
-          JOIN modules m ON sm.module_id = m.id
-          WHERE sm.submission_id = $1 AND m.subject_name = $2 AND sm.status = 'completed'
-          ORDER BY sm.order_in_test ASC
-          LIMIT 1
-        `;
-        const module1Result = await client.query(module1Query, [submissionId, subjectName]);
-        if (module1Result.rows.length > 0 && module1Result.rows[0].score) {
-          module1Percentage = module1Result.rows[0].score.percentage;
-        }
+        module1Percentage = await Submission.getModule1Percentage(client, submissionId, subjectName);
       }
 
       // Calculate module score using SAT scoring
@@ -357,58 +1012,64 @@ class Submission {
         module1Percentage
       );
 
+      // Determine next module from the test's routing rules
+      const routing = await Submission.routeAfterModule(client, submissionId, subjectName, moduleNumber, grade);
+      let nextModule = null;
+      if (routing) {
+        nextModule = await Submission.findRoutedModule(client, submissionId, subjectName, routing);
+        moduleScore.routing = routing;
+      }
+      if (nextModule) {
+        moduleScore.determines_next_difficulty = nextModule.difficulty;
+      } else {
+        delete moduleScore.determines_next_difficulty;
+      }
+      moduleScore.section_complete = !nextModule;
+
       // Update module status and score
       await client.query(
         `UPDATE submission_modules 
          SET status = 'completed', 
              completed_at = NOW(), 
-             score = $1 
-         WHERE id = $2`,
-        [JSON.stringify(moduleScore), submissionModuleId]
+             score = $1,
+             auto_completed = $2
+         WHERE id = $3`,
+        [JSON.stringify(moduleScore), autoCompleted, submissionModuleId]
       );
 
-      // Determine next module (adaptive logic for Module 2)
-      let nextModule = null;
-      if (moduleNumber === 1) {
-        // This is Module 1, need to assign Module 2 based on performance
-        const module2Difficulty = determineModule2Difficulty(moduleScore.percentage);
-        
-        // Find the appropriate Module 2 for this subject based on difficulty level
-        const nextModuleQuery = `
-          SELECT m.id, m.name, m.subject_name, m.time_limit, m.difficulty
-          FROM test_modules tm
-          JOIN modules m ON tm.module_id = m.id
-          JOIN submissions s ON s.test_id = tm.test_id
-          WHERE s.id = $1 
-            AND m.subject_name = $2
-            AND m.difficulty = $3
-          ORDER BY tm.order_number ASC
-          LIMIT 1
-        `;
-        const nextModuleResult = await client.query(nextModuleQuery, [
-          submissionId,
-          subjectName,
-          module2Difficulty
-        ]);
-
-        if (nextModuleResult.rows.length > 0) {
-          nextModule = nextModuleResult.rows[0];
-          
-          // Create submission_module for the next module
-          const nextOrderInTest = orderInTest + 1;
-          await client.query(
-            `INSERT INTO submission_modules (submission_id, module_id, order_in_test, status)
-             VALUES ($1, $2, $3, 'not_started')`,
-            [submissionId, nextModule.id, nextOrderInTest]
-          );
+      // Once a section is over, move on to the first module of the next one
+      let nextSection = null;
+      if (!nextModule) {
+        const next = await Submission.findNextSectionModule(client, submissionId, testId, subjectName);
+        if (next) {
+          nextSection = next.section;
+          nextModule = next.module;
         }
       }
 
+      // Students get the test's break between sections (and between modules with accommodations)
+      let sectionBreak = null;
+      let moduleBreak = null;
+      if (nextSection) {
+        sectionBreak = await Submission.startBreak(client, submissionId, { betweenSections: true });
+      } else if (nextModule) {
+        moduleBreak = await Submission.startBreak(client, submissionId, { betweenSections: false });
+      }
+
+      if (nextModule) {
+        // Create submission_module for the next module
+        await Submission.addSubmissionModule(client, submissionId, nextModule.id, orderInTest + 1);
+      }
+
       await client.query('COMMIT');
 
       return {
         moduleScore,
-        nextModule
+        nextModule,
+        sectionComplete: moduleScore.section_complete,
+        nextSection,
+        sectionBreak,
+        moduleBreak
       };
     } catch (error) {
       await client.query('ROLLBACK');
@@ -419,76 +1080,223 @@ class Submission {
   }
 
   /**
-   * Finalize/submit the entire test
-   * @param {string} submissionId
-   * @returns {Object} - Final submission with total score
+   * Grade every saved answer in a submission module against the current answer keys
+   * (SPR answers are compared by numeric equivalence)
+   * @param {Object} client - Database client (inside a transaction)
+   * @param {string} submissionModuleId
+   * @returns {Object} - { rows, questions, correctAnswers, totalQuestions } (questions and
+   *   totalQuestions cover every question in the module, answered or not)
    */
-  static async finalizeSubmission(submissionId) {
-    const client = await pool.connect();
-
+  static async gradeModuleAnswers(client, submissionModuleId) {
+    const gradeQuery = `
+      SELECT 
+        sa.id,
+        sa.question_id,
+        sa.submitted_answer,
+        sa.is_correct as previous_is_correct,
+        sa.answer_key_version as previous_answer_key_version,
+        q.correct_answer,
+        q.accepted_answers,
+        q.answer_key_version,
+        q.is_multiple_choice,
+        q.difficulty
+      FROM submitted_answers sa
+      JOIN questions q ON sa.question_id = q.id
+      WHERE sa.submission_module_id = $1
+    `;
+    const gradeResult = await client.query(gradeQuery, [submissionModuleId]);
+
+    // Update is_correct for each answer
+    for (const row of gradeResult.rows) {
+      row.is_correct = isAnswerCorrect(row.submitted_answer, row);
+      await client.query(
+        'UPDATE submitted_answers SET is_correct = $1, answer_key_version = $2 WHERE id = $3',
+        [row.is_correct, row.answer_key_version, row.id]
+      );
+    }
+
+    const questionsResult = await client.query(
+      `SELECT q.id, q.difficulty
+       FROM submission_modules sm
+       JOIN module_questions mq ON mq.module_id = sm.module_id
+       JOIN questions q ON mq.question_id = q.id
+       WHERE sm.id = $1`,
+      [submissionModuleId]
+    );
+
+    return {
+      rows: gradeResult.rows,
+      questions: questionsResult.rows,
+      correctAnswers: gradeResult.rows.filter(r => r.is_correct).length,
+      totalQuestions: questionsResult.rows.length
+    };
+  }
+
+  /**
+   * Evaluate the test's routing rules for a just-graded module
+   * @param {Object} client - Database client
+   * @param {string} submissionId
+   * @param {string} subjectName
+   * @param {number} moduleNumber - Position of the module within the subject
+   * @param {Object} grade - Result of gradeModuleAnswers
+   * @returns {Object|null} - Routing decision, or null if the section ends here
+   */
+  static async routeAfterModule(client, submissionId, subjectName, moduleNumber, grade) {
+    const rulesResult = await client.query(
+      `SELECT t.routing_rules
+       FROM submissions s
+       JOIN tests t ON s.test_id = t.id
+       WHERE s.id = $1`,
+      [submissionId]
+    );
+
+    return routeNextModule(
+      rulesResult.rows[0]?.routing_rules || null,
+      subjectName,
+      moduleNumber,
+      grade.rows,
+      grade.questions
+    );
+  }
+
+  /**
+   * Find the module a routing decision points to. Only modules in the test that the
+   * student hasn't already taken in this submission are eligible.
+   * @param {Object} client - Database client
+   * @param {string} submissionId
+   * @param {string} subjectName
+   * @param {Object} routing - { difficulty, module_id } from routeNextModule
+   * @returns {Object|null} - Next module, or null if none matches
+   */
+  static async findRoutedModule(client, submissionId, subjectName, routing) {
+    const nextModuleQuery = `
+      SELECT m.id, m.name, m.subject_name, m.time_limit, m.difficulty
+      FROM test_modules tm
+      JOIN modules m ON tm.module_id = m.id
+      JOIN submissions s ON s.test_id = tm.test_id
+      WHERE s.id = $1 
+        AND m.subject_name = $2
+        AND ($3::uuid IS NULL OR m.id = $3)
+        AND ($4::text IS NULL OR m.difficulty = $4)
+        AND NOT EXISTS (
+          SELECT 1 FROM submission_modules taken
+          WHERE taken.submission_id = s.id AND taken.module_id = m.id
+        )
+      ORDER BY tm.order_number ASC
+      LIMIT 1
+    `;
+    const nextModuleResult = await client.query(nextModuleQuery, [
+      submissionId,
+      subjectName,
+      routing.module_id,
+      routing.module_id ? null : routing.difficulty
+    ]);
+
+    return nextModuleResult.rows[0] || null;
+  }
+
+  /**
+   * Position of a module within its subject for a submission (1 for Module 1, 2 for Module 2)
+   * @param {Object} client - Database client
+   * @param {string} submissionId
+   * @param {string} subjectName
+   * @param {number} orderInTest
+   * @returns {number}
+   */
+  static async getModuleNumber(client, submissionId, subjectName, orderInTest) {
+    const moduleNumberQuery = `
+      SELECT COUNT(*) as count
+      FROM submission_modules sm
+      JOIN modules m ON sm.module_id = m.id
+      WHERE sm.submission_id = $1 AND m.subject_name = $2 AND sm.order_in_test < $3
+    `;
+    const moduleNumberResult = await client.query(moduleNumberQuery, [
+      submissionId,
+      subjectName,
+      orderInTest
+    ]);
+    return parseInt(moduleNumberResult.rows[0].count) + 1;
+  }
+
+  /**
+   * Percentage scored on the first completed module of a subject
+   * @param {Object} client - Database client
+   * @param {string} submissionId
+   * @param {string} subjectName
+   * @returns {number|null}
+   */
+  static async getModule1Percentage(client, submissionId, subjectName) {
+    const module1Query = `
+      SELECT score
+      FROM submission_modules sm
+      JOIN modules m ON sm.module_id = m.id
+      WHERE sm.submission_id = $1 AND m.subject_name = $2 AND sm.status = 'completed'
+      ORDER BY sm.order_in_test ASC
+      LIMIT 1
+    `;
+    const module1Result = await client.query(module1Query, [submissionId, subjectName]);
+    if (module1Result.rows.length > 0 && module1Result.rows[0].score) {
+      return module1Result.rows[0].score.percentage;
+    }
+    return null;
+  }
+
+  /**
+   * Lock a submission and check it still accepts answers and module changes.
+   * The submission is locked before its modules, as pause() and regrade() do.
+   * @param {Object} client - Database client (inside a transaction)
+   * @param {string} submissionId
+   */
+  static async lockInProgress(client, submissionId) {
+    const result = await client.query(
+      'SELECT status FROM submissions WHERE id = $1 FOR UPDATE',
+      [submissionId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Submission not found');
+    }
+
+    if (result.rows[0].status !== 'in_progress') {
+      throw new Error('Submission is not in progress');
+    }
+  }
+
+  /**
+   * Finalize/submit the entire test
+   * A module the student has started must be completed first: once submitted the
+   * answer keys are shown, so no module may still be open for answers.
+   * @param {string} submissionId
+   * @returns {Object} - Final submission with total score
+   */
+  static async finalizeSubmission(submissionId) {
+    const client = await pool.connect();
+
     try {
       await client.query('BEGIN');
 
-      // Get all module scores grouped by subject
-      const scoresQuery = `
-        SELECT sm.score, m.subject_name, sm.order_in_test
-        FROM submission_modules sm
-        JOIN modules m ON sm.module_id = m.id
-        WHERE sm.submission_id = $1 AND sm.status = 'completed'
-        ORDER BY m.subject_name, sm.order_in_test
-      `;
-      const scoresResult = await client.query(scoresQuery, [submissionId]);
-
-      if (scoresResult.rows.length === 0) {
-        throw new Error('No completed modules found for this submission');
-      }
+      await Submission.lockInProgress(client, submissionId);
 
-      // Group scores by subject
-      const scoresBySubject = {};
-      scoresResult.rows.forEach(row => {
-        const subject = row.subject_name;
-        if (!scoresBySubject[subject]) {
-          scoresBySubject[subject] = [];
-        }
-        scoresBySubject[subject].push(row.score);
-      });
+      const openModuleResult = await client.query(
+        `SELECT 1 FROM submission_modules
+         WHERE submission_id = $1 AND status = 'in_progress'
+         LIMIT 1`,
+        [submissionId]
+      );
 
-      // Calculate section scores
-      const sections = {};
-      
-      // Reading & Writing section
-      if (scoresBySubject['Reading and Writing']?.length === 2) {
-        sections.readingWriting = calculateSectionFinalScore(
-          scoresBySubject['Reading and Writing'][0],
-          scoresBySubject['Reading and Writing'][1],
-          'Reading and Writing'
-        );
+      if (openModuleResult.rows.length > 0) {
+        throw new Error('A module is still in progress; complete it before finalizing');
       }
 
-      // Math section
-      if (scoresBySubject['Math']?.length === 2) {
-        sections.math = calculateSectionFinalScore(
-          scoresBySubject['Math'][0],
-          scoresBySubject['Math'][1],
-          'Math'
-        );
-      }
+      // A test submitted early leaves the next module queued; it has no answers and
+      // its clock never started, so drop it rather than leave it to be served later
+      await client.query(
+        `DELETE FROM submission_modules
+         WHERE submission_id = $1 AND status = 'not_started'`,
+        [submissionId]
+      );
 
-      // Calculate total SAT score if both sections are complete
-      let totalScore;
-      if (sections.readingWriting && sections.math) {
-        totalScore = calculateTotalSATScore(
-          sections.readingWriting,
-          sections.math
-        );
-      } else {
-        // Partial submission - store what we have
-        totalScore = {
-          sections,
-          incomplete: true,
-          message: 'Not all sections completed'
-        };
-      }
+      const totalScore = await Submission.calculateFinalScore(client, submissionId);
 
       // Update submission
       const updateQuery = `
@@ -516,24 +1324,633 @@ class Submission {
   }
 
   /**
-   * Get current module for a submission (the in_progress or not_started one)
+   * Calculate the overall score from a submission's completed modules
+   * @param {Object} client - Database client
+   * @param {string} submissionId
+   * @returns {Object} - Total SAT score report (or partial score if sections are missing)
+   */
+  static async calculateFinalScore(client, submissionId) {
+    // Get all module scores grouped by subject
+    const scoresQuery = `
+      SELECT sm.score, m.subject_name, sm.order_in_test
+      FROM submission_modules sm
+      JOIN modules m ON sm.module_id = m.id
+      WHERE sm.submission_id = $1 AND sm.status = 'completed'
+      ORDER BY m.subject_name, sm.order_in_test
+    `;
+    const scoresResult = await client.query(scoresQuery, [submissionId]);
+
+    if (scoresResult.rows.length === 0) {
+      throw new Error('No completed modules found for this submission');
+    }
+
+    // Group scores by subject
+    const scoresBySubject = {};
+    scoresResult.rows.forEach(row => {
+      const subject = row.subject_name;
+      if (!scoresBySubject[subject]) {
+        scoresBySubject[subject] = [];
+      }
+      scoresBySubject[subject].push(row.score);
+    });
+
+    // Score sections with the test's strategy (raw conversion tables or IRT)
+    const testResult = await client.query(
+      `SELECT s.test_id, t.scoring_method
+       FROM submissions s
+       JOIN tests t ON s.test_id = t.id
+       WHERE s.id = $1`,
+      [submissionId]
+    );
+    const { test_id: testId, scoring_method: scoringMethod } = testResult.rows[0];
+    const strategy = getScoringStrategy(scoringMethod);
+
+    // Use the test's conversion table (or the default)
+    const scoreTable = await ScoreConversionTable.resolveForTest(testId, client);
+
+    // Item responses feed IRT scoring and the domain/skill breakdown
+    const responsesBySubject = await Submission.getItemResponses(client, submissionId);
+
+    // Calculate section scores
+    const sections = {};
+    
+    // Reading & Writing section
+    if (isSectionComplete(scoresBySubject['Reading and Writing'])) {
+      sections.readingWriting = strategy.scoreSection({
+        subject: 'Reading and Writing',
+        moduleScores: scoresBySubject['Reading and Writing'],
+        responses: responsesBySubject['Reading and Writing'] || [],
+        scoreTables: scoreTable.conversions
+      });
+    }
+
+    // Math section
+    if (isSectionComplete(scoresBySubject['Math'])) {
+      sections.math = strategy.scoreSection({
+        subject: 'Math',
+        moduleScores: scoresBySubject['Math'],
+        responses: responsesBySubject['Math'] || [],
+        scoreTables: scoreTable.conversions
+      });
+    }
+
+    // Calculate total SAT score if both sections are complete
+    let totalScore;
+    if (sections.readingWriting && sections.math) {
+      totalScore = calculateTotalSATScore(
+        sections.readingWriting,
+        sections.math
+      );
+    } else {
+      // Partial submission - store what we have
+      totalScore = {
+        sections,
+        incomplete: true,
+        message: 'Not all sections completed'
+      };
+    }
+
+    totalScore.scoring_method = scoringMethod;
+    if (scoringMethod === 'raw') {
+      totalScore.score_table = { id: scoreTable.id, name: scoreTable.name };
+    }
+
+    totalScore.skill_breakdown = calculateSkillBreakdown(responsesBySubject);
+
+    return totalScore;
+  }
+
+  /**
+   * Get every item delivered in a submission's completed modules with its IRT parameters,
+   * domain, skill and time spent, grouped by subject. Unanswered questions count as incorrect.
+   * @param {Object} client - Database client
+   * @param {string} submissionId
+   * @returns {Object} - { [subject]: [{ question_id, is_correct, difficulty, is_multiple_choice, irt_*,
+   *   question_domain, question_skill, time_spent_seconds }] }
+   */
+  static async getItemResponses(client, submissionId) {
+    const query = `
+      SELECT
+        m.subject_name,
+        q.id as question_id,
+        q.difficulty,
+        q.is_multiple_choice,
+        q.irt_discrimination,
+        q.irt_difficulty,
+        q.irt_guessing,
+        q.question_domain,
+        q.question_skill,
+        sa.time_spent_seconds,
+        COALESCE(sa.is_correct, false) as is_correct
+      FROM submission_modules sm
+      JOIN modules m ON sm.module_id = m.id
+      JOIN module_questions mq ON mq.module_id = sm.module_id
+      JOIN questions q ON mq.question_id = q.id
+      LEFT JOIN submitted_answers sa ON sa.submission_module_id = sm.id AND sa.question_id = q.id
+      WHERE sm.submission_id = $1 AND sm.status = 'completed'
+      ORDER BY sm.order_in_test, mq.order_number
+    `;
+    const result = await client.query(query, [submissionId]);
+
+    const responsesBySubject = {};
+    result.rows.forEach(row => {
+      if (!responsesBySubject[row.subject_name]) {
+        responsesBySubject[row.subject_name] = [];
+      }
+      responsesBySubject[row.subject_name].push(row);
+    });
+    return responsesBySubject;
+  }
+
+  /**
+   * Re-grade a submission against the current answer keys and re-score it.
+   * Completed modules are re-graded in order; finalized submissions also get a new
+   * total score. The module sequence the student actually took is never changed.
    * @param {string} submissionId
-   * @returns {Object} - Current module or null
+   * @param {Object} options - { dryRun } to compute the report without saving
+   * @returns {Object} - Before/after report for the submission
+   */
+  static async regrade(submissionId, options = {}) {
+    const { dryRun = false } = options;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const submissionResult = await client.query(
+        'SELECT * FROM submissions WHERE id = $1 FOR UPDATE',
+        [submissionId]
+      );
+
+      if (submissionResult.rows.length === 0) {
+        throw new Error('Submission not found');
+      }
+
+      const submission = submissionResult.rows[0];
+
+      const modulesQuery = `
+        SELECT sm.id, sm.module_id, sm.order_in_test, sm.score, m.subject_name, m.name as module_name
+        FROM submission_modules sm
+        JOIN modules m ON sm.module_id = m.id
+        WHERE sm.submission_id = $1 AND sm.status = 'completed'
+        ORDER BY sm.order_in_test ASC
+        FOR UPDATE OF sm
+      `;
+      const modulesResult = await client.query(modulesQuery, [submissionId]);
+
+      const answerChanges = [];
+      const moduleChanges = [];
+
+      for (const module of modulesResult.rows) {
+        const grade = await Submission.gradeModuleAnswers(client, module.id);
+
+        grade.rows
+          .filter(row => row.previous_is_correct !== row.is_correct)
+          .forEach(row => {
+            answerChanges.push({
+              question_id: row.question_id,
+              module_id: module.module_id,
+              submitted_answer: row.submitted_answer,
+              is_correct_before: row.previous_is_correct,
+              is_correct_after: row.is_correct,
+              answer_key_version_before: row.previous_answer_key_version,
+              answer_key_version_after: row.answer_key_version
+            });
+          });
+
+        const moduleNumber = await Submission.getModuleNumber(
+          client,
+          submissionId,
+          module.subject_name,
+          module.order_in_test
+        );
+        const module1Percentage = moduleNumber === 2
+          ? await Submission.getModule1Percentage(client, submissionId, module.subject_name)
+          : null;
+
+        const previousScore = module.score || {};
+        const moduleScore = {
+          ...calculateModuleScore(
+            grade.correctAnswers,
+            grade.totalQuestions,
+            module.subject_name,
+            moduleNumber,
+            module1Percentage
+          ),
+          // Keep the route the student actually took so the section is scaled the same way
+          determines_next_difficulty: previousScore.determines_next_difficulty,
+          section_complete: previousScore.section_complete,
+          routing: previousScore.routing
+        };
+
+        await client.query(
+          'UPDATE submission_modules SET score = $1 WHERE id = $2',
+          [JSON.stringify(moduleScore), module.id]
+        );
+
+        if (previousScore.raw_score !== moduleScore.raw_score) {
+          // Changes that would have routed differently are flagged, not re-routed
+          const routing = await Submission.routeAfterModule(
+            client,
+            submissionId,
+            module.subject_name,
+            moduleNumber,
+            grade
+          );
+          const previousRouting = previousScore.routing || {
+            difficulty: previousScore.determines_next_difficulty,
+            module_id: null
+          };
+
+          moduleChanges.push({
+            module_id: module.module_id,
+            module_name: module.module_name,
+            raw_score_before: previousScore.raw_score ?? null,
+            raw_score_after: moduleScore.raw_score,
+            routing_changed: Boolean(routing) &&
+              previousScore.determines_next_difficulty !== undefined &&
+              (routing.module_id !== previousRouting.module_id ||
+                routing.difficulty !== previousRouting.difficulty)
+          });
+        }
+      }
+
+      // Re-score finalized submissions
+      let newScore = submission.score;
+      if (submission.status !== 'in_progress' && modulesResult.rows.length > 0) {
+        newScore = await Submission.calculateFinalScore(client, submissionId);
+        await client.query(
+          'UPDATE submissions SET score = $1, updated_at = NOW() WHERE id = $2',
+          [JSON.stringify(newScore), submissionId]
+        );
+      }
+
+      await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+      const scoreBefore = summarizeScore(submission.score);
+      const scoreAfter = summarizeScore(newScore);
+
+      return {
+        submission_id: submission.id,
+        user_id: submission.user_id,
+        status: submission.status,
+        dry_run: dryRun,
+        changed: answerChanges.length > 0,
+        score_before: scoreBefore,
+        score_after: scoreAfter,
+        total_score_delta: scoreBefore?.total_score != null && scoreAfter?.total_score != null
+          ? scoreAfter.total_score - scoreBefore.total_score
+          : null,
+        module_changes: moduleChanges,
+        answer_changes: answerChanges
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Error regrading submission: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get IDs of submissions with graded answers to a question
+   * @param {string} questionId
+   * @returns {Array<string>}
+   */
+  static async findIdsByQuestionId(questionId) {
+    const query = `
+      SELECT DISTINCT sa.submission_id
+      FROM submitted_answers sa
+      JOIN submission_modules sm ON sa.submission_module_id = sm.id
+      WHERE sa.question_id = $1 AND sm.status = 'completed'
+    `;
+
+    try {
+      const result = await pool.query(query, [questionId]);
+      return result.rows.map(row => row.submission_id);
+    } catch (error) {
+      throw new Error(`Error fetching submissions for question: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-grade every submission that answered a question (e.g. after an answer-key correction)
+   * @param {string} questionId
+   * @param {Object} options - { dryRun }
+   * @returns {Object} - { question_id, submissions_checked, submissions_changed, reports }
+   */
+  static async regradeByQuestion(questionId, options = {}) {
+    const submissionIds = await Submission.findIdsByQuestionId(questionId);
+
+    // Regrade one submission at a time so a single failure doesn't roll back the rest
+    const reports = [];
+    for (const submissionId of submissionIds) {
+      try {
+        reports.push(await Submission.regrade(submissionId, options));
+      } catch (error) {
+        reports.push({ submission_id: submissionId, error: error.message });
+      }
+    }
+
+    return {
+      question_id: questionId,
+      dry_run: Boolean(options.dryRun),
+      submissions_checked: reports.length,
+      submissions_changed: reports.filter(report => report.changed).length,
+      submissions_failed: reports.filter(report => report.error).length,
+      reports
+    };
+  }
+
+  /**
+   * Pause an in-progress submission. The current module's clock stops until resume.
+   * @param {string} submissionId
+   * @param {Object} options - { reason }
+   * @returns {Object} - { pause, remaining_seconds, pauses_remaining }
+   */
+  static async pause(submissionId, options = {}) {
+    const { reason = null } = options;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const submissionQuery = `
+        SELECT s.id, s.status, s.time_multiplier, t.max_pauses, t.proctored,
+          (SELECT COUNT(*) FROM submission_pauses p WHERE p.submission_id = s.id)::int as pause_count,
+          EXISTS (SELECT 1 FROM submission_pauses p
+                  WHERE p.submission_id = s.id AND p.resumed_at IS NULL) as is_paused
+        FROM submissions s
+        JOIN tests t ON s.test_id = t.id
+        WHERE s.id = $1
+        FOR UPDATE OF s
+      `;
+      const submissionResult = await client.query(submissionQuery, [submissionId]);
+
+      if (submissionResult.rows.length === 0) {
+        throw new Error('Submission not found');
+      }
+
+      const submission = submissionResult.rows[0];
+
+      if (submission.status !== 'in_progress') {
+        throw new Error('Submission is not in progress');
+      }
+      if (submission.proctored) {
+        throw new Error('Pausing is disabled for proctored tests');
+      }
+      if (submission.is_paused) {
+        throw new Error('Submission is already paused');
+      }
+      if (submission.pause_count >= submission.max_pauses) {
+        throw new Error(`Pause limit reached (${submission.max_pauses} per test)`);
+      }
+
+      const moduleQuery = `
+        SELECT sm.id, sm.started_at, sm.paused_seconds, m.time_limit
+        FROM submission_modules sm
+        JOIN modules m ON sm.module_id = m.id
+        WHERE sm.submission_id = $1 AND sm.status = 'in_progress'
+        ORDER BY sm.order_in_test ASC
+        LIMIT 1
+        FOR UPDATE OF sm
+      `;
+      const moduleResult = await client.query(moduleQuery, [submissionId]);
+
+      if (moduleResult.rows.length === 0) {
+        throw new Error('No module in progress to pause');
+      }
+
+      const currentModule = moduleResult.rows[0];
+      const timing = calculateModuleTiming({
+        startedAt: currentModule.started_at,
+        timeLimitMinutes: currentModule.time_limit,
+        pausedSeconds: currentModule.paused_seconds,
+        timeMultiplier: submission.time_multiplier
+      });
+
+      if (timing.is_expired) {
+        throw new Error('Module time has expired; it can no longer be paused');
+      }
+
+      const pauseResult = await client.query(
+        `INSERT INTO submission_pauses (submission_id, submission_module_id, reason)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [submissionId, currentModule.id, reason]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        pause: pauseResult.rows[0],
+        remaining_seconds: timing.remaining_seconds,
+        pauses_remaining: submission.max_pauses - submission.pause_count - 1
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Error pausing submission: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Resume a paused submission, crediting the paused time to the module's clock
+   * @param {string} submissionId
+   * @returns {Object} - { pause, paused_seconds }
+   */
+  static async resume(submissionId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const submissionResult = await client.query(
+        'SELECT id FROM submissions WHERE id = $1 FOR UPDATE',
+        [submissionId]
+      );
+
+      if (submissionResult.rows.length === 0) {
+        throw new Error('Submission not found');
+      }
+
+      const pauseResult = await client.query(
+        `UPDATE submission_pauses
+         SET resumed_at = NOW()
+         WHERE submission_id = $1 AND resumed_at IS NULL
+         RETURNING *, ROUND(EXTRACT(EPOCH FROM (resumed_at - paused_at)))::int as paused_seconds`,
+        [submissionId]
+      );
+
+      if (pauseResult.rows.length === 0) {
+        throw new Error('Submission is not paused');
+      }
+
+      const { paused_seconds: pausedSeconds, ...pause } = pauseResult.rows[0];
+
+      await client.query(
+        'UPDATE submission_modules SET paused_seconds = paused_seconds + $1 WHERE id = $2',
+        [pausedSeconds, pause.submission_module_id]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        pause,
+        paused_seconds: pausedSeconds
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Error resuming submission: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the pause history of a submission
+   * @param {string} submissionId
+   * @returns {Array<Object>}
+   */
+  static async getPauses(submissionId) {
+    const query = `
+      SELECT id, submission_module_id, reason, paused_at, resumed_at
+      FROM submission_pauses
+      WHERE submission_id = $1
+      ORDER BY paused_at ASC
+    `;
+
+    try {
+      const result = await pool.query(query, [submissionId]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error fetching pauses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start the clock on a module that has not been started yet
+   * @param {Object} client - Database client or pool
+   * @param {string} submissionModuleId
+   * @returns {Date} - The module's started_at
+   */
+  static async startModuleClock(client, submissionModuleId) {
+    const result = await client.query(
+      `UPDATE submission_modules 
+       SET status = 'in_progress', started_at = COALESCE(started_at, NOW()) 
+       WHERE id = $1
+       RETURNING started_at`,
+      [submissionModuleId]
+    );
+    return result.rows[0].started_at;
+  }
+
+  /**
+   * Complete a module whose time limit has expired, grading whatever was saved.
+   * A concurrent request may already have closed it, which is not an error here.
+   * @param {string} submissionId
+   * @param {string} moduleId
+   * @returns {Object|null} - Result of completeModule, or null if already completed or the submission is over
+   */
+  static async autoCompleteModule(submissionId, moduleId) {
+    try {
+      return await Submission.completeModule(submissionId, moduleId, { autoCompleted: true });
+    } catch (error) {
+      if (error.message.includes('already been completed') || error.message.includes('not in progress')) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get current module for a submission (the in_progress or not_started one).
+   * Serving a module starts its clock; modules whose time has run out are
+   * auto-completed and the next module is returned instead. During a section
+   * break the next module is returned with on_break set and its clock stopped;
+   * while the submission is paused the deadline keeps moving back.
+   * Finalized submissions have no current module and never start a clock.
+   * @param {string} submissionId
+   * @returns {Object} - Current module with timing info, or null
    */
   static async getCurrentModule(submissionId) {
     const query = `
-      SELECT sm.*, m.name, m.subject_name, m.time_limit
+      SELECT sm.*, m.name, m.subject_name, m.time_limit, s.break_started_at, s.break_ends_at, s.time_multiplier,
+        (SELECT p.paused_at FROM submission_pauses p
+         WHERE p.submission_id = sm.submission_id AND p.resumed_at IS NULL) as paused_at
       FROM submission_modules sm
       JOIN modules m ON sm.module_id = m.id
+      JOIN submissions s ON sm.submission_id = s.id
       WHERE sm.submission_id = $1 
         AND sm.status IN ('not_started', 'in_progress')
+        AND s.status = 'in_progress'
       ORDER BY sm.order_in_test ASC
       LIMIT 1
     `;
 
     try {
-      const result = await pool.query(query, [submissionId]);
-      return result.rows.length > 0 ? result.rows[0] : null;
+      const statusResult = await pool.query('SELECT status FROM submissions WHERE id = $1', [submissionId]);
+      if (statusResult.rows.length === 0) {
+        throw new Error('Submission not found');
+      }
+      if (statusResult.rows[0].status !== 'in_progress') {
+        throw new Error('Submission is not in progress');
+      }
+
+      // Each pass either returns the current module or closes an expired one
+      while (true) {
+        const result = await pool.query(query, [submissionId]);
+        if (result.rows.length === 0) {
+          return null;
+        }
+
+        const { break_started_at: breakStartedAt, break_ends_at: breakEndsAt, ...currentModule } = result.rows[0];
+
+        if (currentModule.status === 'not_started') {
+          // The next section's clock doesn't start until the break is over
+          const breakTiming = calculateBreakTiming({ breakStartedAt, breakEndsAt });
+          if (breakTiming.is_on_break) {
+            return {
+              ...currentModule,
+              on_break: true,
+              break: breakTiming,
+              deadline: null,
+              remaining_seconds: null,
+              server_time: new Date().toISOString()
+            };
+          }
+
+          currentModule.started_at = await Submission.startModuleClock(pool, currentModule.id);
+          currentModule.status = 'in_progress';
+        }
+
+        const timing = calculateModuleTiming({
+          startedAt: currentModule.started_at,
+          timeLimitMinutes: currentModule.time_limit,
+          pausedSeconds: currentModule.paused_seconds,
+          pausedAt: currentModule.paused_at,
+          timeMultiplier: currentModule.time_multiplier
+        });
+
+        if (timing.is_past_grace) {
+          // null means someone else closed the module or the submission; stop rather than spin
+          if (!(await Submission.autoCompleteModule(submissionId, currentModule.module_id))) {
+            return null;
+          }
+          continue;
+        }
+
+        return {
+          ...currentModule,
+          on_break: false,
+          is_paused: timing.is_paused,
+          time_limit_seconds: timing.time_limit_seconds,
+          deadline: timing.deadline,
+          remaining_seconds: timing.remaining_seconds,
+          server_time: new Date().toISOString()
+        };
+      }
     } catch (error) {
       throw new Error(`Error getting current module: ${error.message}`);
     }
@@ -548,6 +1965,12 @@ class Submission {
       status: this.status,
       score: this.score,
       submitted_at: this.submitted_at,
+      break_started_at: this.break_started_at,
+      break_ends_at: this.break_ends_at,
+      time_multiplier: this.time_multiplier,
+      extra_break_minutes: this.extra_break_minutes,
+      breaks_between_modules: this.breaks_between_modules,
+      access_code_id: this.access_code_id,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
@@ -1,10 +1,29 @@
 const pool = require('../config/db');
+const Question = require('./Question');
+const Module = require('./Module');
+const ScoreConversionTable = require('./ScoreConversionTable');
+const { validateTestStructure } = require('../utils/testStructure');
+const { DEFAULT_BLUEPRINT, assembleFromBlueprint } = require('../utils/testBlueprint');
+const { getTransitionError } = require('../utils/testLifecycle');
+const { validateRoutingScoreTables } = require('../utils/adaptiveRouting');
 
 class Test {
   constructor(data) {
     this.id = data.id;
     this.name = data.name;
     this.code = data.code;
+    this.score_conversion_table_id = data.score_conversion_table_id;
+    this.scoring_method = data.scoring_method;
+    this.routing_rules = data.routing_rules;
+    this.section_break_minutes = data.section_break_minutes;
+    this.max_pauses = data.max_pauses;
+    this.proctored = data.proctored;
+    this.shuffle_questions = data.shuffle_questions;
+    this.shuffle_choices = data.shuffle_choices;
+    this.require_access_code = data.require_access_code;
+    this.status = data.status;
+    this.published_at = data.published_at;
+    this.archived_at = data.archived_at;
     this.created_at = data.created_at;
   }
 
@@ -15,6 +34,10 @@ class Test {
       t.id,
       t.name,
       t.code,
+      t.shuffle_questions,
+      t.shuffle_choices,
+      t.require_access_code,
+      t.status,
       t.created_at,
       m.id as module_id,
       m.name as module_name,
@@ -36,10 +59,12 @@ class Test {
 
     const answerFields = includeAnswers ? `
       q.question_rationale,
-      q.correct_answer
+      q.correct_answer,
+      q.accepted_answers
     ` : `
       NULL as question_rationale,
-      NULL as correct_answer
+      NULL as correct_answer,
+      NULL as accepted_answers
     `;
 
     const query = `
@@ -67,6 +92,10 @@ class Test {
         id: result.rows[0].id,
         name: result.rows[0].name,
         code: result.rows[0].code,
+        shuffle_questions: result.rows[0].shuffle_questions,
+        shuffle_choices: result.rows[0].shuffle_choices,
+        require_access_code: result.rows[0].require_access_code,
+        status: result.rows[0].status,
         created_at: result.rows[0].created_at,
         modules: []
       };
@@ -107,6 +136,7 @@ class Test {
             if (includeAnswers) {
               question.question_rationale = row.question_rationale;
               question.correct_answer = row.correct_answer;
+              question.accepted_answers = row.accepted_answers;
             }
 
             module.questions.push(question);
@@ -158,12 +188,25 @@ class Test {
     }
   }
 
-  // Get all tests with basic info
-  static async findAll() {
-    const query = 'SELECT * FROM tests ORDER BY created_at DESC';
-    
+  /**
+   * Get all tests with basic info
+   * @param {Object} filters - { status } (default: published; 'all' for every state)
+   */
+  static async findAll(filters = {}) {
+    const { status = 'published' } = filters;
+
+    let query = 'SELECT * FROM tests';
+    const params = [];
+
+    if (status !== 'all') {
+      query += ' WHERE status = $1';
+      params.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC';
+
     try {
-      const result = await pool.query(query);
+      const result = await pool.query(query, params);
       return result.rows.map(row => new Test(row));
     } catch (error) {
       throw new Error(`Error fetching tests: ${error.message}`);
@@ -191,12 +234,532 @@ class Test {
     }
   }
 
+  /**
+   * Assemble a test from a blueprint and create it with its modules
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.code
+   * @param {Object} options.blueprint - See utils/testBlueprint.js (default: full-length Digital SAT)
+   * @param {string|null} options.studentId - Leave out questions this student has been given
+   * @param {number} options.seed - Selection seed, to reproduce an assembly
+   * @param {boolean} options.allowReuse - Allow questions already used in other tests
+   * @param {boolean} options.allowPartial - Create the test even if the bank can't fill the blueprint
+   * @param {boolean} options.dryRun - Only report the selection
+   * @returns {Object} - { test (null if nothing was created), assembly: { seed, satisfied, modules, shortfalls } }
+   */
+  static async assemble({
+    name,
+    code,
+    blueprint = DEFAULT_BLUEPRINT,
+    studentId = null,
+    seed,
+    allowReuse = false,
+    allowPartial = false,
+    dryRun = false
+  }) {
+    const bank = await Question.findAssemblyCandidates({
+      subjects: [...new Set(blueprint.modules.map(module => module.subject_name))],
+      excludeUsedInTests: !allowReuse,
+      excludeSeenBy: studentId
+    });
+    const assembly = assembleFromBlueprint(blueprint, bank, { seed });
+
+    if (dryRun || (!assembly.satisfied && !allowPartial)) {
+      return { test: null, assembly };
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const testResult = await client.query(
+        'INSERT INTO tests (name, code) VALUES ($1, $2) RETURNING *',
+        [name, code]
+      );
+      const test = new Test(testResult.rows[0]);
+
+      for (const [orderNumber, module] of assembly.modules.entries()) {
+        const moduleResult = await client.query(
+          `INSERT INTO modules (name, time_limit, subject_name, difficulty)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+          [module.name, module.time_limit, module.subject_name, module.difficulty]
+        );
+        module.id = moduleResult.rows[0].id;
+
+        await Module.writeQuestionOrder(client, module.id, module.question_ids);
+        await client.query(
+          'INSERT INTO test_modules (test_id, module_id, order_number) VALUES ($1, $2, $3)',
+          [test.id, module.id, orderNumber]
+        );
+      }
+
+      await client.query('COMMIT');
+      return { test, assembly };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error(`Test with code '${code}' already exists`);
+      }
+      throw new Error(`Error assembling test: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Update a test's name or code
+  async update(updateData) {
+    const allowedFields = ['name', 'code'];
+
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        paramCount++;
+        updates.push(`${key} = $${paramCount}`);
+        values.push(value);
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    paramCount++;
+    values.push(this.id);
+
+    const query = `
+      UPDATE tests
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, values);
+      if (result.rows.length === 0) {
+        throw new Error('Test not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error(`Test with code '${updateData.code}' already exists`);
+      }
+      throw new Error(`Error updating test: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the test's modules in order with their question lists
+   * @param {Object} client - Database client or pool
+   * @returns {Array<Object>} - [{ id, name, subject_name, difficulty, time_limit, order_number,
+   *   question_count, questions: [{ id, question_subject }] }]
+   */
+  async getModules(client = pool) {
+    const query = `
+      SELECT m.id, m.name, m.subject_name, m.difficulty, m.time_limit, tm.order_number,
+        q.id as question_id, q.question_subject
+      FROM test_modules tm
+      JOIN modules m ON tm.module_id = m.id
+      LEFT JOIN module_questions mq ON mq.module_id = m.id
+      LEFT JOIN questions q ON mq.question_id = q.id
+      WHERE tm.test_id = $1
+      ORDER BY tm.order_number, mq.order_number
+    `;
+
+    try {
+      const result = await client.query(query, [this.id]);
+
+      const moduleMap = new Map();
+      result.rows.forEach(row => {
+        if (!moduleMap.has(row.id)) {
+          moduleMap.set(row.id, {
+            id: row.id,
+            name: row.name,
+            subject_name: row.subject_name,
+            difficulty: row.difficulty,
+            time_limit: row.time_limit,
+            order_number: row.order_number,
+            questions: []
+          });
+        }
+        if (row.question_id) {
+          moduleMap.get(row.id).questions.push({ id: row.question_id, question_subject: row.question_subject });
+        }
+      });
+
+      return Array.from(moduleMap.values()).map(module => ({
+        ...module,
+        question_count: module.questions.length
+      }));
+    } catch (error) {
+      throw new Error(`Error fetching test modules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the test's modules and check they form a valid adaptive SAT (utils/testStructure.js)
+   * @returns {Object} - { status, modules, validation: { valid, errors, warnings, sections } }
+   */
+  async getStructure() {
+    const modules = await this.getModules();
+    return {
+      status: this.status,
+      modules: modules.map(({ questions, ...module }) => ({
+        ...module,
+        question_ids: questions.map(question => question.id)
+      })),
+      validation: validateTestStructure(modules)
+    };
+  }
+
+  // Modules can only be rearranged while the test is a draft (see utils/testLifecycle.js)
+  assertDraft() {
+    if (this.status !== 'draft') {
+      throw new Error(`Test is ${this.status}; move it back to draft to change its modules`);
+    }
+  }
+
+  /**
+   * Attach a module to the test
+   * @param {string} moduleId
+   * @param {number|null} orderNumber - test_modules.order_number (default: after the last module)
+   */
+  async addModule(moduleId, orderNumber = null) {
+    this.assertDraft();
+
+    const query = `
+      INSERT INTO test_modules (test_id, module_id, order_number)
+      VALUES ($1, $2, COALESCE($3, (SELECT COALESCE(MAX(order_number) + 1, 0) FROM test_modules WHERE test_id = $1)))
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [this.id, moduleId, orderNumber]);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error('Module is already part of this test');
+      }
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Module not found');
+      }
+      throw new Error(`Error adding module to test: ${error.message}`);
+    }
+  }
+
+  // Detach a module from the test (the module itself is kept)
+  async removeModule(moduleId) {
+    this.assertDraft();
+
+    const query = 'DELETE FROM test_modules WHERE test_id = $1 AND module_id = $2 RETURNING *';
+
+    try {
+      const result = await pool.query(query, [this.id, moduleId]);
+      if (result.rows.length === 0) {
+        throw new Error('Module not found in this test');
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Error removing module from test: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the test's modules: these modules, in this order (0-based order_number)
+   * @param {Array<string>} moduleIds
+   */
+  async setModules(moduleIds) {
+    this.assertDraft();
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM test_modules WHERE test_id = $1', [this.id]);
+
+      if (moduleIds.length > 0) {
+        await client.query(
+          `INSERT INTO test_modules (test_id, module_id, order_number)
+           SELECT $1, module_id, ordinality - 1
+           FROM unnest($2::uuid[]) WITH ORDINALITY AS ids(module_id, ordinality)`,
+          [this.id, moduleIds]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('One or more modules not found');
+      }
+      throw new Error(`Error setting test modules: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Check whether anyone has started the test
+  async hasSubmissions() {
+    try {
+      const result = await pool.query('SELECT 1 FROM submissions WHERE test_id = $1 LIMIT 1', [this.id]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Error checking test submissions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move the test to another lifecycle state (rules in utils/testLifecycle.js)
+   * Publishing checks that the modules form a valid adaptive SAT first. Going back to
+   * draft is checked against submissions in the UPDATE itself, so a test can't be
+   * unpublished while a student is starting it.
+   * @param {string} status - draft, published or archived
+   * @returns {Object|null} - The structure validation when publishing (for its warnings)
+   */
+  async setStatus(status) {
+    const validation = status === 'published'
+      ? validateTestStructure(await this.getModules())
+      : null;
+    const transitionError = getTransitionError(this.status, status, { validation });
+    if (transitionError) {
+      throw new Error(`Status change not allowed: ${transitionError}`);
+    }
+
+    const query = `
+      UPDATE tests
+      SET status = $1,
+        published_at = CASE WHEN $1 = 'published' THEN now() ELSE published_at END,
+        archived_at = CASE WHEN $1 = 'archived' THEN now() ELSE NULL END
+      WHERE id = $2 AND status = $3
+        AND ($1 <> 'draft' OR NOT EXISTS (SELECT 1 FROM submissions WHERE test_id = $2))
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [status, this.id, this.status]);
+      if (result.rows.length === 0) {
+        if (status === 'draft' && await this.hasSubmissions()) {
+          throw new Error(`Status change not allowed: ${getTransitionError(this.status, status, { hasSubmissions: true })}`);
+        }
+        throw new Error('Test not found or its status changed meanwhile');
+      }
+      Object.assign(this, result.rows[0]);
+      return validation;
+    } catch (error) {
+      throw new Error(`Error updating test status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that the conversion table can scale every module difficulty the routing
+   * rules can send a student to (IRT scoring doesn't use conversion tables)
+   * @param {Object} changes - { routingRules, scoringMethod, scoreConversionTableId } about to be saved
+   */
+  async checkRoutingScoreTables(changes = {}) {
+    const valueOf = (key, current) => (changes[key] !== undefined ? changes[key] : current);
+
+    if (valueOf('scoringMethod', this.scoring_method) === 'irt') {
+      return;
+    }
+
+    const scoreTable = await ScoreConversionTable.resolve(
+      valueOf('scoreConversionTableId', this.score_conversion_table_id)
+    );
+    const errors = validateRoutingScoreTables(
+      valueOf('routingRules', this.routing_rules),
+      scoreTable.conversions,
+      await this.getModules()
+    );
+
+    if (errors.length > 0) {
+      throw new Error(`Routing cannot be scored: ${errors.join('; ')}`);
+    }
+  }
+
+  // Attach a score conversion table (null to fall back to the default table)
+  async setScoreConversionTable(scoreConversionTableId) {
+    await this.checkRoutingScoreTables({ scoreConversionTableId });
+
+    const query = `
+      UPDATE tests
+      SET score_conversion_table_id = $1
+      WHERE id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [scoreConversionTableId, this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Test not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Score conversion table not found');
+      }
+      throw new Error(`Error setting score conversion table: ${error.message}`);
+    }
+  }
+
+  // Choose the section scoring strategy ('raw' or 'irt')
+  async setScoringMethod(scoringMethod) {
+    await this.checkRoutingScoreTables({ scoringMethod });
+
+    const query = `
+      UPDATE tests
+      SET scoring_method = $1
+      WHERE id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [scoringMethod, this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Test not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      throw new Error(`Error setting scoring method: ${error.message}`);
+    }
+  }
+
+  // Set the adaptive routing rules (null = standard routing)
+  async setRoutingRules(routingRules) {
+    await this.checkRoutingScoreTables({ routingRules });
+
+    const query = `
+      UPDATE tests
+      SET routing_rules = $1
+      WHERE id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        routingRules === null ? null : JSON.stringify(routingRules),
+        this.id
+      ]);
+      if (result.rows.length === 0) {
+        throw new Error('Test not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      throw new Error(`Error setting routing rules: ${error.message}`);
+    }
+  }
+
+  // Set the break length between sections (0 = no break)
+  async setSectionBreak(breakMinutes) {
+    const query = `
+      UPDATE tests
+      SET section_break_minutes = $1
+      WHERE id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [breakMinutes, this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Test not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      throw new Error(`Error setting section break: ${error.message}`);
+    }
+  }
+
+  // Set the pause policy (proctored tests cannot be paused)
+  async setPausePolicy({ maxPauses, proctored }) {
+    const query = `
+      UPDATE tests
+      SET max_pauses = COALESCE($1, max_pauses),
+          proctored = COALESCE($2, proctored)
+      WHERE id = $3
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [maxPauses ?? null, proctored ?? null, this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Test not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      throw new Error(`Error setting pause policy: ${error.message}`);
+    }
+  }
+
+  // Turn per-submission question and choice shuffling on or off (applies to new submissions)
+  async setShuffleSettings({ shuffleQuestions, shuffleChoices }) {
+    const query = `
+      UPDATE tests
+      SET shuffle_questions = COALESCE($1, shuffle_questions),
+          shuffle_choices = COALESCE($2, shuffle_choices)
+      WHERE id = $3
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [shuffleQuestions ?? null, shuffleChoices ?? null, this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Test not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      throw new Error(`Error setting shuffle settings: ${error.message}`);
+    }
+  }
+
+  // Require an access code (not the permanent test code) to open and start the test
+  async setAccessPolicy({ requireAccessCode }) {
+    const query = `
+      UPDATE tests
+      SET require_access_code = $1
+      WHERE id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [requireAccessCode, this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Test not found');
+      }
+      Object.assign(this, result.rows[0]);
+      return this;
+    } catch (error) {
+      throw new Error(`Error setting access policy: ${error.message}`);
+    }
+  }
+
   // Convert to JSON
   toJSON() {
     return {
       id: this.id,
       name: this.name,
       code: this.code,
+      score_conversion_table_id: this.score_conversion_table_id,
+      scoring_method: this.scoring_method,
+      routing_rules: this.routing_rules,
+      section_break_minutes: this.section_break_minutes,
+      max_pauses: this.max_pauses,
+      proctored: this.proctored,
+      shuffle_questions: this.shuffle_questions,
+      shuffle_choices: this.shuffle_choices,
+      require_access_code: this.require_access_code,
+      status: this.status,
+      published_at: this.published_at,
+      archived_at: this.archived_at,
       created_at: this.created_at
     };
   }
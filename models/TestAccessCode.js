@@ -0,0 +1,366 @@
+const pool = require('../config/db');
+const { generateAccessCode, getRedemptionError } = require('../utils/accessCodes');
+
+// Tries before giving up on finding an unused code
+const CODE_ATTEMPTS = 5;
+
+// Columns shared by the find queries: the test's name and code, the restriction list and the use count
+const ACCESS_CODE_COLUMNS = `
+  ac.*, t.name as test_name, t.code as test_code,
+  COALESCE(
+    (SELECT array_agg(acu.user_id) FROM test_access_code_users acu WHERE acu.access_code_id = ac.id),
+    '{}'
+  ) as user_ids,
+  (SELECT COUNT(*) FROM submissions s WHERE s.access_code_id = ac.id)::int as use_count
+`;
+
+class TestAccessCode {
+  constructor(data) {
+    this.id = data.id;
+    this.code = data.code;
+    this.test_id = data.test_id;
+    this.test_name = data.test_name;
+    this.test_code = data.test_code;
+    this.label = data.label;
+    this.starts_at = data.starts_at;
+    this.ends_at = data.ends_at;
+    this.max_uses = data.max_uses;
+    this.one_attempt_per_student = data.one_attempt_per_student;
+    this.is_active = data.is_active;
+    this.user_ids = data.user_ids || [];
+    this.use_count = data.use_count;
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+  }
+
+  // Get all access codes (?testId= for one test's codes, createdBy for one user's)
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT ${ACCESS_CODE_COLUMNS}
+      FROM test_access_codes ac
+      JOIN tests t ON ac.test_id = t.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (filters.testId) {
+      params.push(filters.testId);
+      query += ` AND ac.test_id = $${params.length}`;
+    }
+
+    if (filters.createdBy) {
+      params.push(filters.createdBy);
+      query += ` AND ac.created_by = $${params.length}`;
+    }
+
+    query += ' ORDER BY ac.created_at DESC';
+
+    try {
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new TestAccessCode(row));
+    } catch (error) {
+      throw new Error(`Error fetching access codes: ${error.message}`);
+    }
+  }
+
+  // Get an access code by ID (createdBy: only if that user created it)
+  static async findById(id, filters = {}) {
+    let query = `
+      SELECT ${ACCESS_CODE_COLUMNS}
+      FROM test_access_codes ac
+      JOIN tests t ON ac.test_id = t.id
+      WHERE ac.id = $1
+    `;
+    const params = [id];
+
+    if (filters.createdBy) {
+      params.push(filters.createdBy);
+      query += ` AND ac.created_by = $${params.length}`;
+    }
+
+    try {
+      const result = await pool.query(query, params);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new TestAccessCode(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching access code: ${error.message}`);
+    }
+  }
+
+  // Get an access code by its code
+  static async findByCode(code) {
+    const query = `
+      SELECT ${ACCESS_CODE_COLUMNS}
+      FROM test_access_codes ac
+      JOIN tests t ON ac.test_id = t.id
+      WHERE ac.code = $1
+    `;
+
+    try {
+      const result = await pool.query(query, [code]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new TestAccessCode(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching access code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the users an access code is restricted to
+   * @param {Object} client - Database client (inside a transaction)
+   * @param {string} accessCodeId
+   * @param {Array<string>} userIds - Empty = anyone with the code
+   */
+  static async writeUsers(client, accessCodeId, userIds) {
+    await client.query('DELETE FROM test_access_code_users WHERE access_code_id = $1', [accessCodeId]);
+
+    if (userIds.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO test_access_code_users (access_code_id, user_id)
+       SELECT $1, user_id FROM unnest($2::uuid[]) AS ids(user_id)
+       ON CONFLICT DO NOTHING`,
+      [accessCodeId, userIds]
+    );
+  }
+
+  /**
+   * Create an access code for a test (the code itself is generated)
+   * @param {Object} codeData - { testId, label, startsAt, endsAt, maxUses, oneAttemptPerStudent, userIds, createdBy }
+   * @returns {TestAccessCode}
+   */
+  static async create(codeData) {
+    const {
+      testId,
+      label = null,
+      startsAt = null,
+      endsAt = null,
+      maxUses = null,
+      oneAttemptPerStudent = false,
+      userIds = [],
+      createdBy = null
+    } = codeData;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      let row = null;
+      for (let attempt = 0; attempt < CODE_ATTEMPTS && !row; attempt++) {
+        // A savepoint lets a code collision be retried without losing the transaction
+        await client.query('SAVEPOINT generate_code');
+        try {
+          const result = await client.query(
+            `INSERT INTO test_access_codes
+               (code, test_id, label, starts_at, ends_at, max_uses, one_attempt_per_student, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [generateAccessCode(), testId, label, startsAt, endsAt, maxUses, oneAttemptPerStudent, createdBy]
+          );
+          row = result.rows[0];
+        } catch (error) {
+          if (error.code !== '23505') { // Unique violation
+            throw error;
+          }
+          await client.query('ROLLBACK TO SAVEPOINT generate_code');
+        }
+      }
+
+      if (!row) {
+        throw new Error('Could not generate a unique access code');
+      }
+
+      await TestAccessCode.writeUsers(client, row.id, userIds);
+
+      await client.query('COMMIT');
+      return new TestAccessCode({ ...row, user_ids: [...new Set(userIds)], use_count: 0 });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Test or user not found');
+      }
+      throw new Error(`Error creating access code: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Use an access code to start a submission. Locks the code so concurrent starts
+   * can't exceed max_uses or one attempt per student.
+   * @param {Object} client - Database client (inside the submission's transaction)
+   * @param {Object} params - { code, userId }
+   * @returns {TestAccessCode}
+   */
+  static async redeem(client, { code, userId }) {
+    const result = await client.query(
+      'SELECT * FROM test_access_codes WHERE code = $1 FOR UPDATE',
+      [code]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Access code not found');
+    }
+    const accessCode = new TestAccessCode(result.rows[0]);
+
+    const usage = await client.query(
+      `SELECT
+         (SELECT COUNT(*) FROM submissions WHERE access_code_id = $1)::int as use_count,
+         (SELECT COUNT(*) FROM submissions WHERE access_code_id = $1 AND user_id = $2)::int as user_attempts,
+         COALESCE(
+           (SELECT array_agg(user_id) FROM test_access_code_users WHERE access_code_id = $1),
+           '{}'
+         ) as user_ids`,
+      [accessCode.id, userId]
+    );
+    const { use_count: useCount, user_attempts: userAttempts, user_ids: userIds } = usage.rows[0];
+
+    const reason = getRedemptionError(accessCode, {
+      useCount,
+      userId,
+      allowedUserIds: userIds,
+      userAttempts
+    });
+    if (reason) {
+      throw new Error(`Access code rejected: ${reason}`);
+    }
+
+    accessCode.user_ids = userIds;
+    accessCode.use_count = useCount + 1;
+    return accessCode;
+  }
+
+  // Whether a user can use the code now, ignoring their past attempts (for looking a test up).
+  // Codes restricted to certain users can't be looked up anonymously.
+  getAvailabilityError(userId = null) {
+    if (!userId && this.user_ids.length > 0) {
+      return 'Sign in to use this access code';
+    }
+    return getRedemptionError(this, { useCount: this.use_count, userId, allowedUserIds: this.user_ids });
+  }
+
+  /**
+   * Update an access code's window, limits, restriction list or active flag
+   * @param {Object} updateData - { label, startsAt, endsAt, maxUses, oneAttemptPerStudent, isActive, userIds }
+   * @returns {TestAccessCode}
+   */
+  async update(updateData) {
+    const fieldColumns = {
+      label: 'label',
+      startsAt: 'starts_at',
+      endsAt: 'ends_at',
+      maxUses: 'max_uses',
+      oneAttemptPerStudent: 'one_attempt_per_student',
+      isActive: 'is_active'
+    };
+
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (fieldColumns[key] && value !== undefined) {
+        paramCount++;
+        updates.push(`${fieldColumns[key]} = $${paramCount}`);
+        values.push(value);
+      }
+    }
+
+    const { userIds } = updateData;
+    if (updates.length === 0 && userIds === undefined) {
+      throw new Error('No valid fields to update');
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (updates.length > 0) {
+        paramCount++;
+        values.push(this.id);
+
+        const result = await client.query(
+          `UPDATE test_access_codes
+           SET ${updates.join(', ')}
+           WHERE id = $${paramCount}
+           RETURNING *`,
+          values
+        );
+        if (result.rows.length === 0) {
+          throw new Error('Access code not found');
+        }
+        Object.assign(this, result.rows[0]);
+      }
+
+      if (userIds !== undefined) {
+        await TestAccessCode.writeUsers(client, this.id, userIds);
+        this.user_ids = [...new Set(userIds)];
+      }
+
+      await client.query('COMMIT');
+      return this;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('One or more users not found');
+      }
+      if (error.code === '23514') { // Check violation
+        throw new Error('endsAt must be after startsAt');
+      }
+      throw new Error(`Error updating access code: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Delete an access code. Used codes are kept so submissions still show how they were started.
+  async delete() {
+    try {
+      const used = await pool.query(
+        'SELECT EXISTS (SELECT 1 FROM submissions WHERE access_code_id = $1) as used',
+        [this.id]
+      );
+      if (used.rows[0].used) {
+        throw new Error('Access code has been used and cannot be deleted; deactivate it instead');
+      }
+
+      const result = await pool.query('DELETE FROM test_access_codes WHERE id = $1 RETURNING *', [this.id]);
+      if (result.rows.length === 0) {
+        throw new Error('Access code not found');
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Error deleting access code: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      code: this.code,
+      test_id: this.test_id,
+      test_name: this.test_name,
+      test_code: this.test_code,
+      label: this.label,
+      starts_at: this.starts_at,
+      ends_at: this.ends_at,
+      max_uses: this.max_uses,
+      one_attempt_per_student: this.one_attempt_per_student,
+      is_active: this.is_active,
+      user_ids: this.user_ids,
+      use_count: this.use_count,
+      created_by: this.created_by,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = TestAccessCode;
@@ -0,0 +1,125 @@
+const pool = require('../config/db');
+
+class UserAccommodation {
+  constructor(data) {
+    this.user_id = data.user_id;
+    this.time_multiplier = data.time_multiplier;
+    this.extra_break_minutes = data.extra_break_minutes;
+    this.breaks_between_modules = data.breaks_between_modules;
+    this.notes = data.notes;
+    this.approved_by = data.approved_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Get all students with accommodations
+  static async findAll() {
+    const query = 'SELECT * FROM user_accommodations ORDER BY updated_at DESC';
+
+    try {
+      const result = await pool.query(query);
+      return result.rows.map(row => new UserAccommodation(row));
+    } catch (error) {
+      throw new Error(`Error fetching accommodations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a student's accommodations
+   * @param {string} userId
+   * @param {Object} client - Database client or pool
+   * @returns {UserAccommodation|null}
+   */
+  static async findByUserId(userId, client = pool) {
+    const query = 'SELECT * FROM user_accommodations WHERE user_id = $1';
+
+    try {
+      const result = await client.query(query, [userId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new UserAccommodation(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching accommodations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace a student's accommodations
+   * @param {string} userId
+   * @param {Object} accommodationData - { time_multiplier, extra_break_minutes, breaks_between_modules, notes }
+   * @param {Object} options - { approvedBy } user ID of the staff member approving them
+   * @returns {UserAccommodation}
+   */
+  static async upsert(userId, accommodationData, options = {}) {
+    const {
+      time_multiplier = 1,
+      extra_break_minutes = 0,
+      breaks_between_modules = false,
+      notes = null
+    } = accommodationData;
+    const { approvedBy = null } = options;
+
+    const query = `
+      INSERT INTO user_accommodations
+        (user_id, time_multiplier, extra_break_minutes, breaks_between_modules, notes, approved_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id)
+      DO UPDATE SET
+        time_multiplier = EXCLUDED.time_multiplier,
+        extra_break_minutes = EXCLUDED.extra_break_minutes,
+        breaks_between_modules = EXCLUDED.breaks_between_modules,
+        notes = EXCLUDED.notes,
+        approved_by = EXCLUDED.approved_by,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [
+        userId,
+        time_multiplier,
+        extra_break_minutes,
+        breaks_between_modules,
+        notes,
+        approvedBy
+      ]);
+      return new UserAccommodation(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('User not found');
+      }
+      throw new Error(`Error saving accommodations: ${error.message}`);
+    }
+  }
+
+  // Remove a student's accommodations (in-progress submissions keep what was applied)
+  async delete() {
+    const query = 'DELETE FROM user_accommodations WHERE user_id = $1 RETURNING *';
+    try {
+      const result = await pool.query(query, [this.user_id]);
+      if (result.rows.length === 0) {
+        throw new Error('Accommodations not found');
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Error deleting accommodations: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      user_id: this.user_id,
+      time_multiplier: Number(this.time_multiplier),
+      extra_break_minutes: this.extra_break_minutes,
+      breaks_between_modules: this.breaks_between_modules,
+      notes: this.notes,
+      approved_by: this.approved_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = UserAccommodation;
@@ -0,0 +1,109 @@
+const pool = require('../config/db');
+
+class UserRole {
+  constructor(data) {
+    this.user_id = data.user_id;
+    this.role = data.role;
+    this.granted_by = data.granted_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Get all users with an assigned role (optionally only one role)
+  static async findAll(role = null) {
+    let query = 'SELECT * FROM user_roles';
+    const params = [];
+
+    if (role) {
+      query += ' WHERE role = $1';
+      params.push(role);
+    }
+
+    query += ' ORDER BY updated_at DESC';
+
+    try {
+      const result = await pool.query(query, params);
+      return result.rows.map(row => new UserRole(row));
+    } catch (error) {
+      throw new Error(`Error fetching user roles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's assigned role
+   * @param {string} userId
+   * @returns {UserRole|null}
+   */
+  static async findByUserId(userId) {
+    const query = 'SELECT * FROM user_roles WHERE user_id = $1';
+
+    try {
+      const result = await pool.query(query, [userId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return new UserRole(result.rows[0]);
+    } catch (error) {
+      throw new Error(`Error fetching user role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Assign or replace a user's role
+   * @param {string} userId
+   * @param {string} role - student, tutor, content_editor or admin
+   * @param {Object} options - { grantedBy } user ID of the admin assigning it
+   * @returns {UserRole}
+   */
+  static async upsert(userId, role, options = {}) {
+    const { grantedBy = null } = options;
+
+    const query = `
+      INSERT INTO user_roles (user_id, role, granted_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id)
+      DO UPDATE SET
+        role = EXCLUDED.role,
+        granted_by = EXCLUDED.granted_by,
+        updated_at = NOW()
+      RETURNING *
+    `;
+
+    try {
+      const result = await pool.query(query, [userId, role, grantedBy]);
+      return new UserRole(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('User not found');
+      }
+      throw new Error(`Error saving user role: ${error.message}`);
+    }
+  }
+
+  // Remove a user's role (they fall back to student)
+  async delete() {
+    const query = 'DELETE FROM user_roles WHERE user_id = $1 RETURNING *';
+    try {
+      const result = await pool.query(query, [this.user_id]);
+      if (result.rows.length === 0) {
+        throw new Error('User role not found');
+      }
+      return true;
+    } catch (error) {
+      throw new Error(`Error deleting user role: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      user_id: this.user_id,
+      role: this.role,
+      granted_by: this.granted_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = UserRole;
@@ -3,13 +3,25 @@ const questionRouter = require('./testing/questionRoutes');
 const testRouter = require('./testing/testRoutes');
 const authTestRouter = require('./testing/authTestRoutes');
 const submissionRouter = require('./testing/submissionRoutes');
+const scoreTableRouter = require('./testing/scoreTableRoutes');
+const accommodationRouter = require('./testing/accommodationRoutes');
+const roleRouter = require('./testing/roleRoutes');
+const moduleRouter = require('./testing/moduleRoutes');
+const accessCodeRouter = require('./testing/accessCodeRoutes');
+const classroomRouter = require('./testing/classroomRoutes');
 
 const router = express.Router();
 
 // Mount testing routes
 router.use('/testing/question', questionRouter);
 router.use('/testing/tests', testRouter);
+router.use('/testing/modules', moduleRouter);
+router.use('/testing/access-codes', accessCodeRouter);
 router.use('/testing/auth', authTestRouter);
+router.use('/testing/score-tables', scoreTableRouter);
+router.use('/testing/accommodations', accommodationRouter);
+router.use('/testing/roles', roleRouter);
 router.use('/submissions', submissionRouter);
+router.use('/classrooms', classroomRouter);
 
 module.exports = router;
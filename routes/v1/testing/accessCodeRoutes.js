@@ -0,0 +1,26 @@
+const express = require('express');
+const AccessCodeController = require('../../../controllers/accessCodeController');
+const { verifyToken } = require('../../../middleware/auth');
+const { requirePermission } = require('../../../middleware/authorization');
+const { validateUUID, validateAccessCode } = require('../../../middleware/validation');
+
+const router = express.Router();
+
+const canManage = [verifyToken, requirePermission('access_codes:write')];
+
+// GET /api/v1/testing/access-codes - Get all access codes with their use counts (?testId=; tutors only see their own)
+router.get('/', canManage, AccessCodeController.getAllAccessCodes);
+
+// GET /api/v1/testing/access-codes/:id - Get an access code
+router.get('/:id', canManage, validateUUID, AccessCodeController.getAccessCodeById);
+
+// POST /api/v1/testing/access-codes - Generate an access code for a test (window, max uses, users, one attempt)
+router.post('/', canManage, validateAccessCode, AccessCodeController.createAccessCode);
+
+// PUT /api/v1/testing/access-codes/:id - Change an access code's window, limits or users, or deactivate it
+router.put('/:id', canManage, validateUUID, validateAccessCode, AccessCodeController.updateAccessCode);
+
+// DELETE /api/v1/testing/access-codes/:id - Delete an unused access code (used codes can only be deactivated)
+router.delete('/:id', canManage, validateUUID, AccessCodeController.deleteAccessCode);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const AccommodationController = require('../../../controllers/accommodationController');
+const { verifyToken } = require('../../../middleware/auth');
+const { requirePermission } = require('../../../middleware/authorization');
+const { validateUserId, validateAccommodation } = require('../../../middleware/validation');
+
+const router = express.Router();
+
+// All accommodation routes require authentication; tutors can view, admins can approve
+router.use(verifyToken);
+
+const canRead = requirePermission('accommodations:read');
+const canWrite = requirePermission('accommodations:write');
+
+// GET /api/v1/testing/accommodations - Get all students with accommodations
+router.get('/', canRead, AccommodationController.getAllAccommodations);
+
+// GET /api/v1/testing/accommodations/:userId - Get a student's accommodations
+router.get('/:userId', validateUserId, canRead, AccommodationController.getAccommodation);
+
+// PUT /api/v1/testing/accommodations/:userId - Create or replace a student's accommodations
+router.put('/:userId', validateUserId, canWrite, validateAccommodation, AccommodationController.setAccommodation);
+
+// DELETE /api/v1/testing/accommodations/:userId - Remove a student's accommodations
+router.delete('/:userId', validateUserId, canWrite, AccommodationController.deleteAccommodation);
+
+module.exports = router;
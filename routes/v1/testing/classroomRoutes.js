@@ -0,0 +1,72 @@
+const express = require('express');
+const ClassroomController = require('../../../controllers/classroomController');
+const { verifyToken } = require('../../../middleware/auth');
+const { requirePermission, requireClassroomMember } = require('../../../middleware/authorization');
+const {
+  validateClassroomId,
+  validateInvitationId,
+  validateUserId,
+  validateClassroom,
+  validateClassroomMember,
+  validateClassroomInvitation,
+  validateJoinCode
+} = require('../../../middleware/validation');
+
+const router = express.Router();
+
+// All classroom routes require authentication; what you can do depends on your role in the classroom
+router.use(verifyToken);
+
+const member = requireClassroomMember();
+const tutorOnly = requireClassroomMember({ tutorOnly: true });
+
+// GET /api/v1/classrooms - Get the classrooms you teach or are enrolled in (?all=true needs classrooms:manage_any)
+router.get('/', ClassroomController.getMyClassrooms);
+
+// POST /api/v1/classrooms - Create a classroom (you become its tutor)
+router.post('/', requirePermission('classrooms:teach'), validateClassroom, ClassroomController.createClassroom);
+
+// POST /api/v1/classrooms/join - Join a classroom as a student with its join code
+router.post('/join', validateJoinCode, ClassroomController.joinClassroom);
+
+// GET /api/v1/classrooms/invitations - Get your pending invitations (matched by your email)
+router.get('/invitations', ClassroomController.getMyInvitations);
+
+// POST /api/v1/classrooms/invitations/:invitationId/accept - Accept an invitation sent to your email
+router.post('/invitations/:invitationId/accept', validateInvitationId, ClassroomController.acceptInvitation);
+
+// GET /api/v1/classrooms/:classroomId - Get a classroom with its members (students only see its tutors)
+router.get('/:classroomId', validateClassroomId, member, ClassroomController.getClassroom);
+
+// PUT /api/v1/classrooms/:classroomId - Rename a classroom or change its description
+router.put('/:classroomId', validateClassroomId, tutorOnly, validateClassroom, ClassroomController.updateClassroom);
+
+// DELETE /api/v1/classrooms/:classroomId - Delete a classroom (students' submissions are kept)
+router.delete('/:classroomId', validateClassroomId, tutorOnly, ClassroomController.deleteClassroom);
+
+// PUT /api/v1/classrooms/:classroomId/join-code - Replace the join code ({ "enabled": false } turns it off)
+router.put('/:classroomId/join-code', validateClassroomId, tutorOnly, ClassroomController.resetJoinCode);
+
+// POST /api/v1/classrooms/:classroomId/members - Add a tutor, or change a member's role
+// (adding or demoting to student needs classrooms:manage_any)
+router.post('/:classroomId/members', validateClassroomId, tutorOnly, validateClassroomMember, ClassroomController.addMember);
+
+// DELETE /api/v1/classrooms/:classroomId/members/:userId - Remove a member (students may remove themselves)
+router.delete('/:classroomId/members/:userId', validateClassroomId, validateUserId, member, ClassroomController.removeMember);
+
+// GET /api/v1/classrooms/:classroomId/invitations - Get the classroom's invitations (?pending=true)
+router.get('/:classroomId/invitations', validateClassroomId, tutorOnly, ClassroomController.getInvitations);
+
+// POST /api/v1/classrooms/:classroomId/invitations - Invite someone by email
+router.post('/:classroomId/invitations', validateClassroomId, tutorOnly, validateClassroomInvitation, ClassroomController.createInvitation);
+
+// DELETE /api/v1/classrooms/:classroomId/invitations/:invitationId - Withdraw an invitation
+router.delete('/:classroomId/invitations/:invitationId', validateClassroomId, validateInvitationId, tutorOnly, ClassroomController.deleteInvitation);
+
+// GET /api/v1/classrooms/:classroomId/submissions - The students' submissions and scores (?status=, ?testId=, ?userId=)
+router.get('/:classroomId/submissions', validateClassroomId, tutorOnly, ClassroomController.getStudentSubmissions);
+
+// GET /api/v1/classrooms/:classroomId/progress - Each student's latest scores, trends and projected range
+router.get('/:classroomId/progress', validateClassroomId, tutorOnly, ClassroomController.getStudentProgress);
+
+module.exports = router;
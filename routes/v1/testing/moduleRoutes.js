@@ -0,0 +1,38 @@
+const express = require('express');
+const ModuleController = require('../../../controllers/moduleController');
+const { verifyToken } = require('../../../middleware/auth');
+const { requirePermission } = require('../../../middleware/authorization');
+const { validateUUID, validateModule, validateModuleQuestions } = require('../../../middleware/validation');
+
+const router = express.Router();
+
+const canWrite = [verifyToken, requirePermission('tests:write')];
+
+// GET /api/v1/testing/modules - Get all modules (?subject=, ?difficulty=)
+router.get('/', canWrite, ModuleController.getAllModules);
+
+// GET /api/v1/testing/modules/:id - Get a module with its ordered question list
+router.get('/:id', canWrite, validateUUID, ModuleController.getModuleById);
+
+// POST /api/v1/testing/modules - Create a module, optionally with its questions
+router.post('/', canWrite, validateModule, ModuleController.createModule);
+
+// PUT /api/v1/testing/modules/:id - Update a module's name, time limit, subject or difficulty
+router.put('/:id', canWrite, validateUUID, validateModule, ModuleController.updateModule);
+
+// DELETE /api/v1/testing/modules/:id - Delete a module that is not locked (taken or in a live test)
+router.delete('/:id', canWrite, validateUUID, ModuleController.deleteModule);
+
+// POST /api/v1/testing/modules/:id/copy - Copy a module and its questions (to revise a locked module)
+router.post('/:id/copy', canWrite, validateUUID, ModuleController.copyModule);
+
+// PUT /api/v1/testing/modules/:id/questions - Replace the question list (add, remove and reorder)
+router.put('/:id/questions', canWrite, validateUUID, validateModuleQuestions, ModuleController.setModuleQuestions);
+
+// POST /api/v1/testing/modules/:id/questions - Insert questions (at position, default the end)
+router.post('/:id/questions', canWrite, validateUUID, validateModuleQuestions, ModuleController.addModuleQuestions);
+
+// DELETE /api/v1/testing/modules/:id/questions/:questionId - Remove a question from the module
+router.delete('/:id/questions/:questionId', canWrite, validateUUID, ModuleController.removeModuleQuestion);
+
+module.exports = router;
@@ -1,11 +1,16 @@
 const express = require('express');
 const QuestionController = require('../../../controllers/questionController');
+const { verifyToken, optionalAuth } = require('../../../middleware/auth');
+const { requirePermission } = require('../../../middleware/authorization');
 const { validateQuestion, sanitizeInput, validateUUID, validateAltId } = require('../../../middleware/validation');
 
 const router = express.Router();
 
+// Reading questions is open (answer keys only for answers:read); changing the question bank and item analytics need questions:write
+const canWrite = [verifyToken, requirePermission('questions:write')];
+
 // GET /api/v1/testing/question - Get all questions with optional filtering
-router.get('/', QuestionController.getAllQuestions);
+router.get('/', optionalAuth, QuestionController.getAllQuestions);
 
 // GET /api/v1/testing/question/stats - Get question statistics
 router.get('/stats', QuestionController.getQuestionStats);
@@ -13,19 +18,36 @@ router.get('/stats', QuestionController.getQuestionStats);
 // GET /api/v1/testing/question/filter-options - Get available filter options
 router.get('/filter-options', QuestionController.getFilterOptions);
 
+// GET /api/v1/testing/question/analytics - Get item analytics (?flagged=true, ?flag=, ?subject=, ?difficulty=)
+router.get('/analytics', canWrite, QuestionController.getItemAnalytics);
+
+// POST /api/v1/testing/question/analytics/compute - Recompute item analytics for every question
+router.post('/analytics/compute', canWrite, QuestionController.computeItemAnalytics);
+
 // GET /api/v1/testing/question/alt/:alt_id - Get a single question by alt_id
-router.get('/alt/:alt_id', validateAltId, QuestionController.getQuestionByAltId);
+router.get('/alt/:alt_id', validateAltId, optionalAuth, QuestionController.getQuestionByAltId);
+
+// GET /api/v1/testing/question/:id/answer-keys - Get answer-key version history
+router.get('/:id/answer-keys', validateUUID, canWrite, QuestionController.getAnswerKeyHistory);
+
+// GET /api/v1/testing/question/:id/analytics - Get item analytics for one question (?refresh=true recomputes it)
+router.get('/:id/analytics', validateUUID, canWrite, QuestionController.getQuestionAnalytics);
 
 // GET /api/v1/testing/question/:id - Get a single question by ID
-router.get('/:id', validateUUID, QuestionController.getQuestionById);
+router.get('/:id', validateUUID, optionalAuth, QuestionController.getQuestionById);
 
 // POST /api/v1/testing/question - Create a new question
-router.post('/', sanitizeInput, validateQuestion, QuestionController.createQuestion);
+router.post('/', canWrite, sanitizeInput, validateQuestion, QuestionController.createQuestion);
 
 // PUT /api/v1/testing/question/:id - Update a question
-router.put('/:id', validateUUID, sanitizeInput, validateQuestion, QuestionController.updateQuestion);
+// Key changes record a new answer-key version (optional change_reason in the body)
+router.put('/:id', validateUUID, canWrite, sanitizeInput, validateQuestion, QuestionController.updateQuestion);
+
+// POST /api/v1/testing/question/:id/regrade - Regrade all submissions that answered a question
+// (?dry_run=true returns the before/after report without saving)
+router.post('/:id/regrade', validateUUID, canWrite, QuestionController.regradeQuestion);
 
 // DELETE /api/v1/testing/question/:id - Delete a question
-router.delete('/:id', validateUUID, QuestionController.deleteQuestion);
+router.delete('/:id', validateUUID, canWrite, QuestionController.deleteQuestion);
 
 module.exports = router;
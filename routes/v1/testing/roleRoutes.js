@@ -0,0 +1,29 @@
+const express = require('express');
+const RoleController = require('../../../controllers/roleController');
+const { verifyToken } = require('../../../middleware/auth');
+const { requirePermission } = require('../../../middleware/authorization');
+const { validateUserId, validateRole } = require('../../../middleware/validation');
+
+const router = express.Router();
+
+// All role routes require authentication
+router.use(verifyToken);
+
+const manageRoles = requirePermission('roles:manage');
+
+// GET /api/v1/testing/roles/me - Get the authenticated user's role and permissions
+router.get('/me', RoleController.getMyRole);
+
+// GET /api/v1/testing/roles - Get all assigned roles
+router.get('/', manageRoles, RoleController.getAllRoles);
+
+// GET /api/v1/testing/roles/:userId - Get a user's assigned role
+router.get('/:userId', validateUserId, manageRoles, RoleController.getRole);
+
+// PUT /api/v1/testing/roles/:userId - Assign a user's role
+router.put('/:userId', validateUserId, manageRoles, validateRole, RoleController.setRole);
+
+// DELETE /api/v1/testing/roles/:userId - Remove a user's role
+router.delete('/:userId', validateUserId, manageRoles, RoleController.deleteRole);
+
+module.exports = router;
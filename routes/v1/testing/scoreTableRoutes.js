@@ -0,0 +1,26 @@
+const express = require('express');
+const ScoreTableController = require('../../../controllers/scoreTableController');
+const { verifyToken } = require('../../../middleware/auth');
+const { requirePermission } = require('../../../middleware/authorization');
+const { validateUUID, validateScoreTable } = require('../../../middleware/validation');
+
+const router = express.Router();
+
+const canWrite = [verifyToken, requirePermission('score_tables:write')];
+
+// GET /api/v1/testing/score-tables - Get all score conversion tables
+router.get('/', ScoreTableController.getAllScoreTables);
+
+// GET /api/v1/testing/score-tables/:id - Get a score conversion table with its conversions
+router.get('/:id', validateUUID, ScoreTableController.getScoreTableById);
+
+// POST /api/v1/testing/score-tables - Create a score conversion table
+router.post('/', canWrite, validateScoreTable, ScoreTableController.createScoreTable);
+
+// PUT /api/v1/testing/score-tables/:id - Update a score conversion table
+router.put('/:id', canWrite, validateUUID, validateScoreTable, ScoreTableController.updateScoreTable);
+
+// DELETE /api/v1/testing/score-tables/:id - Delete a score conversion table
+router.delete('/:id', canWrite, validateUUID, ScoreTableController.deleteScoreTable);
+
+module.exports = router;
@@ -1,38 +1,63 @@
 const express = require('express');
 const SubmissionController = require('../../../controllers/submissionController');
 const { verifyToken } = require('../../../middleware/auth');
+const { requireSubmissionOwner, requireSelfOrStaff } = require('../../../middleware/authorization');
 const { 
   sanitizeInput, 
   validateSubmissionCreate, 
   validateAnswers,
-  validateSubmissionId 
+  validateSubmissionId,
+  validateReviewFilters,
+  validateUserId,
+  validateModuleId
 } = require('../../../middleware/validation');
 
 const router = express.Router();
 
-// All submission routes require authentication
+// All submission routes require authentication; students can only touch their own submissions
 router.use(verifyToken);
 
-// POST /api/v1/submissions - Create a new submission (start a test)
+const ownerOnly = requireSubmissionOwner();
+const ownerOrStaff = requireSubmissionOwner({ allowStaff: true });
+
+// POST /api/v1/submissions - Create a new submission (start a test by testId or accessCode)
 router.post('/', validateSubmissionCreate, sanitizeInput, SubmissionController.createSubmission);
 
 // GET /api/v1/submissions/:submissionId - Get submission by ID
-router.get('/:submissionId', validateSubmissionId, SubmissionController.getSubmission);
+router.get('/:submissionId', validateSubmissionId, ownerOrStaff, SubmissionController.getSubmission);
+
+// GET /api/v1/submissions/:submissionId/review - Question-by-question review of a submitted test
+router.get('/:submissionId/review', validateSubmissionId, ownerOrStaff, validateReviewFilters, SubmissionController.getSubmissionReview);
 
 // GET /api/v1/submissions/user/:userId - Get all submissions for a user
-router.get('/user/:userId', SubmissionController.getUserSubmissions);
+router.get('/user/:userId', validateUserId, requireSelfOrStaff, SubmissionController.getUserSubmissions);
+
+// GET /api/v1/submissions/user/:userId/progress - Score trends and projected score range
+router.get('/user/:userId/progress', validateUserId, requireSelfOrStaff, SubmissionController.getUserProgress);
 
 // POST /api/v1/submissions/:submissionId/answers - Submit answers for a module
-router.post('/:submissionId/answers', validateSubmissionId, validateAnswers, sanitizeInput, SubmissionController.submitAnswers);
+router.post('/:submissionId/answers', validateSubmissionId, ownerOnly, validateAnswers, sanitizeInput, SubmissionController.submitAnswers);
+
+// GET /api/v1/submissions/:submissionId/modules/:moduleId/questions - Module questions in this submission's order
+router.get('/:submissionId/modules/:moduleId/questions', validateSubmissionId, validateModuleId, ownerOrStaff, SubmissionController.getModuleQuestions);
 
 // POST /api/v1/submissions/:submissionId/modules/:moduleId/complete - Complete a module
-router.post('/:submissionId/modules/:moduleId/complete', validateSubmissionId, SubmissionController.completeModule);
+router.post('/:submissionId/modules/:moduleId/complete', validateSubmissionId, validateModuleId, ownerOnly, SubmissionController.completeModule);
 
 // POST /api/v1/submissions/:submissionId/finalize - Finalize/submit the entire test
-router.post('/:submissionId/finalize', validateSubmissionId, SubmissionController.finalizeSubmission);
+router.post('/:submissionId/finalize', validateSubmissionId, ownerOnly, SubmissionController.finalizeSubmission);
+
+// POST /api/v1/submissions/:submissionId/break/skip - End the section break early
+router.post('/:submissionId/break/skip', validateSubmissionId, ownerOnly, SubmissionController.skipBreak);
+
+// POST /api/v1/submissions/:submissionId/pause - Pause the submission (stops the module clock)
+router.post('/:submissionId/pause', validateSubmissionId, ownerOnly, sanitizeInput, SubmissionController.pauseSubmission);
+
+// POST /api/v1/submissions/:submissionId/resume - Resume a paused submission
+router.post('/:submissionId/resume', validateSubmissionId, ownerOnly, SubmissionController.resumeSubmission);
 
 // GET /api/v1/submissions/:submissionId/current-module - Get current active module
-router.get('/:submissionId/current-module', validateSubmissionId, SubmissionController.getCurrentModule);
+router.get('/:submissionId/current-module', validateSubmissionId, ownerOnly, SubmissionController.getCurrentModule);
 
 module.exports = router;
 
@@ -1,16 +1,75 @@
 const express = require('express');
 const TestController = require('../../../controllers/testController');
-const { validateTestCode, sanitizeInput } = require('../../../middleware/validation');
+const { verifyToken, optionalAuth } = require('../../../middleware/auth');
+const { requirePermission } = require('../../../middleware/authorization');
+const {
+  validateTestCode,
+  validateTestId,
+  validateModuleId,
+  validateScoreTableAssignment,
+  validateRoutingRulesUpdate,
+  validateTestUpdate,
+  validateTestModules,
+  validateTestAssembly,
+  sanitizeInput
+} = require('../../../middleware/validation');
 
 const router = express.Router();
 
-// GET /api/v1/testing/tests - Get all tests (basic info)
-router.get('/', TestController.getAllTests);
+const canWrite = [verifyToken, requirePermission('tests:write')];
 
-// GET /api/v1/testing/tests/:code - Get test by access code with modules and questions
-router.get('/:code', validateTestCode, TestController.getTestByCode);
+// GET /api/v1/testing/tests - Get all published tests (basic info)
+// (?status=draft|archived|all requires the tests:write permission)
+router.get('/', optionalAuth, TestController.getAllTests);
+
+// GET /api/v1/testing/tests/:code - Get a published test by its code or an access code, with modules and questions
+// (?includeAnswers=true requires the answers:read permission; drafts, archived tests and tests that
+// require an access code, looked up by their own code, need tests:write)
+router.get('/:code', validateTestCode, optionalAuth, TestController.getTestByCode);
+
+// PUT /api/v1/testing/tests/:testId/score-table - Attach a score conversion table (null = default)
+router.put('/:testId/score-table', canWrite, validateScoreTableAssignment, TestController.setScoreTable);
+
+// PUT /api/v1/testing/tests/:testId/scoring-method - Choose 'raw' (conversion tables) or 'irt' scoring
+router.put('/:testId/scoring-method', canWrite, validateTestId, TestController.setScoringMethod);
+
+// PUT /api/v1/testing/tests/:testId/routing-rules - Set adaptive routing rules (null = standard 70% cutoff)
+router.put('/:testId/routing-rules', canWrite, validateRoutingRulesUpdate, TestController.setRoutingRules);
+
+// PUT /api/v1/testing/tests/:testId/section-break - Set the break between sections (0 = no break)
+router.put('/:testId/section-break', canWrite, validateTestId, TestController.setSectionBreak);
+
+// PUT /api/v1/testing/tests/:testId/pause-policy - Set max pauses per submission and proctored mode
+router.put('/:testId/pause-policy', canWrite, validateTestId, TestController.setPausePolicy);
+
+// PUT /api/v1/testing/tests/:testId/shuffle - Shuffle question/choice order per submission
+router.put('/:testId/shuffle', canWrite, validateTestId, TestController.setShuffleSettings);
+
+// PUT /api/v1/testing/tests/:testId/access-policy - Require an access code (not the test code) to open and start it
+router.put('/:testId/access-policy', canWrite, validateTestId, TestController.setAccessPolicy);
+
+// PUT /api/v1/testing/tests/:testId - Update a test's name or access code
+router.put('/:testId', canWrite, validateTestId, validateTestUpdate, TestController.updateTest);
+
+// GET /api/v1/testing/tests/:testId/structure - Modules in order and whether they form a valid adaptive SAT
+router.get('/:testId/structure', canWrite, validateTestId, TestController.getTestStructure);
+
+// POST /api/v1/testing/tests/:testId/modules - Attach a module (at orderNumber, default after the last)
+router.post('/:testId/modules', canWrite, validateTestId, validateTestModules, TestController.addTestModule);
+
+// PUT /api/v1/testing/tests/:testId/modules - Set the test's modules in order
+router.put('/:testId/modules', canWrite, validateTestId, validateTestModules, TestController.setTestModules);
+
+// DELETE /api/v1/testing/tests/:testId/modules/:moduleId - Detach a module from the test
+router.delete('/:testId/modules/:moduleId', canWrite, validateTestId, validateModuleId, TestController.removeTestModule);
+
+// PUT /api/v1/testing/tests/:testId/status - Publish (after structure validation), archive, or move back to draft
+router.put('/:testId/status', canWrite, validateTestId, TestController.setStatus);
+
+// POST /api/v1/testing/tests/assemble - Build a test from a content blueprint (default: full-length SAT)
+router.post('/assemble', canWrite, validateTestAssembly, TestController.assembleTest);
 
 // POST /api/v1/testing/tests - Create a new test
-// router.post('/', sanitizeInput, TestController.createTest);
+router.post('/', canWrite, sanitizeInput, TestController.createTest);
 
 module.exports = router;
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Assemble Test Script
+ *
+ * Builds a test from a content blueprint: each module gets questions by
+ * question_domain, question_skill and difficulty (see utils/testBlueprint.js).
+ * Questions already used in other tests are skipped unless --allow-reuse is given,
+ * and --student skips every question that student has been given.
+ * Without --blueprint the full-length Digital SAT blueprint is used.
+ *
+ * Usage:
+ *   node scripts/assemble_test.js --name "Practice Test 2" --code SATPT2 [options]
+ *   npm run assemble:test -- --name "Practice Test 2" --code SATPT2
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const pool = require('../config/db');
+const Test = require('../models/Test');
+const { DEFAULT_BLUEPRINT, validateBlueprint } = require('../utils/testBlueprint');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    name: null,
+    code: null,
+    blueprintFile: null,
+    studentId: null,
+    seed: undefined,
+    allowReuse: false,
+    allowPartial: false,
+    dryRun: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--name':
+        options.name = args[++i];
+        break;
+      case '--code':
+        options.code = args[++i];
+        break;
+      case '--blueprint':
+        options.blueprintFile = args[++i];
+        break;
+      case '--student':
+        options.studentId = args[++i];
+        break;
+      case '--seed':
+        options.seed = parseInt(args[++i], 10);
+        break;
+      case '--allow-reuse':
+        options.allowReuse = true;
+        break;
+      case '--allow-partial':
+        options.allowPartial = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+        console.log(`
+Usage: node scripts/assemble_test.js [options]
+
+Options:
+  --name <name>        Test name (required unless --dry-run)
+  --code <code>        6-character access code (required unless --dry-run)
+  --blueprint <file>   Blueprint JSON file (default: full-length Digital SAT)
+  --student <userId>   Skip questions this student has already been given
+  --seed <n>           Selection seed, to reproduce an earlier assembly
+  --allow-reuse        Allow questions already used in other tests
+  --allow-partial      Create the test even if the bank can't fill the blueprint
+  --dry-run            Report the selection without creating anything
+  --help               Show this help message
+
+Examples:
+  node scripts/assemble_test.js --dry-run
+  node scripts/assemble_test.js --name "Practice Test 2" --code SATPT2
+  node scripts/assemble_test.js --name "Retake for Sam" --code RETAK1 --student <uuid>
+        `);
+        process.exit(0);
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print each module's selection and any shortfalls
+ * @param {Object} assembly - From Test.assemble
+ */
+function printAssembly(assembly) {
+  console.log(`Seed: ${assembly.seed}`);
+  console.log('\nModules:');
+  assembly.modules.forEach(module => {
+    const status = module.shortfalls.length === 0 ? 'OK' : 'SHORT';
+    console.log(`  [${status}] ${module.name} (${module.difficulty}): ${module.question_ids.length}/${module.question_count} questions`);
+  });
+
+  if (assembly.shortfalls.length > 0) {
+    console.log(`\nThe question bank can't satisfy the blueprint (${assembly.shortfalls.length} shortfalls):`);
+    assembly.shortfalls
+      .filter(shortfall => shortfall.type !== 'question_count')
+      .forEach(shortfall => {
+        const available = shortfall.available !== undefined ? `, ${shortfall.available} unused in bank` : '';
+        console.log(`  ${shortfall.module}: ${shortfall.type} '${shortfall.name}' needs ${shortfall.required}, got ${shortfall.selected}${available}`);
+      });
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const options = parseArgs();
+
+  if (!options.dryRun && (!options.name || !options.code)) {
+    throw new Error('--name and --code are required (or use --dry-run)');
+  }
+
+  const blueprint = options.blueprintFile
+    ? JSON.parse(fs.readFileSync(options.blueprintFile, 'utf8'))
+    : DEFAULT_BLUEPRINT;
+
+  const errors = validateBlueprint(blueprint);
+  if (errors.length > 0) {
+    throw new Error(`Invalid blueprint:\n  ${errors.join('\n  ')}`);
+  }
+
+  try {
+    console.log('=================================');
+    console.log('   ASSEMBLE TEST FROM BLUEPRINT');
+    console.log('=================================');
+
+    const { test, assembly } = await Test.assemble({
+      name: options.name,
+      code: options.code,
+      blueprint,
+      studentId: options.studentId,
+      seed: options.seed,
+      allowReuse: options.allowReuse,
+      allowPartial: options.allowPartial,
+      dryRun: options.dryRun
+    });
+
+    printAssembly(assembly);
+
+    if (options.dryRun) {
+      console.log('\nDry run - nothing was created');
+    } else if (!test) {
+      console.log('\nNo test was created. Add questions, adjust the blueprint, or use --allow-partial.');
+      process.exitCode = 1;
+    } else {
+      console.log(`\nCreated test '${test.name}' (code ${test.code}, ID ${test.id})`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error('Test assembly failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { printAssembly };
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Backfill Question Choices Script
+ *
+ * Parses the imported choices HTML (questions.question_choices_html) into structured
+ * choice records for questions whose question_choices are still empty. Run it once
+ * after migration 016. Multiple-choice questions whose HTML can't be parsed, or whose
+ * correct_answer isn't one of the parsed labels, are reported and left for an editor.
+ *
+ * Usage:
+ *   node scripts/backfill_question_choices.js [--all] [--dry-run]
+ *   npm run backfill:choices
+ */
+
+require('dotenv').config();
+const pool = require('../config/db');
+const { parseChoicesHtml, validateAnswerKey } = require('../utils/questionChoices');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    all: false,
+    dryRun: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--all':
+        options.all = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--help':
+        console.log(`
+Usage: node scripts/backfill_question_choices.js [options]
+
+Options:
+  --all       Re-parse every question with imported HTML, not just those without choices
+  --dry-run   Report what would change without saving
+  --help      Show this help message
+
+Examples:
+  node scripts/backfill_question_choices.js --dry-run
+  node scripts/backfill_question_choices.js
+        `);
+        process.exit(0);
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse each question's HTML and sort the results into updates and problems
+ * @param {Array<Object>} questions - [{ id, alt_id, question_choices_html, correct_answer, is_multiple_choice }]
+ * @returns {Object} - { updates: [{ id, choices }], problems: [{ alt_id, reason }] }
+ */
+function planBackfill(questions) {
+  const updates = [];
+  const problems = [];
+
+  questions.forEach(question => {
+    const choices = parseChoicesHtml(question.question_choices_html);
+    const keyError = validateAnswerKey({
+      is_multiple_choice: question.is_multiple_choice,
+      question_choices: choices,
+      correct_answer: question.correct_answer
+    });
+
+    if (keyError) {
+      problems.push({ alt_id: question.alt_id, reason: keyError });
+    } else if (choices.length > 0) {
+      updates.push({ id: question.id, choices });
+    }
+  });
+
+  return { updates, problems };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const options = parseArgs();
+  const client = await pool.connect();
+
+  try {
+    console.log('=================================');
+    console.log('   BACKFILL QUESTION CHOICES');
+    console.log('=================================');
+
+    const { rows } = await client.query(
+      `SELECT id, alt_id, question_choices_html, correct_answer, is_multiple_choice
+       FROM questions
+       WHERE COALESCE(question_choices_html, '') <> ''
+         AND ($1 OR question_choices = '[]'::jsonb)
+       ORDER BY alt_id`,
+      [options.all]
+    );
+
+    const { updates, problems } = planBackfill(rows);
+
+    console.log(`Questions checked: ${rows.length}`);
+    console.log(`Questions parsed:  ${updates.length}`);
+
+    if (problems.length > 0) {
+      console.log(`\nNeeds an editor (${problems.length}):`);
+      problems.forEach(problem => console.log(`  ${problem.alt_id}: ${problem.reason}`));
+    }
+
+    if (options.dryRun) {
+      console.log('\nDry run - nothing was saved');
+      return;
+    }
+
+    await client.query('BEGIN');
+    for (const update of updates) {
+      await client.query(
+        'UPDATE questions SET question_choices = $1 WHERE id = $2',
+        [JSON.stringify(update.choices), update.id]
+      );
+    }
+    await client.query('COMMIT');
+
+    console.log(`\nSaved choices for ${updates.length} questions`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Choice backfill failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { planBackfill };
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Compute Item Analytics Script
+ *
+ * Recomputes question_statistics (p-value, point-biserial, distractor rates, average time,
+ * review flags) from submitted tests. Meant to run nightly from cron.
+ *
+ * Usage:
+ *   node scripts/compute_item_analytics.js [--question <question-uuid>] [--flagged]
+ *   npm run analytics
+ *
+ * Cron example (02:30 every night):
+ *   30 2 * * * cd /srv/sat-backend && npm run analytics >> logs/analytics.log 2>&1
+ */
+
+require('dotenv').config();
+const pool = require('../config/db');
+const QuestionStatistics = require('../models/QuestionStatistics');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    questionIds: null,
+    showFlagged: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--question':
+        options.questionIds = [...(options.questionIds || []), args[++i]];
+        break;
+      case '--flagged':
+        options.showFlagged = true;
+        break;
+      case '--help':
+        console.log(`
+Usage: node scripts/compute_item_analytics.js [options]
+
+Options:
+  --question <id>  Only recompute this question (repeatable)
+  --flagged        List flagged items after computing
+  --help           Show this help message
+
+Examples:
+  node scripts/compute_item_analytics.js
+  node scripts/compute_item_analytics.js --question 3f5a3602-... --flagged
+        `);
+        process.exit(0);
+        break;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print flagged items
+ */
+function printFlaggedItems(statistics) {
+  if (statistics.length === 0) {
+    console.log('\nNo flagged items');
+    return;
+  }
+
+  console.log(`\nFlagged items (${statistics.length}):`);
+  statistics.forEach(stats => {
+    const pValue = stats.p_value !== null ? Number(stats.p_value).toFixed(2) : '-';
+    const pointBiserial = stats.point_biserial !== null ? Number(stats.point_biserial).toFixed(2) : '-';
+    console.log(`  ${stats.alt_id} (${stats.difficulty} → ${stats.observed_difficulty}) p=${pValue} r_pb=${pointBiserial} n=${stats.response_count}: ${stats.flags.join(', ')}`);
+  });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const options = parseArgs();
+
+  try {
+    console.log('=================================');
+    console.log('   COMPUTE ITEM ANALYTICS');
+    console.log('=================================');
+
+    const summary = await QuestionStatistics.compute({ questionIds: options.questionIds });
+
+    console.log(`Questions computed: ${summary.questions_computed}`);
+    console.log(`Questions flagged:  ${summary.questions_flagged}`);
+
+    if (options.showFlagged) {
+      const flagged = await QuestionStatistics.findAll({ flaggedOnly: true });
+      printFlaggedItems(flagged.filter(stats => !options.questionIds || options.questionIds.includes(stats.question_id)));
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Item analytics failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { printFlaggedItems };
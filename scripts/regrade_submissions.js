@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Regrade Submissions Script
+ *
+ * Re-runs grading and scoring for submissions after an answer-key correction and
+ * prints a before/after report per student.
+ *
+ * Usage:
+ *   node scripts/regrade_submissions.js --question <question-uuid> [--dry-run] [--output report.json]
+ *   node scripts/regrade_submissions.js --submission <submission-uuid> [--dry-run]
+ *   npm run regrade -- --question <question-uuid>
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const pool = require('../config/db');
+const Submission = require('../models/Submission');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    questionId: null,
+    submissionId: null,
+    dryRun: false,
+    output: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--question':
+        options.questionId = args[++i];
+        break;
+      case '--submission':
+        options.submissionId = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--output':
+        options.output = args[++i];
+        break;
+      case '--help':
+        console.log(`
+Usage: node scripts/regrade_submissions.js [options]
+
+Options:
+  --question <id>    Regrade every submission that answered this question
+  --submission <id>  Regrade a single submission
+  --dry-run          Show the before/after report without saving changes
+  --output <file>    Also write the full JSON report to a file
+  --help             Show this help message
+
+Examples:
+  node scripts/regrade_submissions.js --question 3f5a3602-... --dry-run
+  node scripts/regrade_submissions.js --submission 9b1c...-... --output regrade.json
+        `);
+        process.exit(0);
+        break;
+    }
+  }
+
+  if (!options.questionId && !options.submissionId) {
+    console.error('Error: --question or --submission is required (see --help)');
+    process.exit(1);
+  }
+
+  return options;
+}
+
+/**
+ * Print the report for a single submission
+ */
+function printSubmissionReport(report) {
+  if (report.error) {
+    console.log(`\n✗ Submission ${report.submission_id}: ${report.error}`);
+    return;
+  }
+
+  const before = report.score_before?.total_score ?? '-';
+  const after = report.score_after?.total_score ?? '-';
+  const delta = report.total_score_delta !== null ? ` (${report.total_score_delta >= 0 ? '+' : ''}${report.total_score_delta})` : '';
+
+  console.log(`\nSubmission ${report.submission_id} (user ${report.user_id}, ${report.status})`);
+  console.log(`  Total score: ${before} → ${after}${delta}`);
+
+  report.module_changes.forEach(change => {
+    const routing = change.routing_changed ? ' [would have routed differently]' : '';
+    console.log(`  ${change.module_name}: raw ${change.raw_score_before} → ${change.raw_score_after}${routing}`);
+  });
+
+  report.answer_changes.forEach(change => {
+    console.log(`  Question ${change.question_id}: "${change.submitted_answer}" ${change.is_correct_before ? 'correct' : 'incorrect'} → ${change.is_correct_after ? 'correct' : 'incorrect'}`);
+  });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const options = parseArgs();
+
+  try {
+    console.log('=================================');
+    console.log('   REGRADE SUBMISSIONS');
+    console.log('=================================');
+    if (options.dryRun) {
+      console.log('Dry run mode - no changes will be saved');
+    }
+
+    let report;
+    if (options.questionId) {
+      report = await Submission.regradeByQuestion(options.questionId, { dryRun: options.dryRun });
+      report.reports.forEach(printSubmissionReport);
+
+      console.log('\n' + '-'.repeat(50));
+      console.log(`Submissions checked: ${report.submissions_checked}`);
+      console.log(`Submissions changed: ${report.submissions_changed}`);
+      console.log(`Submissions failed:  ${report.submissions_failed}`);
+    } else {
+      report = await Submission.regrade(options.submissionId, { dryRun: options.dryRun });
+      printSubmissionReport(report);
+    }
+
+    if (options.output) {
+      fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+      console.log(`\nFull report written to ${options.output}`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Regrade failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { printSubmissionReport };
@@ -211,9 +211,9 @@ async function testCreateSubmission() {
       method: 'POST',
       url: `${BASE_URL}/api/v1/submissions`,
       data: {
-        // userId is now obtained from auth token, not from body
-        testId: testData.test.id,
-        initialModuleId: testData.rwModule1.id
+        // userId is now obtained from auth token, not from body;
+        // the server picks the first module
+        testId: testData.test.id
       }
     });
     
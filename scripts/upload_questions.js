@@ -10,6 +10,8 @@
 const fs = require('fs');
 const path = require('path');
 const pool = require('../config/db');
+const { parseChoicesHtml, validateAnswerKey } = require('../utils/questionChoices');
+const { ANSWER_SEPARATOR } = require('../utils/answerGrading');
 
 /**
  * Parse command line arguments
@@ -136,6 +138,10 @@ async function verifyDatabase() {
         !columns.includes('question_domain') || !columns.includes('question_skill') || !columns.includes('difficulty')) {
       throw new Error('Questions table does not have the expected structure. Please run migrations.');
     }
+
+    if (!columns.includes('question_choices_html')) {
+      throw new Error('Questions table is missing question_choices_html. Please run migration 016.');
+    }
     
     console.log('Database schema verified successfully');
     
@@ -145,15 +151,30 @@ async function verifyDatabase() {
 }
 
 /**
- * Parse the choices_raw HTML into a structured format
+ * Parse the choices_raw HTML into choice records ({ label, content, image_url?, math? })
+ * Throws if a multiple-choice question's choices can't be parsed or its key isn't one of them.
  */
-function parseChoices(choicesRaw) {
-  // For now, we'll store the raw HTML as a simple structure
-  // This could be enhanced to parse the actual choices if needed
-  return {
-    raw_html: choicesRaw || '',
-    type: 'multiple_choice'
-  };
+function parseChoices(question) {
+  const choices = parseChoicesHtml(question.choices_raw);
+  const keyError = validateAnswerKey({
+    is_multiple_choice: question.is_multiple_choice !== false,
+    question_choices: choices,
+    correct_answer: question.correct_answer
+  });
+
+  if (keyError) {
+    throw new Error(keyError);
+  }
+
+  return choices;
+}
+
+/**
+ * The question bank separates alternative answers with commas ("3/4, .75");
+ * stored keys separate them with semicolons (see utils/answerGrading.js)
+ */
+function toAnswerKey(correctAnswer) {
+  return String(correctAnswer).split(/\s*,\s*/).join(`${ANSWER_SEPARATOR} `);
 }
 
 /**
@@ -183,15 +204,18 @@ async function uploadQuestions(questions, limit = null) {
           continue;
         }
 
+        const choices = parseChoices(question);
+
         // Insert question with proper field mapping
-        await client.query(
+        const insertResult = await client.query(
           `INSERT INTO questions (
             alt_id, test_type, question_subject, question_domain, question_skill,
-            difficulty, question_prompt, question_choices, question_rationale, 
-            correct_answer, is_multiple_choice
+            difficulty, question_prompt, question_choices, question_choices_html,
+            question_rationale, correct_answer, is_multiple_choice
           ) VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11
-          )`,
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
+          )
+          RETURNING id, answer_key_version, correct_answer`,
           [
             question.id,                                    // alt_id
             question.attributes[0],                         // test_type
@@ -200,13 +224,22 @@ async function uploadQuestions(questions, limit = null) {
             question.attributes[3],                         // question_skill
             question.difficulty,                            // difficulty
             question.prompt,                                // question_prompt
-            question.choices_raw || '',                     // question_choices (raw HTML)
+            JSON.stringify(choices),                        // question_choices (records)
+            question.choices_raw || '',                     // question_choices_html (raw HTML)
             question.rationale || '',                       // question_rationale
-            question.correct_answer,                        // correct_answer
+            toAnswerKey(question.correct_answer),           // correct_answer
             question.is_multiple_choice !== false           // is_multiple_choice
           ]
         );
 
+        // Record the imported key as version 1 of the question's answer key
+        const inserted = insertResult.rows[0];
+        await client.query(
+          `INSERT INTO question_answer_keys (question_id, version, correct_answer, change_reason)
+           VALUES ($1, $2, $3, 'Initial answer key')`,
+          [inserted.id, inserted.answer_key_version, inserted.correct_answer]
+        );
+
         uploadedCount++;
         if (uploadedCount % 100 === 0) {
           console.log(`Uploaded ${uploadedCount} questions...`);
@@ -245,6 +278,11 @@ function showDryRun(questions, limit = null) {
     console.log(`  Difficulty: ${q.difficulty}`);
     console.log(`  Attributes: ${JSON.stringify(q.attributes)}`);
     console.log(`  Correct Answer: ${q.correct_answer}`);
+    try {
+      console.log(`  Choices: ${parseChoices(q).map(choice => choice.label).join(', ') || '(none)'}`);
+    } catch (error) {
+      console.log(`  Choices: invalid (${error.message})`);
+    }
     console.log(`  Prompt (first 100 chars): ${q.prompt.substring(0, 100)}...`);
   });
 }
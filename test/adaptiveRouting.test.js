@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_ROUTING_RULES,
+  getRoutingRules,
+  calculateRoutingMetric,
+  routeNextModule,
+  validateRoutingRules,
+  validateRoutingScoreTables
+} = require('../utils/adaptiveRouting');
+
+const weightedRule = {
+  after_module: 1,
+  metric: 'weighted_percentage',
+  tiers: [
+    { min: 60, difficulty: 'hard' },
+    { min: 0, difficulty: 'easy' }
+  ]
+};
+
+test('weighted_percentage counts unanswered questions as possible points', () => {
+  const moduleQuestions = [
+    { difficulty: 'hard' },
+    { difficulty: 'hard' },
+    { difficulty: 'medium' },
+    { difficulty: 'easy' }
+  ];
+  const gradedAnswers = [{ is_correct: true, difficulty: 'hard' }];
+
+  // 3 of 3 + 3 + 2 + 1 points
+  assert.equal(calculateRoutingMetric(weightedRule, gradedAnswers, moduleQuestions), 33.33);
+});
+
+test('one correct hard answer in an otherwise blank module does not route to hard', () => {
+  const moduleQuestions = Array.from({ length: 10 }, () => ({ difficulty: 'hard' }));
+  const gradedAnswers = [{ is_correct: true, difficulty: 'hard' }];
+
+  const routing = routeNextModule({ Math: [weightedRule] }, 'Math', 1, gradedAnswers, moduleQuestions);
+
+  assert.equal(routing.value, 10);
+  assert.equal(routing.difficulty, 'easy');
+});
+
+test('percentage divides by every module question', () => {
+  const moduleQuestions = Array.from({ length: 4 }, () => ({ difficulty: 'medium' }));
+  const gradedAnswers = [{ is_correct: true }, { is_correct: true }];
+
+  assert.equal(calculateRoutingMetric({ metric: 'percentage' }, gradedAnswers, moduleQuestions), 50);
+});
+
+test('getRoutingRules falls back to the default entry, then the standard rules', () => {
+  const rules = { Math: [weightedRule], default: [{ ...weightedRule, after_module: 2 }] };
+
+  assert.deepEqual(getRoutingRules(rules, 'Math'), [weightedRule]);
+  assert.equal(getRoutingRules(rules, 'Reading and Writing')[0].after_module, 2);
+  assert.equal(getRoutingRules({ Math: [weightedRule] }, 'Reading and Writing'), DEFAULT_ROUTING_RULES);
+  assert.equal(getRoutingRules(null, 'Math'), DEFAULT_ROUTING_RULES);
+});
+
+test('routeNextModule applies the 70% cutoff when a test has no rules', () => {
+  const moduleQuestions = Array.from({ length: 10 }, () => ({ difficulty: 'medium' }));
+  const answers = correct => moduleQuestions.map((question, index) => ({ is_correct: index < correct }));
+
+  assert.equal(routeNextModule(null, 'Math', 1, answers(7), moduleQuestions).difficulty, 'hard');
+  assert.equal(routeNextModule(null, 'Math', 1, answers(6), moduleQuestions).difficulty, 'easy');
+  assert.equal(routeNextModule(null, 'Math', 2, answers(10), moduleQuestions), null);
+});
+
+test('routeNextModule picks the highest tier reached, whatever order the tiers are in', () => {
+  const rules = {
+    Math: [{
+      after_module: 1,
+      metric: 'raw_score',
+      tiers: [
+        { min: 0, difficulty: 'easy' },
+        { min: 5, module_id: 'module-medium' },
+        { min: 8, difficulty: 'hard' }
+      ]
+    }]
+  };
+  const answers = correct => Array.from({ length: 10 }, (_, index) => ({ is_correct: index < correct }));
+
+  assert.deepEqual(routeNextModule(rules, 'Math', 1, answers(6), answers(10)), {
+    metric: 'raw_score',
+    value: 6,
+    difficulty: null,
+    module_id: 'module-medium'
+  });
+  assert.equal(routeNextModule(rules, 'Math', 1, answers(9), answers(10)).difficulty, 'hard');
+});
+
+test('validateRoutingRules accepts well-formed rules', () => {
+  assert.deepEqual(validateRoutingRules({ Math: [weightedRule], default: DEFAULT_ROUTING_RULES }), []);
+});
+
+test('validateRoutingRules reports malformed rules', () => {
+  assert.deepEqual(validateRoutingRules([]), ['routing_rules must be an object keyed by subject']);
+  assert.deepEqual(validateRoutingRules({ Math: {} }), ["routing_rules['Math'] must be an array of rules"]);
+
+  const errors = validateRoutingRules({
+    Math: [
+      { after_module: 1, metric: 'median', weights: { expert: 4 }, tiers: [{ min: 50, difficulty: 'harder' }] },
+      { after_module: 1, tiers: [{ min: 0 }] },
+      { after_module: 0, tiers: [] }
+    ]
+  });
+
+  assert.deepEqual(errors, [
+    "routing_rules['Math'][0].metric must be one of: percentage, raw_score, weighted_percentage",
+    "routing_rules['Math'][0].weights.expert must be a non-negative number for easy, medium or hard",
+    "routing_rules['Math'][0].tiers[0].difficulty must be one of: easy, medium, hard",
+    "routing_rules['Math'][0].tiers must include a tier with min 0 so every student is routed",
+    "routing_rules['Math'][1].after_module 1 is defined more than once",
+    "routing_rules['Math'][1].tiers[0] must target a difficulty or a module_id",
+    "routing_rules['Math'][2].after_module must be a positive integer",
+    "routing_rules['Math'][2].tiers must be a non-empty array"
+  ]);
+});
+
+test('validateRoutingScoreTables requires a table for every difficulty routing can reach', () => {
+  const modules = [{ id: 'module-medium', subject_name: 'Math', difficulty: 'medium' }];
+
+  assert.deepEqual(validateRoutingScoreTables(null, {}, modules), []);
+
+  const rules = {
+    Math: [{ after_module: 1, tiers: [{ min: 50, module_id: 'module-medium' }, { min: 0, difficulty: 'easy' }] }]
+  };
+  assert.deepEqual(validateRoutingScoreTables(rules, {}, modules), [
+    'Math routing can reach medium modules, but the conversion table has no medium table for Math'
+  ]);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeAnswer,
+  parseNumericAnswer,
+  getAcceptedAnswers,
+  isSprAnswerEquivalent,
+  isAnswerCorrect
+} = require('../utils/answerGrading');
+
+test('getAcceptedAnswers splits keys on semicolons', () => {
+  assert.deepEqual(getAcceptedAnswers('3/4; .75;0.75'), ['3/4', '.75', '0.75']);
+  assert.deepEqual(getAcceptedAnswers('0.5;125'), ['0.5', '125']);
+});
+
+test('getAcceptedAnswers reads commas inside a number as thousands separators', () => {
+  assert.deepEqual(getAcceptedAnswers('1,000'), ['1000']);
+  assert.deepEqual(getAcceptedAnswers('1,250'), ['1250']);
+  assert.deepEqual(getAcceptedAnswers('12,345,678'), ['12345678']);
+  assert.deepEqual(getAcceptedAnswers('1,000; 1000.0'), ['1000', '1000.0']);
+});
+
+test('getAcceptedAnswers includes accepted_answers', () => {
+  assert.deepEqual(getAcceptedAnswers('3/4', ['.75; 0.75']), ['3/4', '.75', '0.75']);
+});
+
+test('isAnswerCorrect grades a key written with a thousands separator', () => {
+  const question = { correct_answer: '1,000', accepted_answers: [], is_multiple_choice: false };
+
+  assert.equal(isAnswerCorrect('1000', question), true);
+  assert.equal(isAnswerCorrect('1', question), false);
+  assert.equal(isAnswerCorrect('000', question), false);
+});
+
+test('isAnswerCorrect accepts each alternative of a multi-answer key', () => {
+  const question = { correct_answer: '0.5;125', accepted_answers: [], is_multiple_choice: false };
+
+  assert.equal(isAnswerCorrect('1/2', question), true);
+  assert.equal(isAnswerCorrect('125', question), true);
+  assert.equal(isAnswerCorrect('.5125', question), false);
+});
+
+test('normalizeAnswer trims and replaces unicode minus signs', () => {
+  assert.equal(normalizeAnswer('  \u22123 '), '-3');
+  assert.equal(normalizeAnswer('–4'), '-4');
+  assert.equal(normalizeAnswer(null), '');
+  assert.equal(normalizeAnswer(7), '7');
+});
+
+test('parseNumericAnswer reads integers, decimals and fractions', () => {
+  assert.deepEqual(parseNumericAnswer('-3/4'), { value: -0.75, isDecimal: false, decimals: null, characters: 3 });
+  assert.deepEqual(parseNumericAnswer('.6666'), { value: 0.6666, isDecimal: true, decimals: 4, characters: 5 });
+  assert.equal(parseNumericAnswer('12').value, 12);
+  assert.equal(parseNumericAnswer('1/0'), null);
+  assert.equal(parseNumericAnswer('abc'), null);
+});
+
+test('parseNumericAnswer rejects mixed numbers', () => {
+  assert.equal(parseNumericAnswer('3 1/2'), null);
+});
+
+test('isSprAnswerEquivalent treats fractions and decimals as equal', () => {
+  assert.equal(isSprAnswerEquivalent('.75', '3/4'), true);
+  assert.equal(isSprAnswerEquivalent('0.750', '3/4'), true);
+  assert.equal(isSprAnswerEquivalent('6/8', '3/4'), true);
+  assert.equal(isSprAnswerEquivalent('−2', '-2'), true);
+  assert.equal(isSprAnswerEquivalent('3 1/2', '7/2'), false);
+});
+
+test('isSprAnswerEquivalent accepts approximations only when they fill the grid', () => {
+  assert.equal(isSprAnswerEquivalent('.6666', '2/3'), true);
+  assert.equal(isSprAnswerEquivalent('.6667', '2/3'), true);
+  assert.equal(isSprAnswerEquivalent('0.667', '2/3'), true);
+  assert.equal(isSprAnswerEquivalent('.67', '2/3'), false);
+  assert.equal(isSprAnswerEquivalent('.6665', '2/3'), false);
+});
+
+test('isSprAnswerEquivalent compares non-numeric keys ignoring case and spaces', () => {
+  assert.equal(isSprAnswerEquivalent('X = 2', 'x=2'), true);
+  assert.equal(isSprAnswerEquivalent('x=3', 'x=2'), false);
+});
+
+test('isAnswerCorrect compares multiple-choice letters ignoring case', () => {
+  const question = { correct_answer: 'B', accepted_answers: [], is_multiple_choice: true };
+
+  assert.equal(isAnswerCorrect('b', question), true);
+  assert.equal(isAnswerCorrect(' B ', question), true);
+  assert.equal(isAnswerCorrect('C', question), false);
+  assert.equal(isAnswerCorrect('', question), false);
+  assert.equal(isAnswerCorrect(null, question), false);
+});
+
+test('isAnswerCorrect accepts the forms in accepted_answers', () => {
+  const question = { correct_answer: '2/3', accepted_answers: ['x = 2/3'], is_multiple_choice: false };
+
+  assert.equal(isAnswerCorrect('.6667', question), true);
+  assert.equal(isAnswerCorrect('x=2/3', question), true);
+  assert.equal(isAnswerCorrect('.67', question), false);
+});
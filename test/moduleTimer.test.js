@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LATE_ANSWER_GRACE_SECONDS,
+  getModuleDeadline,
+  calculateModuleTiming,
+  calculateBreakTiming
+} = require('../utils/moduleTimer');
+
+const startedAt = '2025-11-08T14:00:00.000Z';
+const minutesAfterStart = minutes => new Date(Date.parse(startedAt) + minutes * 60 * 1000);
+
+test('getModuleDeadline adds the time limit and paused seconds to the start', () => {
+  assert.equal(getModuleDeadline(null, 32), null);
+  assert.equal(getModuleDeadline(startedAt, 32).toISOString(), '2025-11-08T14:32:00.000Z');
+  assert.equal(getModuleDeadline(startedAt, 32, 90).toISOString(), '2025-11-08T14:33:30.000Z');
+});
+
+test('calculateModuleTiming reports the full limit for a module that has not started', () => {
+  const timing = calculateModuleTiming({ startedAt: null, timeLimitMinutes: 32 });
+
+  assert.equal(timing.deadline, null);
+  assert.equal(timing.remaining_seconds, 32 * 60);
+  assert.equal(timing.is_expired, false);
+});
+
+test('calculateModuleTiming counts down from the start', () => {
+  const timing = calculateModuleTiming({ startedAt, timeLimitMinutes: 32, now: minutesAfterStart(30) });
+
+  assert.equal(timing.deadline, '2025-11-08T14:32:00.000Z');
+  assert.equal(timing.remaining_seconds, 120);
+  assert.equal(timing.is_expired, false);
+  assert.equal(timing.is_past_grace, false);
+});
+
+test('calculateModuleTiming accepts answers within the grace period after the deadline', () => {
+  const withinGrace = calculateModuleTiming({
+    startedAt,
+    timeLimitMinutes: 32,
+    now: new Date(minutesAfterStart(32).getTime() + (LATE_ANSWER_GRACE_SECONDS - 1) * 1000)
+  });
+  assert.equal(withinGrace.remaining_seconds, 0);
+  assert.equal(withinGrace.is_expired, true);
+  assert.equal(withinGrace.is_past_grace, false);
+
+  const pastGrace = calculateModuleTiming({
+    startedAt,
+    timeLimitMinutes: 32,
+    now: new Date(minutesAfterStart(32).getTime() + LATE_ANSWER_GRACE_SECONDS * 1000)
+  });
+  assert.equal(pastGrace.is_past_grace, true);
+});
+
+test('calculateModuleTiming multiplies the limit for extended time', () => {
+  const timing = calculateModuleTiming({
+    startedAt,
+    timeLimitMinutes: 32,
+    timeMultiplier: 1.5,
+    now: minutesAfterStart(40)
+  });
+
+  assert.equal(timing.time_limit_seconds, 48 * 60);
+  assert.equal(timing.deadline, '2025-11-08T14:48:00.000Z');
+  assert.equal(timing.is_expired, false);
+});
+
+test('calculateModuleTiming does not count paused time', () => {
+  const afterPause = calculateModuleTiming({
+    startedAt,
+    timeLimitMinutes: 32,
+    pausedSeconds: 600,
+    now: minutesAfterStart(35)
+  });
+  assert.equal(afterPause.deadline, '2025-11-08T14:42:00.000Z');
+  assert.equal(afterPause.is_expired, false);
+
+  // An open pause freezes the clock at the moment it started
+  const paused = calculateModuleTiming({
+    startedAt,
+    timeLimitMinutes: 32,
+    pausedAt: minutesAfterStart(10),
+    now: minutesAfterStart(60)
+  });
+  assert.equal(paused.is_paused, true);
+  assert.equal(paused.remaining_seconds, 22 * 60);
+  assert.equal(paused.is_expired, false);
+});
+
+test('calculateBreakTiming counts down to the end of the break', () => {
+  const breakEndsAt = minutesAfterStart(10);
+
+  const onBreak = calculateBreakTiming({ breakStartedAt: startedAt, breakEndsAt, now: minutesAfterStart(4) });
+  assert.equal(onBreak.remaining_seconds, 360);
+  assert.equal(onBreak.is_on_break, true);
+
+  const over = calculateBreakTiming({ breakStartedAt: startedAt, breakEndsAt, now: minutesAfterStart(11) });
+  assert.equal(over.remaining_seconds, 0);
+  assert.equal(over.is_on_break, false);
+
+  assert.equal(calculateBreakTiming({ breakStartedAt: null, breakEndsAt: null }).is_on_break, false);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getTransitionError } = require('../utils/testLifecycle');
+
+const valid = { valid: true, errors: [] };
+
+test('getTransitionError allows publishing a valid draft', () => {
+  assert.equal(getTransitionError('draft', 'published', { validation: valid }), null);
+});
+
+test('getTransitionError rejects publishing an invalid or unchecked test', () => {
+  assert.match(
+    getTransitionError('draft', 'published', { validation: { valid: false, errors: ['Math is missing Module 2'] } }),
+    /not a valid adaptive SAT: Math is missing Module 2/
+  );
+  assert.match(getTransitionError('draft', 'published'), /structure was not checked/);
+});
+
+test('getTransitionError rejects moving to the current status', () => {
+  assert.equal(getTransitionError('published', 'published', { validation: valid }), 'Test is already published');
+});
+
+test('getTransitionError rejects unknown statuses', () => {
+  assert.equal(getTransitionError('draft', 'deleted'), 'A draft test cannot be moved to deleted');
+  assert.equal(getTransitionError('retired', 'draft'), 'A retired test cannot be moved to draft');
+});
+
+test('getTransitionError lets a test go back to draft only while nobody has taken it', () => {
+  assert.equal(getTransitionError('published', 'draft', { hasSubmissions: false }), null);
+  assert.match(getTransitionError('published', 'draft', { hasSubmissions: true }), /cannot go back to draft/);
+  assert.match(getTransitionError('archived', 'draft', { hasSubmissions: true }), /cannot go back to draft/);
+});
+
+test('getTransitionError always allows archiving and unarchiving', () => {
+  assert.equal(getTransitionError('published', 'archived', { hasSubmissions: true }), null);
+  assert.equal(getTransitionError('archived', 'published', { hasSubmissions: true, validation: valid }), null);
+});
@@ -0,0 +1,79 @@
+/**
+ * Access Codes Utility
+ * Generates test access codes and decides whether one can be used
+ *
+ * An access code opens one test. It can be limited to a time window, a number of
+ * submissions, a list of users, and one attempt per student. Codes are 8 characters
+ * so they never collide with a test's permanent 6-character code.
+ */
+
+const crypto = require('crypto');
+
+// No 0/O or 1/I, so codes read out in a classroom aren't mistyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Generate a random access code
+ * @returns {string}
+ */
+function generateAccessCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Check whether an access code can be used right now
+ * @param {Object} accessCode - { is_active, starts_at, ends_at, max_uses, one_attempt_per_student }
+ * @param {Object} context
+ * @param {Date} context.now
+ * @param {number} context.useCount - Submissions already started with the code
+ * @param {string|null} context.userId - Who wants to use it (null skips the per-user checks)
+ * @param {Array<string>} context.allowedUserIds - Users the code is restricted to (empty = anyone)
+ * @param {number} context.userAttempts - Submissions this user already started with the code
+ * @returns {string|null} - Why the code can't be used, or null if it can
+ */
+function getRedemptionError(accessCode, {
+  now = new Date(),
+  useCount = 0,
+  userId = null,
+  allowedUserIds = [],
+  userAttempts = 0
+} = {}) {
+  if (!accessCode.is_active) {
+    return 'Access code has been deactivated';
+  }
+
+  if (accessCode.starts_at && now < new Date(accessCode.starts_at)) {
+    return `Access code opens at ${new Date(accessCode.starts_at).toISOString()}`;
+  }
+
+  if (accessCode.ends_at && now >= new Date(accessCode.ends_at)) {
+    return 'Access code has expired';
+  }
+
+  if (accessCode.max_uses !== null && accessCode.max_uses !== undefined && useCount >= accessCode.max_uses) {
+    return 'Access code has reached its maximum number of uses';
+  }
+
+  if (userId) {
+    if (allowedUserIds.length > 0 && !allowedUserIds.includes(userId)) {
+      return 'Access code is not assigned to you';
+    }
+
+    if (accessCode.one_attempt_per_student && userAttempts > 0) {
+      return 'You have already used this access code';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  CODE_LENGTH,
+  generateAccessCode,
+  getRedemptionError
+};
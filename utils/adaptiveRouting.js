@@ -0,0 +1,242 @@
+/**
+ * Adaptive Routing Utility
+ * Decides which module a student takes next within a section
+ *
+ * Routing rules are stored per test (tests.routing_rules) and keyed by subject,
+ * with an optional "default" entry used for subjects without their own rules:
+ *
+ * {
+ *   "Math": [
+ *     {
+ *       "after_module": 1,
+ *       "metric": "weighted_percentage",
+ *       "weights": { "easy": 1, "medium": 2, "hard": 3 },
+ *       "tiers": [
+ *         { "min": 75, "difficulty": "hard" },
+ *         { "min": 45, "module_id": "uuid-of-a-specific-module" },
+ *         { "min": 0, "difficulty": "easy" }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * - after_module: the module number within the subject the rule applies after
+ *   (rules for later modules enable multi-stage routing)
+ * - metric: percentage (default), raw_score, or weighted_percentage (correct
+ *   answers weighted by question difficulty)
+ * - tiers: the first tier whose min the metric reaches wins; a tier targets a
+ *   module difficulty or a specific module
+ *
+ * When no rule matches a module number, the section ends after that module.
+ * Raw-scored sections are scaled with the conversion table for the last
+ * difficulty routed to, so every difficulty a rule can reach needs a table.
+ */
+
+const { DEFAULT_SCORE_TABLES, SCORE_TABLE_SUBJECTS } = require('./satScoring');
+
+/**
+ * Rules used when a test has none: the standard Digital SAT 70% cutoff after Module 1
+ */
+const DEFAULT_ROUTING_RULES = [
+  {
+    after_module: 1,
+    metric: 'percentage',
+    tiers: [
+      { min: 70, difficulty: 'hard' },
+      { min: 0, difficulty: 'easy' }
+    ]
+  }
+];
+
+const ROUTING_METRICS = ['percentage', 'raw_score', 'weighted_percentage'];
+const MODULE_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_DIFFICULTY_WEIGHTS = { easy: 1, medium: 2, hard: 3 };
+
+/**
+ * Get the routing rules that apply to a subject
+ * @param {Object|null} routingRules - tests.routing_rules
+ * @param {string} subject - Module subject name
+ * @returns {Array<Object>}
+ */
+function getRoutingRules(routingRules, subject) {
+  if (!routingRules) {
+    return DEFAULT_ROUTING_RULES;
+  }
+  return routingRules[subject] || routingRules.default || DEFAULT_ROUTING_RULES;
+}
+
+/**
+ * Calculate the metric a rule routes on
+ * @param {Object} rule - Routing rule
+ * @param {Array<Object>} gradedAnswers - [{ is_correct, difficulty }]
+ * @param {Array<Object>} moduleQuestions - Every question in the module, answered or not
+ *   ([{ difficulty }]); unanswered questions count against both percentage metrics
+ * @returns {number}
+ */
+function calculateRoutingMetric(rule, gradedAnswers, moduleQuestions = gradedAnswers) {
+  const correctAnswers = gradedAnswers.filter(answer => answer.is_correct);
+  const totalQuestions = moduleQuestions.length;
+
+  switch (rule.metric || 'percentage') {
+    case 'raw_score':
+      return correctAnswers.length;
+    case 'weighted_percentage': {
+      const weights = { ...DEFAULT_DIFFICULTY_WEIGHTS, ...(rule.weights || {}) };
+      const weightOf = answer => weights[answer.difficulty] ?? weights.medium;
+      const possible = moduleQuestions.reduce((sum, question) => sum + weightOf(question), 0);
+      const earned = correctAnswers.reduce((sum, answer) => sum + weightOf(answer), 0);
+      return possible > 0 ? Math.round((earned / possible) * 10000) / 100 : 0;
+    }
+    case 'percentage':
+    default:
+      return totalQuestions > 0
+        ? Math.round((correctAnswers.length / totalQuestions) * 10000) / 100
+        : 0;
+  }
+}
+
+/**
+ * Decide where a student goes after completing a module
+ * @param {Object|null} routingRules - tests.routing_rules
+ * @param {string} subject - Subject of the completed module
+ * @param {number} moduleNumber - Position of the completed module within the subject
+ * @param {Array<Object>} gradedAnswers - [{ is_correct, difficulty }]
+ * @param {Array<Object>} moduleQuestions - Every question in the module ([{ difficulty }])
+ * @returns {Object|null} - { metric, value, difficulty, module_id } or null if the section ends
+ */
+function routeNextModule(routingRules, subject, moduleNumber, gradedAnswers, moduleQuestions) {
+  const rule = getRoutingRules(routingRules, subject).find(r => r.after_module === moduleNumber);
+  if (!rule) {
+    return null;
+  }
+
+  const value = calculateRoutingMetric(rule, gradedAnswers, moduleQuestions);
+  const tier = [...rule.tiers]
+    .sort((a, b) => b.min - a.min)
+    .find(t => value >= t.min);
+
+  if (!tier) {
+    return null;
+  }
+
+  return {
+    metric: rule.metric || 'percentage',
+    value,
+    difficulty: tier.difficulty || null,
+    module_id: tier.module_id || null
+  };
+}
+
+/**
+ * Validate routing rules before they are stored
+ * @param {Object} routingRules
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+function validateRoutingRules(routingRules) {
+  const errors = [];
+
+  if (!routingRules || typeof routingRules !== 'object' || Array.isArray(routingRules)) {
+    return ['routing_rules must be an object keyed by subject'];
+  }
+
+  Object.entries(routingRules).forEach(([subject, rules]) => {
+    if (!Array.isArray(rules)) {
+      errors.push(`routing_rules['${subject}'] must be an array of rules`);
+      return;
+    }
+
+    const seen = new Set();
+    rules.forEach((rule, index) => {
+      const path = `routing_rules['${subject}'][${index}]`;
+
+      if (!Number.isInteger(rule.after_module) || rule.after_module < 1) {
+        errors.push(`${path}.after_module must be a positive integer`);
+      } else if (seen.has(rule.after_module)) {
+        errors.push(`${path}.after_module ${rule.after_module} is defined more than once`);
+      }
+      seen.add(rule.after_module);
+
+      if (rule.metric !== undefined && !ROUTING_METRICS.includes(rule.metric)) {
+        errors.push(`${path}.metric must be one of: ${ROUTING_METRICS.join(', ')}`);
+      }
+
+      if (rule.weights !== undefined) {
+        Object.entries(rule.weights).forEach(([difficulty, weight]) => {
+          if (!MODULE_DIFFICULTIES.includes(difficulty) || typeof weight !== 'number' || weight < 0) {
+            errors.push(`${path}.weights.${difficulty} must be a non-negative number for easy, medium or hard`);
+          }
+        });
+      }
+
+      if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+        errors.push(`${path}.tiers must be a non-empty array`);
+        return;
+      }
+
+      rule.tiers.forEach((tier, tierIndex) => {
+        const tierPath = `${path}.tiers[${tierIndex}]`;
+        if (typeof tier.min !== 'number' || tier.min < 0) {
+          errors.push(`${tierPath}.min must be a non-negative number`);
+        }
+        if (!tier.difficulty && !tier.module_id) {
+          errors.push(`${tierPath} must target a difficulty or a module_id`);
+        }
+        if (tier.difficulty && !MODULE_DIFFICULTIES.includes(tier.difficulty)) {
+          errors.push(`${tierPath}.difficulty must be one of: ${MODULE_DIFFICULTIES.join(', ')}`);
+        }
+      });
+
+      if (!rule.tiers.some(tier => tier.min === 0)) {
+        errors.push(`${path}.tiers must include a tier with min 0 so every student is routed`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Check that a test's conversion tables cover every module difficulty its routing
+ * rules can send a student to
+ * @param {Object|null} routingRules - tests.routing_rules
+ * @param {Object} scoreTables - Conversion tables keyed by subject
+ * @param {Array<Object>} modules - The test's modules [{ id, subject_name, difficulty }]
+ * @returns {Array<string>} - Errors (empty if every route can be scaled)
+ */
+function validateRoutingScoreTables(routingRules, scoreTables, modules) {
+  const errors = [];
+
+  SCORE_TABLE_SUBJECTS.forEach(subject => {
+    const tables = scoreTables[subject] || DEFAULT_SCORE_TABLES[subject];
+    const difficulties = new Set();
+
+    getRoutingRules(routingRules, subject).forEach(rule => {
+      rule.tiers.forEach(tier => {
+        const target = tier.module_id
+          ? modules.find(module => module.id === tier.module_id)?.difficulty
+          : tier.difficulty;
+        if (target) {
+          difficulties.add(target);
+        }
+      });
+    });
+
+    difficulties.forEach(difficulty => {
+      if (!tables[difficulty]) {
+        errors.push(`${subject} routing can reach ${difficulty} modules, but the conversion table has no ${difficulty} table for ${subject}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_ROUTING_RULES,
+  ROUTING_METRICS,
+  getRoutingRules,
+  calculateRoutingMetric,
+  routeNextModule,
+  validateRoutingRules,
+  validateRoutingScoreTables
+};
@@ -0,0 +1,190 @@
+/**
+ * Answer Grading Utility
+ * Decides whether a submitted answer matches a question's answer key
+ *
+ * Multiple-choice questions compare the choice letter. Student-produced
+ * response (SPR / grid-in) questions follow the Digital SAT rules:
+ * - Fractions and decimals are interchangeable (3/4 = .75 = 0.75)
+ * - Leading zeros, trailing zeros and surrounding whitespace are ignored
+ * - Negative answers may use a hyphen or a unicode minus sign
+ * - Mixed numbers are not allowed (3 1/2 is not 7/2)
+ * - A decimal that doesn't fit the grid (5 characters, 6 for negatives) may be
+ *   truncated or rounded, but must use every available position
+ * - A key may list several acceptable answers separated by semicolons, and
+ *   questions may carry further forms in accepted_answers. Commas inside a
+ *   number are thousands separators (1,000)
+ */
+
+/**
+ * Characters available to a student-produced response (excluding the minus sign)
+ */
+const SPR_MAX_CHARACTERS = 5;
+
+/**
+ * Tolerance used when comparing parsed numeric values
+ */
+const NUMERIC_EPSILON = 1e-9;
+
+/**
+ * Separator between alternative answers in a key ("3/4; .75")
+ */
+const ANSWER_SEPARATOR = ';';
+
+/**
+ * Thousands separator inside a number ("1,000", "12,345,678")
+ */
+const THOUSANDS_SEPARATOR = /(\d),(?=\d{3}(?!\d))/g;
+
+/**
+ * Normalize a raw answer string for comparison
+ * @param {*} answer - Raw answer value
+ * @returns {string} - Trimmed answer with unicode minus signs replaced
+ */
+function normalizeAnswer(answer) {
+  if (answer === null || answer === undefined) {
+    return '';
+  }
+
+  return String(answer)
+    .replace(/[−–—]/g, '-')
+    .trim();
+}
+
+/**
+ * Parse a student-produced response into a numeric value
+ * @param {string} answer - Answer string (integer, decimal or fraction)
+ * @returns {Object|null} - { value, isDecimal, decimals, characters } or null if not numeric
+ */
+function parseNumericAnswer(answer) {
+  const normalized = normalizeAnswer(answer);
+
+  // Mixed numbers such as "3 1/2" are not valid grid-in entries
+  if (/^-?\d+\s+\d+\s*\/\s*\d+$/.test(normalized)) {
+    return null;
+  }
+
+  const compact = normalized.replace(/\s+/g, '');
+
+  const fractionMatch = compact.match(/^(-?)(\d+)\/(\d+)$/);
+  if (fractionMatch) {
+    const denominator = parseInt(fractionMatch[3], 10);
+    if (denominator === 0) {
+      return null;
+    }
+    const sign = fractionMatch[1] === '-' ? -1 : 1;
+    return {
+      value: sign * parseInt(fractionMatch[2], 10) / denominator,
+      isDecimal: false,
+      decimals: null,
+      characters: compact.replace('-', '').length
+    };
+  }
+
+  const decimalMatch = compact.match(/^(-?)(\d*)(?:\.(\d*))?$/);
+  if (decimalMatch && (decimalMatch[2] || decimalMatch[3])) {
+    const fractionalDigits = decimalMatch[3] || '';
+    return {
+      value: parseFloat(`${decimalMatch[1]}${decimalMatch[2] || '0'}.${fractionalDigits || '0'}`),
+      isDecimal: fractionalDigits.length > 0,
+      decimals: fractionalDigits.length,
+      characters: compact.replace('-', '').length
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Collect every acceptable answer for a question
+ * @param {string} correctAnswer - Answer key (e.g. "3/4; .75")
+ * @param {Array<string>} [additionalAnswers] - Extra accepted forms (questions.accepted_answers)
+ * @returns {Array<string>} - Acceptable answers
+ */
+function getAcceptedAnswers(correctAnswer, additionalAnswers = []) {
+  return [correctAnswer, ...(additionalAnswers || [])]
+    .flatMap(key => normalizeAnswer(key).split(ANSWER_SEPARATOR))
+    .map(answer => answer.replace(THOUSANDS_SEPARATOR, '$1').trim())
+    .filter(answer => answer.length > 0);
+}
+
+/**
+ * Check whether a gridded decimal is an acceptable approximation of a key value
+ * @param {Object} submitted - Parsed submitted answer
+ * @param {number} keyValue - Exact key value
+ * @returns {boolean}
+ */
+function isAcceptableApproximation(submitted, keyValue) {
+  if (!submitted.isDecimal) {
+    return false;
+  }
+
+  // Approximations must fill the grid: .6666 and 0.667 are accepted for 2/3, .67 is not
+  if (submitted.characters < SPR_MAX_CHARACTERS) {
+    return false;
+  }
+
+  const factor = Math.pow(10, submitted.decimals);
+  const truncated = Math.trunc(keyValue * factor) / factor;
+  const rounded = Math.round(keyValue * factor) / factor;
+
+  return Math.abs(submitted.value - truncated) < NUMERIC_EPSILON ||
+    Math.abs(submitted.value - rounded) < NUMERIC_EPSILON;
+}
+
+/**
+ * Grade a student-produced response against a single acceptable answer
+ * @param {string} submittedAnswer
+ * @param {string} acceptedAnswer
+ * @returns {boolean}
+ */
+function isSprAnswerEquivalent(submittedAnswer, acceptedAnswer) {
+  const submitted = parseNumericAnswer(submittedAnswer);
+  const key = parseNumericAnswer(acceptedAnswer);
+
+  // Non-numeric keys fall back to a whitespace/case-insensitive comparison
+  if (!key) {
+    return normalizeAnswer(submittedAnswer).replace(/\s+/g, '').toLowerCase() ===
+      normalizeAnswer(acceptedAnswer).replace(/\s+/g, '').toLowerCase();
+  }
+
+  if (!submitted) {
+    return false;
+  }
+
+  if (Math.abs(submitted.value - key.value) < NUMERIC_EPSILON) {
+    return true;
+  }
+
+  return isAcceptableApproximation(submitted, key.value);
+}
+
+/**
+ * Determine whether a submitted answer is correct for a question
+ * @param {string|null} submittedAnswer - The student's answer
+ * @param {Object} question - { correct_answer, accepted_answers, is_multiple_choice }
+ * @returns {boolean}
+ */
+function isAnswerCorrect(submittedAnswer, question) {
+  const submitted = normalizeAnswer(submittedAnswer);
+  if (!submitted) {
+    return false;
+  }
+
+  const acceptedAnswers = getAcceptedAnswers(question.correct_answer, question.accepted_answers);
+
+  if (question.is_multiple_choice) {
+    return acceptedAnswers.some(answer => answer.toUpperCase() === submitted.toUpperCase());
+  }
+
+  return acceptedAnswers.some(answer => isSprAnswerEquivalent(submitted, answer));
+}
+
+module.exports = {
+  SPR_MAX_CHARACTERS,
+  ANSWER_SEPARATOR,
+  normalizeAnswer,
+  parseNumericAnswer,
+  getAcceptedAnswers,
+  isSprAnswerEquivalent,
+  isAnswerCorrect
+};
@@ -0,0 +1,67 @@
+/**
+ * Answer Visibility Utility
+ * Decides when answer keys and rationales may be shown
+ *
+ * Policy:
+ * - Editors (answers:read permission) always see answer keys
+ * - Everyone else sees a question's key only when reviewing their own submitted test,
+ *   and not while any of their in-progress submissions contains that question
+ *   (e.g. a retake of the same test)
+ */
+
+/**
+ * Question fields that give the answer away
+ */
+const ANSWER_FIELDS = ['correct_answer', 'accepted_answers', 'question_rationale'];
+
+/**
+ * Visibility levels
+ * - none: never include answer keys
+ * - review: include them for a submitted test, except questions still being tested
+ * - all: always include them (editors)
+ */
+const ANSWER_VISIBILITY = {
+  NONE: 'none',
+  REVIEW: 'review',
+  ALL: 'all'
+};
+
+/**
+ * Remove answer fields from a question-like object
+ * @param {Object} question
+ * @returns {Object} - Copy without correct_answer, accepted_answers and question_rationale
+ */
+function stripAnswerFields(question) {
+  const stripped = { ...question };
+  ANSWER_FIELDS.forEach(field => {
+    delete stripped[field];
+  });
+  return stripped;
+}
+
+/**
+ * Check whether a question's answer key may be shown
+ * @param {string} visibility - One of ANSWER_VISIBILITY
+ * @param {Object} context - { submissionStatus, questionId, lockedQuestionIds }
+ *   lockedQuestionIds: Set of question IDs in the owner's in-progress submissions
+ * @returns {boolean}
+ */
+function canRevealAnswer(visibility, context = {}) {
+  if (visibility === ANSWER_VISIBILITY.ALL) {
+    return true;
+  }
+
+  if (visibility !== ANSWER_VISIBILITY.REVIEW) {
+    return false;
+  }
+
+  const { submissionStatus, questionId, lockedQuestionIds = new Set() } = context;
+  return submissionStatus === 'submitted' && !lockedQuestionIds.has(questionId);
+}
+
+module.exports = {
+  ANSWER_FIELDS,
+  ANSWER_VISIBILITY,
+  stripAnswerFields,
+  canRevealAnswer
+};
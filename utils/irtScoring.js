@@ -0,0 +1,195 @@
+/**
+ * IRT Scoring Utility
+ * Estimates student ability with item response theory (2PL/3PL models)
+ *
+ * Each item has a discrimination (a), difficulty (b) and pseudo-guessing (c)
+ * parameter. Items with c = 0 follow the 2PL model. Ability (theta) is
+ * estimated by expected a posteriori (EAP) over a standard normal prior, which
+ * stays finite for all-correct or all-incorrect response patterns, and the
+ * posterior standard deviation is reported as the standard error.
+ *
+ * Theta is mapped onto the 200-800 section scale against the delivered items:
+ * the estimate for an all-correct paper maps to 800, an all-incorrect paper to
+ * 200 and theta = 0 to 500, linearly on either side. A fixed slope would leave
+ * the extremes out of reach, because the prior keeps EAP estimates well inside
+ * the quadrature range.
+ */
+
+/**
+ * Scaling constant that makes the logistic curve approximate the normal ogive
+ */
+const IRT_SCALING_CONSTANT = 1.7;
+
+/**
+ * Default item parameters for questions without calibrated values,
+ * keyed by the questions.difficulty label
+ */
+const DEFAULT_ITEM_DIFFICULTY = {
+  easy: -1,
+  medium: 0,
+  hard: 1
+};
+const DEFAULT_DISCRIMINATION = 1;
+const DEFAULT_MC_GUESSING = 0.25;
+
+/**
+ * Section scale that theta is mapped onto
+ */
+const THETA_SCALE = {
+  mean: 500,
+  min: 200,
+  max: 800
+};
+
+/**
+ * Quadrature grid for EAP estimation
+ */
+const QUADRATURE_MIN = -4;
+const QUADRATURE_MAX = 4;
+const QUADRATURE_STEP = 0.05;
+
+/**
+ * Resolve the IRT parameters for a question, falling back to label-based defaults
+ * @param {Object} item - { irt_discrimination, irt_difficulty, irt_guessing, difficulty, is_multiple_choice }
+ * @returns {Object} - { a, b, c, calibrated }
+ */
+function getItemParameters(item) {
+  const calibrated = item.irt_difficulty !== null && item.irt_difficulty !== undefined;
+
+  const a = item.irt_discrimination != null ? Number(item.irt_discrimination) : DEFAULT_DISCRIMINATION;
+  const b = calibrated ? Number(item.irt_difficulty) : (DEFAULT_ITEM_DIFFICULTY[item.difficulty] ?? 0);
+  const c = item.irt_guessing != null
+    ? Number(item.irt_guessing)
+    : (item.is_multiple_choice ? DEFAULT_MC_GUESSING : 0);
+
+  return { a, b, c, calibrated };
+}
+
+/**
+ * Probability of a correct response at a given ability (3PL; 2PL when c = 0)
+ * @param {number} theta - Ability
+ * @param {Object} params - { a, b, c }
+ * @returns {number}
+ */
+function probabilityCorrect(theta, { a, b, c }) {
+  return c + (1 - c) / (1 + Math.exp(-IRT_SCALING_CONSTANT * a * (theta - b)));
+}
+
+/**
+ * Estimate ability from a set of scored responses (EAP with a N(0, 1) prior)
+ * @param {Array<Object>} responses - [{ is_correct, ...item parameters }]
+ * @returns {Object} - { theta, standard_error }
+ */
+function estimateAbility(responses) {
+  const items = responses.map(response => ({
+    params: getItemParameters(response),
+    correct: response.is_correct === true
+  }));
+
+  let weightSum = 0;
+  let thetaSum = 0;
+  let thetaSquaredSum = 0;
+
+  for (let theta = QUADRATURE_MIN; theta <= QUADRATURE_MAX + 1e-9; theta += QUADRATURE_STEP) {
+    // Work in log space so long modules don't underflow
+    let logLikelihood = -0.5 * theta * theta;
+    items.forEach(({ params, correct }) => {
+      const p = probabilityCorrect(theta, params);
+      logLikelihood += Math.log(correct ? p : 1 - p);
+    });
+
+    const weight = Math.exp(logLikelihood);
+    weightSum += weight;
+    thetaSum += weight * theta;
+    thetaSquaredSum += weight * theta * theta;
+  }
+
+  const mean = thetaSum / weightSum;
+  const variance = Math.max(thetaSquaredSum / weightSum - mean * mean, 0);
+
+  return {
+    theta: mean,
+    standard_error: Math.sqrt(variance)
+  };
+}
+
+/**
+ * Ability estimates for the lowest and highest possible results on a set of items
+ * @param {Array<Object>} responses - Delivered items with their parameters
+ * @returns {Object} - { min, max } theta for all-incorrect and all-correct papers
+ */
+function getScaleAnchors(responses) {
+  return {
+    min: estimateAbility(responses.map(response => ({ ...response, is_correct: false }))).theta,
+    max: estimateAbility(responses.map(response => ({ ...response, is_correct: true }))).theta
+  };
+}
+
+/**
+ * Scale points per unit of theta on the side of the mean that theta falls on
+ * @param {number} theta
+ * @param {Object} anchors - From getScaleAnchors
+ * @returns {number}
+ */
+function getScaleSlope(theta, anchors) {
+  const anchor = theta >= 0 ? anchors.max : anchors.min;
+  const halfRange = theta >= 0 ? THETA_SCALE.max - THETA_SCALE.mean : THETA_SCALE.mean - THETA_SCALE.min;
+
+  // No items (or no information) leaves nothing to scale against
+  return Math.abs(anchor) > 1e-9 ? halfRange / Math.abs(anchor) : 0;
+}
+
+/**
+ * Convert an ability estimate to a 200-800 scaled score
+ * @param {number} theta
+ * @param {Object} anchors - From getScaleAnchors
+ * @returns {number} - Scaled score rounded to the nearest 10
+ */
+function thetaToScaledScore(theta, anchors) {
+  const scaled = THETA_SCALE.mean + getScaleSlope(theta, anchors) * theta;
+  const rounded = Math.round(scaled / 10) * 10;
+  return Math.min(Math.max(rounded, THETA_SCALE.min), THETA_SCALE.max);
+}
+
+/**
+ * Score a section with IRT
+ * @param {Array<Object>} responses - Every item delivered in the section with is_correct and item parameters
+ * @param {string} subject - 'Reading and Writing' or 'Math'
+ * @returns {Object} - Section score with ability estimate, scaled score and standard errors
+ */
+function calculateIrtSectionScore(responses, subject) {
+  const { theta, standard_error: standardError } = estimateAbility(responses);
+  const anchors = getScaleAnchors(responses);
+  const scaledScore = thetaToScaledScore(theta, anchors);
+  const scaledStandardError = Math.round(getScaleSlope(theta, anchors) * standardError);
+  const rawScore = responses.filter(response => response.is_correct === true).length;
+
+  return {
+    subject,
+    scoring_method: 'irt',
+    raw_score: rawScore,
+    total_questions: responses.length,
+    percentage: responses.length > 0 ? Math.round((rawScore / responses.length) * 10000) / 100 : 0,
+    theta: Math.round(theta * 1000) / 1000,
+    standard_error: Math.round(standardError * 1000) / 1000,
+    scaled_score: scaledScore,
+    scaled_score_standard_error: scaledStandardError,
+    score_band: {
+      min: thetaToScaledScore(theta - standardError, anchors),
+      max: thetaToScaledScore(theta + standardError, anchors)
+    },
+    calibrated_items: responses.filter(response => getItemParameters(response).calibrated).length
+  };
+}
+
+module.exports = {
+  IRT_SCALING_CONSTANT,
+  DEFAULT_ITEM_DIFFICULTY,
+  THETA_SCALE,
+  getItemParameters,
+  probabilityCorrect,
+  estimateAbility,
+  getScaleAnchors,
+  thetaToScaledScore,
+  calculateIrtSectionScore
+};
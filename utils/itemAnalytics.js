@@ -0,0 +1,219 @@
+/**
+ * Item Analytics Utility
+ * Classical test theory statistics for the question bank
+ *
+ * For each question:
+ * - p-value: proportion of students who answered it correctly
+ * - point-biserial: correlation between getting the item right and the student's
+ *   score on the rest of the section (the item itself is left out so it doesn't
+ *   inflate its own discrimination)
+ * - distractor rates: how often each multiple-choice option was picked
+ * - average time spent
+ * - flags for items that look miskeyed, don't discriminate, or whose observed
+ *   difficulty disagrees with the questions.difficulty label
+ */
+
+const { normalizeAnswer } = require('./answerGrading');
+
+/**
+ * Fewest responses before an item is flagged
+ */
+const MIN_RESPONSES = 30;
+
+/**
+ * Observed difficulty by p-value (first match wins)
+ */
+const OBSERVED_DIFFICULTY = [
+  { difficulty: 'easy', minPValue: 0.7 },
+  { difficulty: 'medium', minPValue: 0.4 },
+  { difficulty: 'hard', minPValue: 0 }
+];
+
+/**
+ * Point-biserial cut-offs
+ * - below low: the item barely separates strong and weak students
+ * - below 0: weaker students do better on it than stronger ones (often a wrong key)
+ */
+const DISCRIMINATION_THRESHOLDS = {
+  low: 0.2
+};
+
+/**
+ * Flags an item can carry
+ */
+const ITEM_FLAGS = {
+  DIFFICULTY_MISMATCH: 'difficulty_mismatch',
+  LOW_DISCRIMINATION: 'low_discrimination',
+  NEGATIVE_DISCRIMINATION: 'negative_discrimination',
+  DISTRACTOR_OVER_KEY: 'distractor_over_key'
+};
+
+/**
+ * Round to a number of decimal places (null stays null)
+ */
+function round(value, places = 4) {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return null;
+  }
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Classify a p-value as easy, medium or hard
+ * @param {number|null} pValue
+ * @returns {string|null}
+ */
+function getObservedDifficulty(pValue) {
+  if (pValue === null) {
+    return null;
+  }
+  return OBSERVED_DIFFICULTY.find(({ minPValue }) => pValue >= minPValue).difficulty;
+}
+
+/**
+ * Point-biserial correlation between a 0/1 item score and a continuous score
+ * @param {Array<Object>} responses - [{ is_correct, rest_score }]
+ * @returns {number|null} - null when either variable has no variance
+ */
+function calculatePointBiserial(responses) {
+  const n = responses.length;
+  if (n < 2) {
+    return null;
+  }
+
+  const correct = responses.filter(response => response.is_correct);
+  const incorrect = responses.filter(response => !response.is_correct);
+  if (correct.length === 0 || incorrect.length === 0) {
+    return null;
+  }
+
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const scores = responses.map(response => response.rest_score);
+  const overallMean = mean(scores);
+  const stdDev = Math.sqrt(scores.reduce((sum, score) => sum + (score - overallMean) ** 2, 0) / n);
+  if (stdDev === 0) {
+    return null;
+  }
+
+  const p = correct.length / n;
+  const meanCorrect = mean(correct.map(response => response.rest_score));
+  const meanIncorrect = mean(incorrect.map(response => response.rest_score));
+
+  return ((meanCorrect - meanIncorrect) / stdDev) * Math.sqrt(p * (1 - p));
+}
+
+/**
+ * Selection rate of each multiple-choice option
+ * @param {Array<Object>} responses - [{ submitted_answer }]
+ * @param {string} correctAnswer
+ * @param {Array<Object>} choices - The question's choice records, so options nobody picked still appear
+ * @returns {Array<Object>} - [{ choice, count, rate, is_key }] most picked first
+ */
+function calculateDistractorRates(responses, correctAnswer, choices = []) {
+  const key = normalizeAnswer(correctAnswer).toUpperCase();
+  const counts = new Map(choices.map(choice => [choice.label, 0]));
+
+  responses.forEach(response => {
+    const choice = normalizeAnswer(response.submitted_answer).toUpperCase();
+    if (choice) {
+      counts.set(choice, (counts.get(choice) || 0) + 1);
+    }
+  });
+
+  if (!counts.has(key)) {
+    counts.set(key, 0);
+  }
+
+  return Array.from(counts, ([choice, count]) => ({
+    choice,
+    count,
+    rate: responses.length > 0 ? round(count / responses.length) : 0,
+    is_key: choice === key
+  })).sort((a, b) => b.count - a.count || a.choice.localeCompare(b.choice));
+}
+
+/**
+ * Calculate the statistics for one question
+ * @param {Object} question - { id, difficulty, correct_answer, is_multiple_choice, question_choices }
+ * @param {Array<Object>} responses - [{ submitted_answer, is_correct, time_spent_seconds, rest_score }]
+ * @returns {Object} - Item statistics with flags
+ */
+function calculateItemStatistics(question, responses) {
+  const responseCount = responses.length;
+  const correctCount = responses.filter(response => response.is_correct).length;
+  const pValue = responseCount > 0 ? correctCount / responseCount : null;
+  const pointBiserial = calculatePointBiserial(responses);
+
+  const timed = responses.filter(response => response.time_spent_seconds !== null && response.time_spent_seconds !== undefined);
+  const avgTime = timed.length > 0
+    ? timed.reduce((sum, response) => sum + response.time_spent_seconds, 0) / timed.length
+    : null;
+
+  const distractorRates = question.is_multiple_choice
+    ? calculateDistractorRates(responses, question.correct_answer, question.question_choices || [])
+    : null;
+
+  const observedDifficulty = getObservedDifficulty(pValue);
+  const labeledDifficulty = question.difficulty ? question.difficulty.toLowerCase() : null;
+
+  const flags = [];
+  if (responseCount >= MIN_RESPONSES) {
+    if (labeledDifficulty && observedDifficulty && labeledDifficulty !== observedDifficulty) {
+      flags.push(ITEM_FLAGS.DIFFICULTY_MISMATCH);
+    }
+    if (pointBiserial !== null && pointBiserial < 0) {
+      flags.push(ITEM_FLAGS.NEGATIVE_DISCRIMINATION);
+    } else if (pointBiserial !== null && pointBiserial < DISCRIMINATION_THRESHOLDS.low) {
+      flags.push(ITEM_FLAGS.LOW_DISCRIMINATION);
+    }
+    if (distractorRates && distractorRates[0] && !distractorRates[0].is_key) {
+      flags.push(ITEM_FLAGS.DISTRACTOR_OVER_KEY);
+    }
+  }
+
+  return {
+    question_id: question.id,
+    response_count: responseCount,
+    p_value: round(pValue),
+    point_biserial: round(pointBiserial),
+    avg_time_seconds: round(avgTime, 1),
+    distractor_rates: distractorRates,
+    labeled_difficulty: question.difficulty,
+    observed_difficulty: observedDifficulty,
+    flags
+  };
+}
+
+/**
+ * Calculate statistics for a set of questions
+ * @param {Array<Object>} questions - [{ id, difficulty, correct_answer, is_multiple_choice, question_choices }]
+ * @param {Array<Object>} responses - [{ question_id, submitted_answer, is_correct, time_spent_seconds, rest_score }]
+ *   rest_score: the student's correct answers in the same section of the same submission, minus this item
+ * @returns {Array<Object>} - Item statistics per question
+ */
+function calculateItemAnalytics(questions, responses) {
+  const responsesByQuestion = new Map();
+  responses.forEach(response => {
+    if (!responsesByQuestion.has(response.question_id)) {
+      responsesByQuestion.set(response.question_id, []);
+    }
+    responsesByQuestion.get(response.question_id).push(response);
+  });
+
+  return questions.map(question =>
+    calculateItemStatistics(question, responsesByQuestion.get(question.id) || [])
+  );
+}
+
+module.exports = {
+  MIN_RESPONSES,
+  OBSERVED_DIFFICULTY,
+  DISCRIMINATION_THRESHOLDS,
+  ITEM_FLAGS,
+  getObservedDifficulty,
+  calculatePointBiserial,
+  calculateDistractorRates,
+  calculateItemStatistics,
+  calculateItemAnalytics
+};
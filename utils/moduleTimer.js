@@ -0,0 +1,119 @@
+/**
+ * Module Timer Utility
+ * Computes server-side deadlines for timed modules
+ *
+ * A module's clock starts when it is first served to the student
+ * (submission_modules.started_at) and runs for modules.time_limit minutes.
+ * Answers that arrive shortly after the deadline are accepted but flagged
+ * as late to absorb network latency; anything later is rejected.
+ *
+ * Breaks between sections run on their own clock (submissions.break_ends_at);
+ * the next section's module clock only starts once the break is over.
+ *
+ * Time spent paused (submission_pauses) doesn't count against the limit: the
+ * deadline moves back by the module's paused seconds, and while a pause is
+ * open the clock is frozen at the moment it started.
+ *
+ * Students with extended-time accommodations get the time limit multiplied by
+ * the submission's time_multiplier.
+ */
+
+/**
+ * Seconds after the deadline during which answers are still accepted (flagged late)
+ */
+const LATE_ANSWER_GRACE_SECONDS = 30;
+
+/**
+ * Calculate the deadline for a module
+ * @param {Date|string} startedAt - When the module clock started
+ * @param {number} timeLimitMinutes - Module time limit in minutes
+ * @param {number} [pausedSeconds] - Time spent in completed pauses
+ * @returns {Date|null} - Deadline, or null if the module has not started
+ */
+function getModuleDeadline(startedAt, timeLimitMinutes, pausedSeconds = 0) {
+  if (!startedAt) {
+    return null;
+  }
+
+  const start = new Date(startedAt).getTime();
+  return new Date(start + (timeLimitMinutes * 60 + pausedSeconds) * 1000);
+}
+
+/**
+ * Calculate the timing state of a module
+ * @param {Object} options
+ * @param {Date|string|null} options.startedAt - When the module clock started
+ * @param {number} options.timeLimitMinutes - Module time limit in minutes
+ * @param {number} [options.pausedSeconds] - Time spent in completed pauses
+ * @param {Date|string|null} [options.pausedAt] - Start of the open pause, if the submission is paused
+ * @param {number} [options.timeMultiplier] - Extended-time accommodation (1.5 = time-and-a-half)
+ * @param {Date} [options.now] - Current time (defaults to now)
+ * @returns {Object} - { started_at, deadline, time_limit_seconds, remaining_seconds, is_paused, is_expired, is_past_grace }
+ */
+function calculateModuleTiming({
+  startedAt,
+  timeLimitMinutes,
+  pausedSeconds = 0,
+  pausedAt = null,
+  timeMultiplier = 1,
+  now = new Date()
+}) {
+  const effectiveLimitMinutes = timeLimitMinutes * Number(timeMultiplier);
+  const timeLimitSeconds = Math.round(effectiveLimitMinutes * 60);
+  const isPaused = Boolean(pausedAt);
+
+  if (!startedAt) {
+    return {
+      started_at: null,
+      deadline: null,
+      time_limit_seconds: timeLimitSeconds,
+      remaining_seconds: timeLimitSeconds,
+      is_paused: isPaused,
+      is_expired: false,
+      is_past_grace: false
+    };
+  }
+
+  // While paused the clock stands still, so the deadline keeps moving back
+  const currentPauseSeconds = isPaused
+    ? Math.max((now.getTime() - new Date(pausedAt).getTime()) / 1000, 0)
+    : 0;
+  const deadline = getModuleDeadline(startedAt, effectiveLimitMinutes, pausedSeconds + currentPauseSeconds);
+  const msRemaining = deadline.getTime() - now.getTime();
+
+  return {
+    started_at: new Date(startedAt).toISOString(),
+    deadline: deadline.toISOString(),
+    time_limit_seconds: timeLimitSeconds,
+    remaining_seconds: Math.max(Math.ceil(msRemaining / 1000), 0),
+    is_paused: isPaused,
+    is_expired: msRemaining <= 0,
+    is_past_grace: msRemaining <= -LATE_ANSWER_GRACE_SECONDS * 1000
+  };
+}
+
+/**
+ * Calculate the state of a section break
+ * @param {Object} options
+ * @param {Date|string|null} options.breakStartedAt - When the break started
+ * @param {Date|string|null} options.breakEndsAt - When the break ends
+ * @param {Date} [options.now] - Current time (defaults to now)
+ * @returns {Object} - { break_started_at, break_ends_at, remaining_seconds, is_on_break }
+ */
+function calculateBreakTiming({ breakStartedAt, breakEndsAt, now = new Date() }) {
+  const msRemaining = breakEndsAt ? new Date(breakEndsAt).getTime() - now.getTime() : 0;
+
+  return {
+    break_started_at: breakStartedAt ? new Date(breakStartedAt).toISOString() : null,
+    break_ends_at: breakEndsAt ? new Date(breakEndsAt).toISOString() : null,
+    remaining_seconds: Math.max(Math.ceil(msRemaining / 1000), 0),
+    is_on_break: msRemaining > 0
+  };
+}
+
+module.exports = {
+  LATE_ANSWER_GRACE_SECONDS,
+  getModuleDeadline,
+  calculateModuleTiming,
+  calculateBreakTiming
+};
@@ -0,0 +1,93 @@
+/**
+ * Permissions Utility
+ * Maps user roles to the permissions they grant
+ *
+ * Roles come from the Supabase JWT (app_metadata.role) or the user_roles table.
+ * Routes are gated by permission rather than role, so a role can be widened
+ * without touching the routes.
+ */
+
+/**
+ * Supported roles (anyone without a role is a student)
+ */
+const ROLES = ['student', 'tutor', 'content_editor', 'admin'];
+
+const DEFAULT_ROLE = 'student';
+
+/**
+ * Roles within a classroom (separate from the user's own role: a classroom tutor
+ * must also have a role that grants classrooms:teach)
+ */
+const CLASSROOM_ROLES = ['tutor', 'student'];
+
+/**
+ * Roles granted each permission
+ */
+const PERMISSIONS = {
+  // Read any student's submissions and history (tutors read their own students' via classrooms:teach)
+  'submissions:read_any': ['admin'],
+  // See correct answers and rationales at any time (students only see them in review)
+  'answers:read': ['content_editor', 'admin'],
+  // Create, edit and delete questions, view answer-key history and regrade
+  'questions:write': ['content_editor', 'admin'],
+  // Create, edit, publish and archive tests and modules; change scoring, routing, break, pause and access code settings
+  'tests:write': ['content_editor', 'admin'],
+  // Hand out, change and revoke test access codes (tutors only their own)
+  'access_codes:write': ['tutor', 'content_editor', 'admin'],
+  // Read, change and revoke every access code, not just the ones you created
+  'access_codes:manage_any': ['content_editor', 'admin'],
+  // Create, edit and delete score conversion tables
+  'score_tables:write': ['content_editor', 'admin'],
+  // View students' accommodations
+  'accommodations:read': ['tutor', 'admin'],
+  // Approve or remove accommodations
+  'accommodations:write': ['admin'],
+  // Create classrooms, teach them, and read their students' submissions and progress
+  'classrooms:teach': ['tutor', 'admin'],
+  // Manage every classroom, not just the ones you teach
+  'classrooms:manage_any': ['admin'],
+  // Assign roles to users
+  'roles:manage': ['admin']
+};
+
+/**
+ * Check whether a role name is supported
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return allowedRoles.includes(role);
+}
+
+/**
+ * List the permissions a role grants
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+function getRolePermissions(role) {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  CLASSROOM_ROLES,
+  PERMISSIONS,
+  isValidRole,
+  hasPermission,
+  getRolePermissions
+};
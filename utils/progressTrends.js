@@ -0,0 +1,251 @@
+/**
+ * Progress Trends Utility
+ * Score trends across a student's submitted tests
+ *
+ * Trends are fitted with a least-squares line over attempts (in submission order),
+ * so one unusually good or bad test doesn't flip the direction on its own.
+ * The fitted change is compared with a threshold to call a series improving,
+ * declining or steady.
+ */
+
+/**
+ * Smallest fitted change that counts as a real movement
+ * - score: scaled points (total or section)
+ * - accuracy: percentage points (domain or skill)
+ */
+const TREND_THRESHOLDS = {
+  score: 20,
+  accuracy: 5
+};
+
+/**
+ * Projection settings
+ * - defaultAttempts: how many recent attempts the projection uses
+ * - minMargin: smallest +/- margin, roughly the real SAT's standard error of measurement
+ */
+const PROJECTION = {
+  defaultAttempts: 3,
+  minMargin: {
+    total: 40,
+    section: 30
+  }
+};
+
+/**
+ * Pull the numbers used for trends out of a submissions.score blob
+ * @param {Object} score - Final score (complete or partial)
+ * @returns {Object} - { total_score, reading_writing, math, skill_breakdown }
+ */
+function extractAttemptScores(score) {
+  if (!score) {
+    return { total_score: null, reading_writing: null, math: null, skill_breakdown: {} };
+  }
+
+  // Complete scores have reading_writing/math; partial ones keep sections as computed
+  const readingWriting = score.reading_writing || score.sections?.readingWriting;
+  const math = score.math || score.sections?.math;
+
+  return {
+    total_score: score.incomplete ? null : (score.total_score ?? null),
+    reading_writing: readingWriting?.scaled_score ?? null,
+    math: math?.scaled_score ?? null,
+    skill_breakdown: score.skill_breakdown || {}
+  };
+}
+
+/**
+ * Fit a trend to a series of values in attempt order
+ * @param {Array<number>} values
+ * @param {number} threshold - Smallest fitted change that is not "steady"
+ * @returns {Object} - { first, latest, best, change, fitted_change, direction, points }
+ */
+function calculateTrend(values, threshold) {
+  const points = values.length;
+
+  if (points < 2) {
+    return {
+      first: values[0] ?? null,
+      latest: values[0] ?? null,
+      best: values[0] ?? null,
+      change: null,
+      fitted_change: null,
+      direction: 'insufficient_data',
+      points
+    };
+  }
+
+  // Least-squares slope over attempt index 0..n-1
+  const meanX = (points - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / points;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, index) => {
+    numerator += (index - meanX) * (value - meanY);
+    denominator += (index - meanX) ** 2;
+  });
+  const fittedChange = Math.round((numerator / denominator) * (points - 1) * 100) / 100;
+
+  let direction = 'steady';
+  if (fittedChange >= threshold) {
+    direction = 'improving';
+  } else if (fittedChange <= -threshold) {
+    direction = 'declining';
+  }
+
+  return {
+    first: values[0],
+    latest: values[points - 1],
+    best: Math.max(...values),
+    change: Math.round((values[points - 1] - values[0]) * 100) / 100,
+    fitted_change: fittedChange,
+    direction,
+    points
+  };
+}
+
+/**
+ * Project a score range from recent attempts
+ * Centre is the mean of the attempts; the margin is their standard deviation,
+ * never less than minMargin. The range is clamped to the score scale and rounded to 10.
+ * @param {Array<number>} values - Most recent attempts
+ * @param {Object} scale - { min, max, minMargin }
+ * @returns {Object|null} - { estimate, low, high, based_on_attempts }
+ */
+function projectScoreRange(values, scale) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const roundTo10 = value => Math.round(value / 10) * 10;
+  const clamp = value => Math.min(scale.max, Math.max(scale.min, value));
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  const margin = Math.max(Math.sqrt(variance), scale.minMargin);
+
+  return {
+    estimate: clamp(roundTo10(mean)),
+    low: clamp(roundTo10(mean - margin)),
+    high: clamp(roundTo10(mean + margin)),
+    based_on_attempts: values.length
+  };
+}
+
+/**
+ * Collect per-domain and per-skill accuracy series from each attempt's skill breakdown
+ * @param {Array<Object>} attempts - [{ skill_breakdown }] in submission order
+ * @returns {Object} - { domains: Map, skills: Map } keyed by subject/domain(/skill)
+ */
+function collectSkillSeries(attempts) {
+  const domains = new Map();
+  const skills = new Map();
+
+  const append = (map, key, entry, value) => {
+    if (!map.has(key)) {
+      map.set(key, { ...entry, values: [] });
+    }
+    map.get(key).values.push(value);
+  };
+
+  attempts.forEach(attempt => {
+    Object.entries(attempt.skill_breakdown).forEach(([subject, section]) => {
+      (section.domains || []).forEach(domain => {
+        append(domains, `${subject}|${domain.domain}`, { subject, domain: domain.domain }, domain.accuracy);
+
+        (domain.skills || []).forEach(skill => {
+          append(
+            skills,
+            `${subject}|${domain.domain}|${skill.skill}`,
+            { subject, domain: domain.domain, skill: skill.skill },
+            skill.accuracy
+          );
+        });
+      });
+    });
+  });
+
+  return { domains, skills };
+}
+
+/**
+ * Build a progress report from a student's submitted tests
+ * @param {Array<Object>} attempts - [{ submission_id, test_id, test_name, submitted_at, score }] oldest first
+ * @param {Object} options - { projectionAttempts } how many recent attempts to project from
+ * @returns {Object} - { attempts, trends, domains, skills, highlights, projection }
+ */
+function buildProgressReport(attempts, options = {}) {
+  const { projectionAttempts = PROJECTION.defaultAttempts } = options;
+
+  const scoredAttempts = attempts.map(attempt => ({
+    submission_id: attempt.submission_id,
+    test_id: attempt.test_id,
+    test_name: attempt.test_name,
+    submitted_at: attempt.submitted_at,
+    ...extractAttemptScores(attempt.score)
+  }));
+
+  const series = field => scoredAttempts
+    .map(attempt => attempt[field])
+    .filter(value => value !== null);
+
+  const trends = {
+    total: calculateTrend(series('total_score'), TREND_THRESHOLDS.score),
+    reading_writing: calculateTrend(series('reading_writing'), TREND_THRESHOLDS.score),
+    math: calculateTrend(series('math'), TREND_THRESHOLDS.score)
+  };
+
+  const { domains: domainSeries, skills: skillSeries } = collectSkillSeries(scoredAttempts);
+  const toTrendList = map => Array.from(map.values()).map(({ values, ...entry }) => ({
+    ...entry,
+    latest_accuracy: values[values.length - 1],
+    trend: calculateTrend(values, TREND_THRESHOLDS.accuracy)
+  }));
+
+  const domains = toTrendList(domainSeries);
+  const skills = toTrendList(skillSeries);
+
+  // Scores, then domains, then skills; biggest movers first within each
+  // (scores move in scaled points and domains/skills in accuracy points, so they aren't compared)
+  const byChange = (a, b) => Math.abs(b.trend.fitted_change) - Math.abs(a.trend.fitted_change);
+  const highlight = direction => [
+    ...Object.entries(trends)
+      .filter(([, trend]) => trend.direction === direction)
+      .map(([name, trend]) => ({ type: 'score', name, trend }))
+      .sort(byChange),
+    ...domains
+      .filter(domain => domain.trend.direction === direction)
+      .map(domain => ({ type: 'domain', subject: domain.subject, name: domain.domain, trend: domain.trend }))
+      .sort(byChange),
+    ...skills
+      .filter(skill => skill.trend.direction === direction)
+      .map(skill => ({ type: 'skill', subject: skill.subject, name: skill.skill, trend: skill.trend }))
+      .sort(byChange)
+  ];
+
+  const recent = field => series(field).slice(-projectionAttempts);
+
+  return {
+    attempts: scoredAttempts.map(({ skill_breakdown, ...attempt }) => attempt),
+    trends,
+    domains,
+    skills,
+    highlights: {
+      improving: highlight('improving'),
+      declining: highlight('declining')
+    },
+    projection: {
+      total: projectScoreRange(recent('total_score'), { min: 400, max: 1600, minMargin: PROJECTION.minMargin.total }),
+      reading_writing: projectScoreRange(recent('reading_writing'), { min: 200, max: 800, minMargin: PROJECTION.minMargin.section }),
+      math: projectScoreRange(recent('math'), { min: 200, max: 800, minMargin: PROJECTION.minMargin.section })
+    }
+  };
+}
+
+module.exports = {
+  TREND_THRESHOLDS,
+  PROJECTION,
+  extractAttemptScores,
+  calculateTrend,
+  projectScoreRange,
+  buildProgressReport
+};
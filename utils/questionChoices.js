@@ -0,0 +1,248 @@
+/**
+ * Question Choices Utility
+ * Structured answer choices for multiple-choice questions
+ *
+ * Choices are stored as an ordered array of records:
+ *   [{ label: 'A', content: '<p>12</p>', image_url?: '...', math?: '<math>...</math>' }]
+ * - label: choice letter (A-D), referenced by the question's correct_answer
+ * - content: the choice's markup with the leading "A." marker removed
+ * - image_url / math: pulled out of the content when the choice has an image or
+ *   MathML / LaTeX, for clients that render them separately
+ *
+ * The question bank export only has each question's choices as one HTML blob, so
+ * parseChoicesHtml turns that blob into records. It understands <li> lists and
+ * plain "A. ... B. ..." text.
+ */
+
+/**
+ * Labels a choice may carry, in display order
+ */
+const CHOICE_LABELS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Fewest choices a multiple-choice question can have
+ */
+const MIN_CHOICES = 2;
+
+// A leading choice marker such as "A.", "A)" or "(A)", possibly after opening tags
+const LEADING_LABEL = /^((?:\s*<[^>]+>)*)\s*\(?([A-D])[.)]\s*/i;
+
+// Choice markers inside a plain-text or paragraph blob
+const INLINE_LABEL = /(^|\n|<[^>]+>)\s*\(?([A-D])[.)]\s+/gi;
+
+const IMAGE_SRC = /<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/i;
+const MATH_MARKUP = /<math\b[\s\S]*?<\/math>|\\\([\s\S]*?\\\)|\$\$[\s\S]*?\$\$/i;
+
+/**
+ * Build a choice record from a fragment of choice markup
+ * @param {string} label
+ * @param {string} html
+ * @returns {Object} - { label, content, image_url?, math? }
+ */
+function buildChoice(label, html) {
+  const content = html.trim();
+  const choice = { label, content };
+
+  const image = content.match(IMAGE_SRC);
+  if (image) {
+    choice.image_url = image[1];
+  }
+
+  const math = content.match(MATH_MARKUP);
+  if (math) {
+    choice.math = math[0];
+  }
+
+  return choice;
+}
+
+/**
+ * Split a blob without list items on its "A." / "B." markers
+ * Markers only count when they appear in label order, so "B. C. Wright" inside
+ * choice A isn't taken for a new choice.
+ */
+function splitOnInlineLabels(html) {
+  const markers = [];
+  for (const match of html.matchAll(INLINE_LABEL)) {
+    if (match[2].toUpperCase() === CHOICE_LABELS[markers.length]) {
+      markers.push({ label: CHOICE_LABELS[markers.length], start: match.index + match[1].length, end: match.index + match[0].length });
+    }
+  }
+
+  return markers.map((marker, i) => {
+    const next = markers[i + 1];
+    const fragment = html.slice(marker.end, next ? next.start : html.length);
+    return buildChoice(marker.label, trimUnbalancedTags(fragment));
+  });
+}
+
+/**
+ * Drop tags at either end of a fragment that the split left unbalanced,
+ * e.g. the </p> closing this choice and the <p> opening the next one
+ */
+function trimUnbalancedTags(fragment) {
+  let trimmed = fragment.trim();
+  let previous;
+
+  do {
+    previous = trimmed;
+    trimmed = trimmed.replace(/^<\/[^>]+>\s*/, '').replace(/\s*<[a-z][^>]*>$/i, '');
+
+    const closing = trimmed.match(/<\/([a-z0-9]+)>$/i);
+    if (closing && !new RegExp(`<${closing[1]}\\b`, 'i').test(trimmed)) {
+      trimmed = trimmed.slice(0, -closing[0].length).trim();
+    }
+  } while (trimmed !== previous);
+
+  return trimmed;
+}
+
+/**
+ * Parse a question bank HTML blob into choice records
+ * @param {string} html - Raw choices markup
+ * @returns {Array<Object>} - [{ label, content, image_url?, math? }] (empty if nothing was recognised)
+ */
+function parseChoicesHtml(html) {
+  if (!html || typeof html !== 'string' || !html.trim()) {
+    return [];
+  }
+
+  const items = Array.from(html.matchAll(/<li\b[^>]*>([\s\S]*?)<\/li>/gi), match => match[1]);
+
+  if (items.length === 0) {
+    return splitOnInlineLabels(html);
+  }
+
+  return items.slice(0, CHOICE_LABELS.length).map((item, i) => {
+    const marker = item.match(LEADING_LABEL);
+    const label = marker ? marker[2].toUpperCase() : CHOICE_LABELS[i];
+    const content = marker ? item.replace(LEADING_LABEL, '$1') : item;
+    return buildChoice(label, content);
+  });
+}
+
+/**
+ * Normalize question_choices from a request or import into choice records
+ * Accepts an array of records, a JSON string of one, or a legacy HTML blob.
+ * @param {Array|string|null} input
+ * @returns {Array<Object>}
+ */
+function normalizeChoices(input) {
+  if (input === null || input === undefined || input === '') {
+    return [];
+  }
+
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        return normalizeChoices(JSON.parse(trimmed));
+      } catch (error) {
+        // Not JSON, fall through to the HTML parser
+      }
+    }
+    return parseChoicesHtml(input);
+  }
+
+  if (!Array.isArray(input)) {
+    return input;
+  }
+
+  return input.map(choice => {
+    if (!choice || typeof choice !== 'object') {
+      return choice;
+    }
+
+    const normalized = {
+      label: typeof choice.label === 'string' ? choice.label.trim().toUpperCase() : choice.label,
+      content: choice.content
+    };
+    if (choice.image_url !== undefined && choice.image_url !== null) {
+      normalized.image_url = choice.image_url;
+    }
+    if (choice.math !== undefined && choice.math !== null) {
+      normalized.math = choice.math;
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Validate normalized choice records
+ * @param {Array<Object>} choices
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateChoices(choices) {
+  if (!Array.isArray(choices)) {
+    return ['question_choices must be an array of choices'];
+  }
+
+  const errors = [];
+
+  if (choices.length > CHOICE_LABELS.length) {
+    errors.push(`question_choices can have at most ${CHOICE_LABELS.length} choices`);
+  }
+
+  const seen = new Set();
+  choices.forEach((choice, i) => {
+    if (!choice || typeof choice !== 'object') {
+      errors.push(`question_choices[${i}] must be an object`);
+      return;
+    }
+
+    if (!CHOICE_LABELS.includes(choice.label)) {
+      errors.push(`question_choices[${i}].label must be one of: ${CHOICE_LABELS.join(', ')}`);
+    } else if (seen.has(choice.label)) {
+      errors.push(`question_choices[${i}].label '${choice.label}' is used more than once`);
+    } else {
+      seen.add(choice.label);
+    }
+
+    if (typeof choice.content !== 'string' || (!choice.content.trim() && !choice.image_url)) {
+      errors.push(`question_choices[${i}].content is required and must be a string`);
+    }
+
+    if (choice.image_url !== undefined && typeof choice.image_url !== 'string') {
+      errors.push(`question_choices[${i}].image_url must be a string`);
+    }
+
+    if (choice.math !== undefined && typeof choice.math !== 'string') {
+      errors.push(`question_choices[${i}].math must be a string`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check a multiple-choice answer key against the question's choices
+ * @param {Object} question - { is_multiple_choice, question_choices, correct_answer }
+ * @returns {string|null} - Error message, or null if the key is valid
+ */
+function validateAnswerKey({ is_multiple_choice, question_choices, correct_answer }) {
+  if (!is_multiple_choice) {
+    return null;
+  }
+
+  const choices = Array.isArray(question_choices) ? question_choices : [];
+  if (choices.length < MIN_CHOICES) {
+    return `Multiple-choice questions need at least ${MIN_CHOICES} choices`;
+  }
+
+  const labels = choices.map(choice => choice.label);
+  const key = typeof correct_answer === 'string' ? correct_answer.trim().toUpperCase() : '';
+  if (!labels.includes(key)) {
+    return `correct_answer must match a choice label (${labels.join(', ')})`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  CHOICE_LABELS,
+  MIN_CHOICES,
+  parseChoicesHtml,
+  normalizeChoices,
+  validateChoices,
+  validateAnswerKey
+};
@@ -8,8 +8,14 @@
  * - Total Score: 400-1600 (sum of both sections)
  * 
  * Module 2 is adaptive (easier or harder based on Module 1 performance)
+ *
+ * Sections are scored by a pluggable strategy chosen per test (tests.scoring_method):
+ * - raw: total raw score looked up in a conversion table
+ * - irt: ability estimated from item responses (see utils/irtScoring.js)
  */
 
+const { calculateIrtSectionScore } = require('./irtScoring');
+
 /**
  * Reading & Writing Raw Score to Scaled Score Conversion
  * Based on typical SAT conversion tables
@@ -78,6 +84,78 @@ const MATH_SCORE_TABLE = {
   }
 };
 
+/**
+ * Built-in conversion tables keyed by subject
+ * Used when a test has no conversion table and no database table is marked default
+ */
+const DEFAULT_SCORE_TABLES = {
+  'Reading and Writing': RW_SCORE_TABLE,
+  'Math': MATH_SCORE_TABLE
+};
+
+/**
+ * Subjects and Module 2 difficulties every conversion table must cover
+ */
+const SCORE_TABLE_SUBJECTS = ['Reading and Writing', 'Math'];
+const SCORE_TABLE_DIFFICULTIES = ['easy', 'hard'];
+
+/**
+ * Extra tables for tests whose routing rules send students to medium modules
+ */
+const OPTIONAL_SCORE_TABLE_DIFFICULTIES = ['medium'];
+
+/**
+ * Validate a set of conversion tables before it is stored
+ * @param {Object} scoreTables - { [subject]: { easy: { [raw]: scaled }, hard: {...} } }
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+function validateScoreTables(scoreTables) {
+  const errors = [];
+
+  if (!scoreTables || typeof scoreTables !== 'object' || Array.isArray(scoreTables)) {
+    return ['conversions must be an object keyed by subject'];
+  }
+
+  SCORE_TABLE_SUBJECTS.forEach(subject => {
+    [...SCORE_TABLE_DIFFICULTIES, ...OPTIONAL_SCORE_TABLE_DIFFICULTIES].forEach(difficulty => {
+      const table = scoreTables[subject]?.[difficulty];
+      const path = `conversions['${subject}'].${difficulty}`;
+
+      if (table === undefined && OPTIONAL_SCORE_TABLE_DIFFICULTIES.includes(difficulty)) {
+        return;
+      }
+
+      if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        errors.push(`${path} is required and must be an object of raw score to scaled score`);
+        return;
+      }
+
+      const entries = Object.entries(table);
+      if (entries.length === 0) {
+        errors.push(`${path} must not be empty`);
+        return;
+      }
+
+      let previous = null;
+      entries
+        .map(([raw, scaled]) => [Number(raw), scaled])
+        .sort((a, b) => a[0] - b[0])
+        .forEach(([raw, scaled]) => {
+          if (!Number.isInteger(raw) || raw < 0) {
+            errors.push(`${path} has an invalid raw score key: ${raw}`);
+          } else if (!Number.isInteger(scaled) || scaled < 200 || scaled > 800) {
+            errors.push(`${path}[${raw}] must be an integer between 200 and 800`);
+          } else if (previous !== null && scaled < previous) {
+            errors.push(`${path}[${raw}] must not be lower than the scaled score for fewer correct answers`);
+          }
+          previous = scaled;
+        });
+    });
+  });
+
+  return errors;
+}
+
 /**
  * Determine if Module 2 should be hard or easy based on Module 1 performance
  * Typically, getting 70%+ correct on Module 1 triggers the harder Module 2
@@ -92,24 +170,28 @@ function determineModule2Difficulty(module1Percentage) {
  * Calculate scaled score for a section (Reading & Writing or Math)
  * @param {number} rawScore - Total correct answers across both modules
  * @param {string} subject - 'Reading and Writing' or 'Math'
- * @param {string} module2Difficulty - 'hard' or 'easy'
+ * @param {string} module2Difficulty - 'hard', 'medium' or 'easy'
+ * @param {Object} scoreTables - Conversion tables keyed by subject (defaults to the built-in tables)
  * @returns {number} - Scaled score (200-800)
  */
-function calculateSectionScore(rawScore, subject, module2Difficulty) {
+function calculateSectionScore(rawScore, subject, module2Difficulty, scoreTables = DEFAULT_SCORE_TABLES) {
   // Select appropriate conversion table
-  let scoreTable;
-  if (subject === 'Reading and Writing') {
-    scoreTable = RW_SCORE_TABLE[module2Difficulty];
-  } else if (subject === 'Math') {
-    scoreTable = MATH_SCORE_TABLE[module2Difficulty];
-  } else {
+  if (!SCORE_TABLE_SUBJECTS.includes(subject)) {
     throw new Error(`Invalid subject: ${subject}`);
   }
 
-  // Get scaled score from table, default to 200 if raw score not in table
-  const scaledScore = scoreTable[rawScore] || 200;
-  
-  return scaledScore;
+  const scoreTable = (scoreTables[subject] || DEFAULT_SCORE_TABLES[subject])[module2Difficulty];
+  if (!scoreTable) {
+    throw new Error(`No ${module2Difficulty} conversion table for subject: ${subject}`);
+  }
+
+  // Use the entry for the highest raw score the student reached, so scores above
+  // the table's top entry get its top score; below the lowest entry is 200
+  const reached = Object.keys(scoreTable)
+    .map(Number)
+    .filter(raw => raw <= rawScore);
+
+  return reached.length > 0 ? scoreTable[Math.max(...reached)] : 200;
 }
 
 /**
@@ -140,22 +222,36 @@ function calculateModuleScore(correctAnswers, totalQuestions, subject, moduleNum
 }
 
 /**
- * Calculate final section score (both modules combined)
- * @param {Object} module1Score - Score data from Module 1
- * @param {Object} module2Score - Score data from Module 2
+ * Difficulty of the conversion table a section is scaled with: the last routing
+ * decision made in the section (the Module 2 difficulty on a standard SAT)
+ * @param {Array<Object>} moduleScores - Score data for each module, in order
+ * @returns {string}
+ */
+function getSectionRoutedDifficulty(moduleScores) {
+  const routed = moduleScores.filter(score => score.determines_next_difficulty);
+  if (routed.length > 0) {
+    return routed[routed.length - 1].determines_next_difficulty;
+  }
+  return determineModule2Difficulty(moduleScores[0].percentage);
+}
+
+/**
+ * Calculate final section score (all modules combined)
+ * @param {Array<Object>} moduleScores - Score data for each module in the section, in order
  * @param {string} subject - 'Reading and Writing' or 'Math'
+ * @param {Object} scoreTables - Conversion tables keyed by subject (defaults to the built-in tables)
  * @returns {Object} - Final section score with scaled score
  */
-function calculateSectionFinalScore(module1Score, module2Score, subject) {
-  const totalRawScore = module1Score.raw_score + module2Score.raw_score;
-  const totalQuestions = module1Score.total_questions + module2Score.total_questions;
+function calculateSectionFinalScore(moduleScores, subject, scoreTables = DEFAULT_SCORE_TABLES) {
+  const totalRawScore = moduleScores.reduce((sum, score) => sum + score.raw_score, 0);
+  const totalQuestions = moduleScores.reduce((sum, score) => sum + score.total_questions, 0);
   const overallPercentage = totalQuestions > 0 ? (totalRawScore / totalQuestions) * 100 : 0;
 
-  // Determine Module 2 difficulty based on Module 1 performance
-  const module2Difficulty = determineModule2Difficulty(module1Score.percentage);
+  // Scale with the table for the module difficulty the student was routed to
+  const module2Difficulty = getSectionRoutedDifficulty(moduleScores);
 
   // Calculate scaled score
-  const scaledScore = calculateSectionScore(totalRawScore, subject, module2Difficulty);
+  const scaledScore = calculateSectionScore(totalRawScore, subject, module2Difficulty, scoreTables);
 
   return {
     subject,
@@ -164,10 +260,62 @@ function calculateSectionFinalScore(module1Score, module2Score, subject) {
     percentage: Math.round(overallPercentage * 100) / 100,
     scaled_score: scaledScore,
     module_2_difficulty: module2Difficulty,
-    module_scores: [module1Score, module2Score]
+    module_scores: moduleScores
   };
 }
 
+/**
+ * Whether every module of a section has been taken
+ * Modules completed by the routing engine record section_complete; older scores
+ * predate it and always had exactly two modules per section.
+ * @param {Array<Object>} moduleScores - Score data for each completed module, in order
+ * @returns {boolean}
+ */
+function isSectionComplete(moduleScores = []) {
+  if (moduleScores.length === 0) {
+    return false;
+  }
+  const lastScore = moduleScores[moduleScores.length - 1];
+  return lastScore.section_complete ?? moduleScores.length === 2;
+}
+
+/**
+ * Section scoring strategies keyed by tests.scoring_method
+ * Each strategy scores one section from its module scores and, if it needs them,
+ * the individual item responses ({ is_correct, difficulty, is_multiple_choice, irt_* })
+ */
+const SCORING_STRATEGIES = {
+  raw: {
+    scoreSection({ subject, moduleScores, scoreTables }) {
+      return {
+        ...calculateSectionFinalScore(moduleScores, subject, scoreTables),
+        scoring_method: 'raw'
+      };
+    }
+  },
+  irt: {
+    scoreSection({ subject, moduleScores, responses }) {
+      return {
+        ...calculateIrtSectionScore(responses, subject),
+        module_scores: moduleScores
+      };
+    }
+  }
+};
+
+/**
+ * Get the section scoring strategy for a test
+ * @param {string} scoringMethod - 'raw' or 'irt'
+ * @returns {Object} - Strategy with scoreSection()
+ */
+function getScoringStrategy(scoringMethod = 'raw') {
+  const strategy = SCORING_STRATEGIES[scoringMethod];
+  if (!strategy) {
+    throw new Error(`Invalid scoring method: ${scoringMethod}`);
+  }
+  return strategy;
+}
+
 /**
  * Calculate total SAT score from both sections
  * @param {Object} readingWritingSection - Final R&W section score
@@ -193,8 +341,14 @@ module.exports = {
   calculateSectionScore,
   calculateModuleScore,
   calculateSectionFinalScore,
+  isSectionComplete,
   calculateTotalSATScore,
+  validateScoreTables,
+  getScoringStrategy,
+  SCORE_TABLE_SUBJECTS,
+  SCORING_STRATEGIES,
   RW_SCORE_TABLE,
-  MATH_SCORE_TABLE
+  MATH_SCORE_TABLE,
+  DEFAULT_SCORE_TABLES
 };
 
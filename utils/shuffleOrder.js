@@ -0,0 +1,179 @@
+/**
+ * Shuffle Order Utility
+ * Per-submission question and choice order for tests with shuffling turned on
+ *
+ * Each submission gets a random seed. A module's question order and each question's
+ * choice order are derived from that seed and the module / question ID, so the same
+ * submission always produces the same permutation. The permutation is saved on
+ * submission_modules when the module is assigned, so resume, review and grading keep
+ * seeing it even if the module's question list is edited later.
+ *
+ * choice_order maps a question ID to its canonical labels in display order:
+ *   { "<question-id>": ["C", "A", "D", "B"] } - the student sees choice C as "A"
+ * Answers are stored against the canonical labels, so grading, regrades and item
+ * analytics compare them with the answer key directly.
+ */
+
+const crypto = require('crypto');
+const { CHOICE_LABELS } = require('./questionChoices');
+
+/**
+ * Random seed for a new submission (fits a Postgres INTEGER)
+ * @returns {number}
+ */
+function createShuffleSeed() {
+  return crypto.randomInt(0, 2 ** 31 - 1);
+}
+
+/**
+ * 32-bit FNV-1a hash of the seed and a key, so every module and question gets its own stream
+ */
+function hashSeed(seed, key) {
+  let hash = 0x811c9dc5;
+  for (const char of `${seed}:${key}`) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32 pseudo-random generator
+ * @param {number} seed - 32-bit integer
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle driven by a seed (the input array is not modified)
+ * @param {Array} items
+ * @param {number} seed - Submission seed
+ * @param {string} key - Module or question ID
+ * @returns {Array}
+ */
+function seededShuffle(items, seed, key) {
+  const random = createRandom(hashSeed(seed, key));
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Build the permutation saved on a submission module
+ * @param {Object} options
+ * @param {number} options.seed - Submission seed
+ * @param {string} options.moduleId
+ * @param {Array<Object>} options.questions - [{ id, is_multiple_choice, question_choices }] in module order
+ * @param {boolean} options.shuffleQuestions
+ * @param {boolean} options.shuffleChoices
+ * @returns {Object} - { question_order, choice_order } (null when that kind of shuffling is off)
+ */
+function buildModuleOrder({ seed, moduleId, questions, shuffleQuestions, shuffleChoices }) {
+  const questionOrder = shuffleQuestions
+    ? seededShuffle(questions.map(question => question.id), seed, moduleId)
+    : null;
+
+  let choiceOrder = null;
+  if (shuffleChoices) {
+    choiceOrder = {};
+    questions
+      .filter(question => question.is_multiple_choice && (question.question_choices || []).length > 1)
+      .forEach(question => {
+        choiceOrder[question.id] = seededShuffle(
+          question.question_choices.map(choice => choice.label),
+          seed,
+          question.id
+        );
+      });
+  }
+
+  return { question_order: questionOrder, choice_order: choiceOrder };
+}
+
+/**
+ * Map the label a student picked back to the canonical label
+ * @param {*} answer - Submitted answer (display label)
+ * @param {Array<string>|undefined} displayOrder - The question's entry in choice_order
+ * @returns {*} - Canonical label, or the answer unchanged if it isn't a shuffled label
+ */
+function toCanonicalAnswer(answer, displayOrder) {
+  if (!displayOrder || typeof answer !== 'string') {
+    return answer;
+  }
+  const index = CHOICE_LABELS.indexOf(answer.trim().toUpperCase());
+  return index >= 0 && index < displayOrder.length ? displayOrder[index] : answer;
+}
+
+/**
+ * Map a canonical label to the label the student saw
+ * @param {*} answer - Canonical label (saved answer or answer key)
+ * @param {Array<string>|undefined} displayOrder - The question's entry in choice_order
+ * @returns {*} - Display label, or the answer unchanged if it isn't one of the choices
+ */
+function toDisplayAnswer(answer, displayOrder) {
+  if (!displayOrder || typeof answer !== 'string') {
+    return answer;
+  }
+  const index = displayOrder.indexOf(answer.trim().toUpperCase());
+  return index >= 0 ? CHOICE_LABELS[index] : answer;
+}
+
+/**
+ * Put a question's choices in display order and relabel them A, B, C, ...
+ * @param {Array<Object>} choices - Canonical choice records
+ * @param {Array<string>|undefined} displayOrder
+ * @returns {Array<Object>}
+ */
+function applyChoiceOrder(choices, displayOrder) {
+  if (!displayOrder || !Array.isArray(choices)) {
+    return choices;
+  }
+
+  const byLabel = new Map(choices.map(choice => [choice.label, choice]));
+  return displayOrder
+    .filter(label => byLabel.has(label))
+    .map((label, i) => ({ ...byLabel.get(label), label: CHOICE_LABELS[i] }));
+}
+
+/**
+ * Sort questions into the saved display order. Questions missing from the saved
+ * order (added to the module after it was assigned) keep their module order at the end.
+ * @param {Array<Object>} questions - In module order
+ * @param {Array<string>|null} questionOrder - Saved question IDs
+ * @param {string} idField - Field holding each question's ID
+ * @returns {Array<Object>}
+ */
+function orderQuestions(questions, questionOrder, idField = 'id') {
+  if (!questionOrder) {
+    return questions;
+  }
+
+  const position = new Map(questionOrder.map((id, i) => [id, i]));
+  const rank = question => (position.has(question[idField]) ? position.get(question[idField]) : questionOrder.length);
+  return questions
+    .map((question, i) => ({ question, i }))
+    .sort((a, b) => rank(a.question) - rank(b.question) || a.i - b.i)
+    .map(({ question }) => question);
+}
+
+module.exports = {
+  createShuffleSeed,
+  seededShuffle,
+  buildModuleOrder,
+  toCanonicalAnswer,
+  toDisplayAnswer,
+  applyChoiceOrder,
+  orderQuestions
+};
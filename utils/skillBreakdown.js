@@ -0,0 +1,142 @@
+/**
+ * Skill Breakdown Utility
+ * Per-domain and per-skill performance for score reports
+ *
+ * Mirrors the College Board "Knowledge and Skills" section of a score report:
+ * accuracy per content domain with a 7-segment performance band, broken down
+ * further by skill, plus the average time spent per question.
+ */
+
+/**
+ * Content domains in the order the College Board reports them.
+ * Domains outside this list follow alphabetically.
+ */
+const DOMAIN_ORDER = {
+  'Reading and Writing': [
+    'Information and Ideas',
+    'Craft and Structure',
+    'Expression of Ideas',
+    'Standard English Conventions'
+  ],
+  'Math': [
+    'Algebra',
+    'Advanced Math',
+    'Problem-Solving and Data Analysis',
+    'Geometry and Trigonometry'
+  ]
+};
+
+/**
+ * Performance bands (1-7 filled segments) by minimum accuracy percentage
+ */
+const PERFORMANCE_BANDS = [
+  { band: 7, min: 90 },
+  { band: 6, min: 78 },
+  { band: 5, min: 66 },
+  { band: 4, min: 54 },
+  { band: 3, min: 42 },
+  { band: 2, min: 30 },
+  { band: 1, min: 0 }
+];
+
+/**
+ * Get the performance band for an accuracy percentage
+ * @param {number} accuracy - 0-100
+ * @returns {number} - Band from 1 to 7
+ */
+function getPerformanceBand(accuracy) {
+  return PERFORMANCE_BANDS.find(({ min }) => accuracy >= min).band;
+}
+
+/**
+ * Summarize a group of responses
+ * @param {Array<Object>} responses - [{ is_correct, time_spent_seconds }]
+ * @returns {Object} - { correct, total, accuracy, performance_band, avg_time_seconds }
+ */
+function summarizeResponses(responses) {
+  const total = responses.length;
+  const correct = responses.filter(response => response.is_correct).length;
+  const accuracy = total > 0 ? Math.round((correct / total) * 10000) / 100 : 0;
+
+  // Unanswered questions have no time recorded, so they don't count toward the average
+  const timed = responses.filter(response => response.time_spent_seconds !== null && response.time_spent_seconds !== undefined);
+  const totalTime = timed.reduce((sum, response) => sum + response.time_spent_seconds, 0);
+
+  return {
+    correct,
+    total,
+    accuracy,
+    performance_band: getPerformanceBand(accuracy),
+    avg_time_seconds: timed.length > 0 ? Math.round(totalTime / timed.length) : null
+  };
+}
+
+/**
+ * Group responses by a field, keeping first-seen order
+ * @param {Array<Object>} responses
+ * @param {string} field
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupBy(responses, field) {
+  const groups = new Map();
+  responses.forEach(response => {
+    const key = response[field] || 'Uncategorized';
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(response);
+  });
+  return groups;
+}
+
+/**
+ * Calculate the domain and skill breakdown for one section
+ * @param {Array<Object>} responses - [{ question_domain, question_skill, is_correct, time_spent_seconds }]
+ * @param {string} subject
+ * @returns {Object} - Section summary with domains[], each with skills[]
+ */
+function calculateSectionBreakdown(responses, subject) {
+  const order = DOMAIN_ORDER[subject] || [];
+  const rank = domain => {
+    const index = order.indexOf(domain);
+    return index === -1 ? order.length : index;
+  };
+
+  const domains = Array.from(groupBy(responses, 'question_domain'))
+    .map(([domain, domainResponses]) => ({
+      domain,
+      ...summarizeResponses(domainResponses),
+      skills: Array.from(groupBy(domainResponses, 'question_skill'))
+        .map(([skill, skillResponses]) => ({ skill, ...summarizeResponses(skillResponses) }))
+        .sort((a, b) => a.skill.localeCompare(b.skill))
+    }))
+    .sort((a, b) => rank(a.domain) - rank(b.domain) || a.domain.localeCompare(b.domain));
+
+  return {
+    ...summarizeResponses(responses),
+    domains
+  };
+}
+
+/**
+ * Calculate the breakdown for every section of a submission
+ * @param {Object} responsesBySubject - { [subject]: [{ question_domain, question_skill, is_correct, time_spent_seconds }] }
+ * @returns {Object} - { [subject]: section breakdown }
+ */
+function calculateSkillBreakdown(responsesBySubject) {
+  const breakdown = {};
+  Object.entries(responsesBySubject).forEach(([subject, responses]) => {
+    if (responses.length > 0) {
+      breakdown[subject] = calculateSectionBreakdown(responses, subject);
+    }
+  });
+  return breakdown;
+}
+
+module.exports = {
+  DOMAIN_ORDER,
+  PERFORMANCE_BANDS,
+  getPerformanceBand,
+  calculateSectionBreakdown,
+  calculateSkillBreakdown
+};
@@ -0,0 +1,405 @@
+/**
+ * Test Blueprint Utility
+ * Picks questions for a test from the question bank to match a content blueprint
+ *
+ * A blueprint lists the test's modules. Each module says how many questions it needs
+ * from each content domain (question_domain), optionally a minimum per skill
+ * (question_skill), and how many at each difficulty:
+ *
+ *   {
+ *     "modules": [
+ *       {
+ *         "name": "Math - Module 1", "subject_name": "Math", "difficulty": "medium", "time_limit": 35,
+ *         "question_count": 22,
+ *         "domains": { "Algebra": 8, "Advanced Math": 8, "Problem-Solving and Data Analysis": 3, "Geometry and Trigonometry": 3 },
+ *         "skills": { "Circles": 1 },
+ *         "difficulty_mix": { "easy": 7, "medium": 8, "hard": 7 },
+ *         "order": "difficulty"
+ *       }
+ *     ]
+ *   }
+ *
+ * Selection is random but reproducible: the same seed and bank give the same test.
+ * A question is used at most once per test. Quotas the bank can't fill are reported
+ * as shortfalls rather than filled with off-blueprint questions.
+ */
+
+const { SECTION_SPECS } = require('./testStructure');
+const { DOMAIN_ORDER } = require('./skillBreakdown');
+const { createShuffleSeed, seededShuffle } = require('./shuffleOrder');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Digital SAT domain counts per module, from the College Board's published shares
+ * (RW: Craft and Structure ~28%, Information and Ideas ~26%, Standard English
+ * Conventions ~26%, Expression of Ideas ~20%; Math: Algebra and Advanced Math ~35%
+ * each, Problem-Solving and Data Analysis and Geometry and Trigonometry ~15% each).
+ * RW questions are grouped by domain in test order; Math runs easiest to hardest.
+ */
+const SAT_DOMAINS = {
+  'Reading and Writing': {
+    'Craft and Structure': 8,
+    'Information and Ideas': 7,
+    'Standard English Conventions': 7,
+    'Expression of Ideas': 5
+  },
+  Math: {
+    Algebra: 8,
+    'Advanced Math': 8,
+    'Problem-Solving and Data Analysis': 3,
+    'Geometry and Trigonometry': 3
+  }
+};
+
+/**
+ * Difficulty mix per module. The College Board doesn't publish these, so they are a
+ * working assumption: Module 1 spans all levels, and each Module 2 leans to its label.
+ */
+const SAT_DIFFICULTY_MIX = {
+  'Reading and Writing': {
+    medium: { easy: 9, medium: 9, hard: 9 },
+    easy: { easy: 15, medium: 9, hard: 3 },
+    hard: { easy: 3, medium: 9, hard: 15 }
+  },
+  Math: {
+    medium: { easy: 7, medium: 8, hard: 7 },
+    easy: { easy: 12, medium: 7, hard: 3 },
+    hard: { easy: 3, medium: 7, hard: 12 }
+  }
+};
+
+/**
+ * Build the blueprint for one module of a standard Digital SAT
+ */
+function satModule(subject, difficulty, label) {
+  return {
+    name: `${subject} - ${label}`,
+    subject_name: subject,
+    difficulty,
+    time_limit: SECTION_SPECS[subject].time_limit,
+    question_count: SECTION_SPECS[subject].questions,
+    domains: { ...SAT_DOMAINS[subject] },
+    difficulty_mix: { ...SAT_DIFFICULTY_MIX[subject][difficulty] },
+    order: subject === 'Math' ? 'difficulty' : 'domain'
+  };
+}
+
+/**
+ * Blueprint for a full-length adaptive Digital SAT (6 modules)
+ */
+const DEFAULT_BLUEPRINT = {
+  modules: ['Reading and Writing', 'Math'].flatMap(subject => [
+    satModule(subject, 'medium', 'Module 1'),
+    satModule(subject, 'easy', 'Module 2 (Easier)'),
+    satModule(subject, 'hard', 'Module 2 (Harder)')
+  ])
+};
+
+// Check that a quota object is { name: non-negative integer } and return its total
+function checkQuota(label, quota, errors) {
+  if (typeof quota !== 'object' || quota === null || Array.isArray(quota)) {
+    errors.push(`${label} must be an object of counts`);
+    return 0;
+  }
+
+  let total = 0;
+  for (const [name, count] of Object.entries(quota)) {
+    if (!Number.isInteger(count) || count < 0) {
+      errors.push(`${label}.${name} must be a non-negative integer`);
+    } else {
+      total += count;
+    }
+  }
+  return total;
+}
+
+/**
+ * Validate a blueprint
+ * @param {Object} blueprint
+ * @returns {Array<string>} - Error messages (empty when valid)
+ */
+function validateBlueprint(blueprint) {
+  const errors = [];
+
+  if (!blueprint || !Array.isArray(blueprint.modules) || blueprint.modules.length === 0) {
+    return ['blueprint.modules must be a non-empty array'];
+  }
+
+  blueprint.modules.forEach((module, i) => {
+    const label = `modules[${i}]`;
+
+    if (!module || typeof module !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!module.name || typeof module.name !== 'string') {
+      errors.push(`${label}.name is required`);
+    }
+    if (!SECTION_SPECS[module.subject_name]) {
+      errors.push(`${label}.subject_name must be one of: ${Object.keys(SECTION_SPECS).join(', ')}`);
+    }
+    if (!DIFFICULTIES.includes(module.difficulty)) {
+      errors.push(`${label}.difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+    if (module.time_limit !== undefined && (!Number.isInteger(module.time_limit) || module.time_limit <= 0)) {
+      errors.push(`${label}.time_limit must be a positive integer`);
+    }
+    if (!Number.isInteger(module.question_count) || module.question_count <= 0) {
+      errors.push(`${label}.question_count must be a positive integer`);
+      return;
+    }
+
+    if (module.domains !== undefined) {
+      const total = checkQuota(`${label}.domains`, module.domains, errors);
+      if (total !== module.question_count) {
+        errors.push(`${label}.domains add up to ${total}, not question_count (${module.question_count})`);
+      }
+    }
+
+    if (module.difficulty_mix !== undefined) {
+      const total = checkQuota(`${label}.difficulty_mix`, module.difficulty_mix, errors);
+      if (total !== module.question_count) {
+        errors.push(`${label}.difficulty_mix adds up to ${total}, not question_count (${module.question_count})`);
+      }
+      Object.keys(module.difficulty_mix)
+        .filter(difficulty => !DIFFICULTIES.includes(difficulty))
+        .forEach(difficulty => errors.push(`${label}.difficulty_mix.${difficulty} is not a difficulty`));
+    }
+
+    if (module.skills !== undefined) {
+      const total = checkQuota(`${label}.skills`, module.skills, errors);
+      if (total > module.question_count) {
+        errors.push(`${label}.skills add up to ${total}, more than question_count (${module.question_count})`);
+      }
+    }
+
+    if (module.order !== undefined && !['domain', 'difficulty'].includes(module.order)) {
+      errors.push(`${label}.order must be 'domain' or 'difficulty'`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Split a module's quotas across domain/difficulty combinations
+ *
+ * Starts from a proportional split (each domain gets the difficulty mix in proportion)
+ * capped by what the bank has, then moves questions between combinations along
+ * augmenting paths (max flow) until no more quota can be met.
+ * @param {Object} rowNeed - Remaining count per domain
+ * @param {Object} colNeed - Remaining count per difficulty
+ * @param {Array<string>} cellKeys - 'domain|difficulty' for each available question
+ * @returns {Object} - Count to take per 'domain|difficulty'
+ */
+function allocateCells(rowNeed, colNeed, cellKeys) {
+  const rows = Object.keys(rowNeed).filter(row => rowNeed[row] > 0);
+  const cols = Object.keys(colNeed).filter(col => colNeed[col] > 0);
+  const total = rows.reduce((sum, row) => sum + rowNeed[row], 0);
+
+  const capacity = {};
+  cellKeys.forEach(key => { capacity[key] = (capacity[key] || 0) + 1; });
+
+  const flow = {};
+  const rowUsed = Object.fromEntries(rows.map(row => [row, 0]));
+  const colUsed = Object.fromEntries(cols.map(col => [col, 0]));
+  rows.forEach(row => cols.forEach(col => {
+    const key = `${row}|${col}`;
+    flow[key] = Math.min(capacity[key] || 0, Math.floor(rowNeed[row] * colNeed[col] / total));
+    rowUsed[row] += flow[key];
+    colUsed[col] += flow[key];
+  }));
+
+  // Each augmenting path source -> row -> col (-> row -> col ...) -> sink adds one question
+  for (;;) {
+    const previous = new Map(rows.filter(row => rowUsed[row] < rowNeed[row]).map(row => [row, null]));
+    const queue = [...previous.keys()];
+    let end = null;
+
+    while (queue.length > 0 && !end) {
+      const row = queue.shift();
+      for (const col of cols) {
+        const key = `${row}|${col}`;
+        if (previous.has(`col:${col}`) || flow[key] >= (capacity[key] || 0)) {
+          continue;
+        }
+        previous.set(`col:${col}`, row);
+        if (colUsed[col] < colNeed[col]) {
+          end = col;
+          break;
+        }
+        // Undo another row's use of this column to free it up
+        rows
+          .filter(other => !previous.has(other) && flow[`${other}|${col}`] > 0)
+          .forEach(other => {
+            previous.set(other, col);
+            queue.push(other);
+          });
+      }
+    }
+
+    if (!end) {
+      return flow;
+    }
+
+    colUsed[end]++;
+    let col = end;
+    for (;;) {
+      const row = previous.get(`col:${col}`);
+      flow[`${row}|${col}`]++;
+      const before = previous.get(row);
+      if (before === null) {
+        rowUsed[row]++;
+        break;
+      }
+      flow[`${row}|${before}`]--;
+      col = before;
+    }
+  }
+}
+
+/**
+ * Pick questions for one module
+ * @param {Object} module - Module blueprint
+ * @param {Array<Object>} candidates - Unused questions of the module's subject, shuffled
+ * @returns {Object} - { questions, shortfalls }
+ */
+function selectModuleQuestions(module, candidates) {
+  const domainNeed = module.domains ? { ...module.domains } : null;
+  const difficultyNeed = module.difficulty_mix ? { ...module.difficulty_mix } : null;
+  const picked = [];
+  const pickedIds = new Set();
+
+  const fits = (question, ignoreDifficulty = false) =>
+    !pickedIds.has(question.id) &&
+    (!domainNeed || domainNeed[question.question_domain] > 0) &&
+    (ignoreDifficulty || !difficultyNeed || difficultyNeed[question.difficulty] > 0);
+
+  const take = question => {
+    picked.push(question);
+    pickedIds.add(question.id);
+    if (domainNeed) domainNeed[question.question_domain]--;
+    if (difficultyNeed && difficultyNeed[question.difficulty] > 0) difficultyNeed[question.difficulty]--;
+  };
+
+  // Skill minimums first: they are the narrowest quotas and count toward the others
+  const skillShortfalls = [];
+  Object.entries(module.skills || {}).forEach(([skill, required]) => {
+    const matches = candidates.filter(question => question.question_skill === skill && fits(question));
+    matches.slice(0, required).forEach(take);
+    if (matches.length < required) {
+      skillShortfalls.push({ type: 'skill', name: skill, required, selected: matches.length });
+    }
+  });
+
+  // Then decide how many questions to take from each domain/difficulty combination
+  const rowOf = question => (domainNeed ? question.question_domain : '*');
+  const colOf = question => (difficultyNeed ? question.difficulty : '*');
+  const remaining = candidates.filter(question => fits(question));
+  const cells = allocateCells(
+    domainNeed || { '*': module.question_count - picked.length },
+    difficultyNeed || { '*': module.question_count - picked.length },
+    remaining.map(question => `${rowOf(question)}|${colOf(question)}`)
+  );
+  remaining.forEach(question => {
+    const key = `${rowOf(question)}|${colOf(question)}`;
+    if (cells[key] > 0 && fits(question)) {
+      cells[key]--;
+      take(question);
+    }
+  });
+
+  // Domain quotas the difficulty mix left open are filled at any difficulty
+  while (picked.length < module.question_count) {
+    const question = candidates.find(candidate => fits(candidate, true));
+    if (!question) {
+      break;
+    }
+    take(question);
+  }
+
+  const shortfalls = [...skillShortfalls];
+  const count = (field, value) => picked.filter(question => question[field] === value).length;
+  const available = (field, value) => candidates.filter(question => question[field] === value).length;
+
+  Object.entries(module.domains || {}).forEach(([domain, required]) => {
+    const selected = count('question_domain', domain);
+    if (selected < required) {
+      shortfalls.push({ type: 'domain', name: domain, required, selected, available: available('question_domain', domain) });
+    }
+  });
+  Object.entries(module.difficulty_mix || {}).forEach(([difficulty, required]) => {
+    const selected = count('difficulty', difficulty);
+    if (selected < required) {
+      shortfalls.push({ type: 'difficulty', name: difficulty, required, selected, available: available('difficulty', difficulty) });
+    }
+  });
+  if (picked.length < module.question_count) {
+    shortfalls.push({ type: 'question_count', name: module.name, required: module.question_count, selected: picked.length, available: candidates.length });
+  }
+
+  return { questions: orderModuleQuestions(picked, module), shortfalls };
+}
+
+/**
+ * Put a module's questions in test order: grouped by domain (blueprint order, then
+ * College Board order) or by difficulty, easiest first within each group
+ */
+function orderModuleQuestions(questions, module) {
+  const domains = [...Object.keys(module.domains || {}), ...(DOMAIN_ORDER[module.subject_name] || [])];
+  const domainRank = question => {
+    const index = domains.indexOf(question.question_domain);
+    return index === -1 ? domains.length : index;
+  };
+  const difficultyRank = question => DIFFICULTIES.indexOf(question.difficulty);
+
+  // Array.prototype.sort is stable, so ties keep their random selection order
+  return [...questions].sort((a, b) => module.order === 'difficulty'
+    ? difficultyRank(a) - difficultyRank(b)
+    : domainRank(a) - domainRank(b) || difficultyRank(a) - difficultyRank(b));
+}
+
+/**
+ * Assemble a test from a blueprint
+ * @param {Object} blueprint - Validated blueprint (see validateBlueprint)
+ * @param {Array<Object>} bank - Eligible questions: [{ id, question_subject, question_domain, question_skill, difficulty }]
+ * @param {Object} options
+ * @param {number} options.seed - Selection seed (default: random)
+ * @returns {Object} - { seed, satisfied, modules: [{ ...module blueprint, question_ids, shortfalls }], shortfalls }
+ */
+function assembleFromBlueprint(blueprint, bank, { seed = createShuffleSeed() } = {}) {
+  const used = new Set();
+  const shortfalls = [];
+
+  const modules = blueprint.modules.map((module, i) => {
+    const candidates = seededShuffle(
+      bank.filter(question => question.question_subject === module.subject_name && !used.has(question.id)),
+      seed,
+      `${i}:${module.name}`
+    );
+
+    const selection = selectModuleQuestions(module, candidates);
+    selection.questions.forEach(question => used.add(question.id));
+    selection.shortfalls.forEach(shortfall => shortfalls.push({ module: module.name, ...shortfall }));
+
+    return {
+      name: module.name,
+      subject_name: module.subject_name,
+      difficulty: module.difficulty,
+      time_limit: module.time_limit || SECTION_SPECS[module.subject_name].time_limit,
+      question_count: module.question_count,
+      question_ids: selection.questions.map(question => question.id),
+      shortfalls: selection.shortfalls
+    };
+  });
+
+  return { seed, satisfied: shortfalls.length === 0, modules, shortfalls };
+}
+
+module.exports = {
+  DEFAULT_BLUEPRINT,
+  validateBlueprint,
+  selectModuleQuestions,
+  assembleFromBlueprint
+};
@@ -0,0 +1,60 @@
+/**
+ * Test Lifecycle Utility
+ * Draft, published and archived states for tests
+ *
+ * - draft: being built. Only editors can see it, and its modules can be rearranged
+ * - published: live. Students can open it by access code and start it; its modules are locked
+ * - archived: retired. Hidden from listings and closed to new submissions, but past
+ *   submissions stay reviewable
+ *
+ * A test can go back to draft only while nobody has taken it. After that, revise it by
+ * copying its modules (POST /api/v1/testing/modules/:id/copy) into a new test, so the
+ * questions students saw never change under their results.
+ */
+
+const TEST_STATUSES = ['draft', 'published', 'archived'];
+
+/**
+ * Allowed moves between states
+ */
+const STATUS_TRANSITIONS = {
+  draft: ['published', 'archived'],
+  published: ['archived', 'draft'],
+  archived: ['published', 'draft']
+};
+
+/**
+ * Check whether a test may move to another state
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {Object} context
+ * @param {boolean} context.hasSubmissions - Whether anyone has started the test
+ * @param {Object|null} context.validation - validateTestStructure result (required to publish)
+ * @returns {string|null} - Why the move isn't allowed, or null if it is
+ */
+function getTransitionError(from, to, { hasSubmissions = false, validation = null } = {}) {
+  if (from === to) {
+    return `Test is already ${to}`;
+  }
+
+  if (!(STATUS_TRANSITIONS[from] || []).includes(to)) {
+    return `A ${from} test cannot be moved to ${to}`;
+  }
+
+  if (to === 'draft' && hasSubmissions) {
+    return 'Test has submissions and cannot go back to draft; copy its modules into a new test to revise it';
+  }
+
+  if (to === 'published' && (!validation || !validation.valid)) {
+    const errors = validation ? validation.errors.join('; ') : 'structure was not checked';
+    return `Test is not a valid adaptive SAT: ${errors}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  TEST_STATUSES,
+  STATUS_TRANSITIONS,
+  getTransitionError
+};
@@ -0,0 +1,49 @@
+/**
+ * Test Sequence Utility
+ * Orders the sections of a test
+ *
+ * The Digital SAT always runs Reading and Writing before Math. Subjects outside
+ * that list (diagnostic or PSAT-style tests) follow in the order their first
+ * module appears in test_modules.
+ */
+
+/**
+ * Standard section order
+ */
+const SECTION_ORDER = ['Reading and Writing', 'Math'];
+
+/**
+ * Put a test's subjects in section order
+ * @param {Array<string>} subjects - Subjects ordered by their first test_modules.order_number
+ * @returns {Array<string>} - Unique subjects in the order they are taken
+ */
+function orderSections(subjects) {
+  const unique = [...new Set(subjects)];
+  const rank = subject => {
+    const index = SECTION_ORDER.indexOf(subject);
+    return index === -1 ? SECTION_ORDER.length : index;
+  };
+
+  // Array.prototype.sort is stable, so unknown subjects keep their test order
+  return unique.sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Get the section that follows a subject
+ * @param {Array<string>} sections - Sections in order (from orderSections)
+ * @param {string} currentSubject
+ * @returns {string|null} - Next section, or null if this was the last one
+ */
+function getNextSection(sections, currentSubject) {
+  const index = sections.indexOf(currentSubject);
+  if (index === -1 || index === sections.length - 1) {
+    return null;
+  }
+  return sections[index + 1];
+}
+
+module.exports = {
+  SECTION_ORDER,
+  orderSections,
+  getNextSection
+};
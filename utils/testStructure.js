@@ -0,0 +1,125 @@
+/**
+ * Test Structure Utility
+ * Checks that a test is a valid adaptive Digital SAT
+ *
+ * Each section (Reading and Writing, then Math) needs:
+ * - Module 1: the section's first module by test_modules.order_number, medium difficulty
+ * - Module 2: one easy and one hard module for the routing rules to choose between
+ *
+ * Errors make the test unusable: a student could be routed to a module that doesn't
+ * exist, run out of questions, or see a question twice. Warnings flag departures from
+ * the real SAT that a practice test may make on purpose (shorter modules, other timings).
+ */
+
+const { SECTION_ORDER } = require('./testSequence');
+
+/**
+ * Digital SAT module sizes and time limits (minutes) per section
+ */
+const SECTION_SPECS = {
+  'Reading and Writing': { questions: 27, time_limit: 32 },
+  Math: { questions: 22, time_limit: 35 }
+};
+
+/**
+ * Validate the module layout of a test
+ * @param {Array<Object>} modules - [{ id, name, subject_name, difficulty, time_limit, order_number,
+ *   questions: [{ id, question_subject }] }]
+ * @returns {Object} - { valid, errors, warnings, sections: { [subject]: { module_1, module_2_easy, module_2_hard } } }
+ */
+function validateTestStructure(modules) {
+  const errors = [];
+  const warnings = [];
+  const sections = {};
+
+  if (modules.length === 0) {
+    return { valid: false, errors: ['Test has no modules'], warnings, sections };
+  }
+
+  const orderNumbers = modules.map(module => module.order_number);
+  if (new Set(orderNumbers).size !== orderNumbers.length) {
+    errors.push('Two modules share the same order_number');
+  }
+
+  modules
+    .filter(module => !SECTION_SPECS[module.subject_name])
+    .forEach(module => {
+      errors.push(`Module '${module.name}' has subject '${module.subject_name}'; expected one of: ${SECTION_ORDER.join(', ')}`);
+    });
+
+  SECTION_ORDER.forEach(subject => {
+    const sectionModules = modules
+      .filter(module => module.subject_name === subject)
+      .sort((a, b) => a.order_number - b.order_number);
+
+    if (sectionModules.length === 0) {
+      errors.push(`Missing the ${subject} section`);
+      return;
+    }
+
+    const [module1, ...module2s] = sectionModules;
+    const easy = module2s.filter(module => module.difficulty === 'easy');
+    const hard = module2s.filter(module => module.difficulty === 'hard');
+    const other = module2s.filter(module => module.difficulty !== 'easy' && module.difficulty !== 'hard');
+
+    if (module1.difficulty !== 'medium') {
+      errors.push(`${subject} Module 1 ('${module1.name}') must be medium difficulty, and come before the section's Module 2s`);
+    }
+    if (easy.length !== 1) {
+      errors.push(`${subject} needs exactly one easy Module 2 (found ${easy.length})`);
+    }
+    if (hard.length !== 1) {
+      errors.push(`${subject} needs exactly one hard Module 2 (found ${hard.length})`);
+    }
+    other.forEach(module => {
+      errors.push(`${subject} module '${module.name}' must be easy or hard (only Module 1 is medium)`);
+    });
+
+    const spec = SECTION_SPECS[subject];
+    sectionModules.forEach(module => {
+      const questions = module.questions || [];
+
+      if (questions.length === 0) {
+        errors.push(`Module '${module.name}' has no questions`);
+      } else if (questions.length !== spec.questions) {
+        warnings.push(`Module '${module.name}' has ${questions.length} questions; the SAT uses ${spec.questions}`);
+      }
+
+      const otherSubject = questions.filter(question => question.question_subject !== subject).length;
+      if (otherSubject > 0) {
+        errors.push(`Module '${module.name}' has ${otherSubject} question(s) from another subject`);
+      }
+
+      if (module.time_limit !== spec.time_limit) {
+        warnings.push(`Module '${module.name}' is ${module.time_limit} minutes; the SAT uses ${spec.time_limit}`);
+      }
+    });
+
+    // A student takes Module 1 and one Module 2, so they must not share questions
+    const module1Questions = new Set((module1.questions || []).map(question => question.id));
+    module2s.forEach(module => {
+      const repeated = (module.questions || []).filter(question => module1Questions.has(question.id)).length;
+      if (repeated > 0) {
+        errors.push(`Module '${module.name}' repeats ${repeated} question(s) from Module 1`);
+      }
+    });
+
+    if (easy.length === 1 && hard.length === 1 &&
+        (easy[0].questions || []).length !== (hard[0].questions || []).length) {
+      warnings.push(`${subject} easy and hard Module 2s have different question counts`);
+    }
+
+    sections[subject] = {
+      module_1: module1.id,
+      module_2_easy: easy.length === 1 ? easy[0].id : null,
+      module_2_hard: hard.length === 1 ? hard[0].id : null
+    };
+  });
+
+  return { valid: errors.length === 0, errors, warnings, sections };
+}
+
+module.exports = {
+  SECTION_SPECS,
+  validateTestStructure
+};